@@ -0,0 +1,305 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Analytics
+   ========================================================================== */
+
+/**
+ * Events the site may send and their properties. A type ending in '?' is
+ * optional and may be null. Events with unknown names, unknown or missing
+ * properties, wrong types or anything that looks like an email address are
+ * dropped before they leave the page.
+ */
+const ANALYTICS_EVENTS = {
+  'page_view': { page: 'string', title: 'string' },
+  'section_navigated': { section: 'string', method: 'string' },
+  'download_clicked': { source: 'string', section: 'string', platform: 'string?', detected: 'string?' },
+  'donation_clicked': { amount: 'number?', currency: 'string?', provider: 'string?', source: 'string', section: 'string' },
+  'newsletter_signup': { result: 'string', provider: 'string?', section: 'string' },
+  'roadmap_voted': { item: 'string', status: 'string', result: 'string' },
+  'feature_requested': { protocol: 'string?', result: 'string' },
+  'section_engagement': { order: 'string', dwell: 'string', max_depth: 'number', duration: 'number' },
+  'web_vital': { name: 'string', value: 'number', rating: 'string?' }
+};
+
+/**
+ * Where events go. Each sink sends a batch with the pipeline's post(), which
+ * uses sendBeacon while the page is being hidden.
+ */
+const ANALYTICS_SINKS = {
+  // One request per event; the Events API takes text/plain JSON
+  'plausible': {
+    name: 'Plausible',
+    isConfigured: ({ domain }) => Boolean(domain),
+    send: (events, { config, post }) => Promise.all(events.map(event => post(
+      `${config.apiHost || 'https://plausible.io'}/api/event`,
+      {
+        name: event.name === 'page_view' ? 'pageview' : event.name,
+        url: window.location.origin + event.url,
+        domain: config.domain,
+        referrer: document.referrer || null,
+        props: event.properties
+      }
+    )))
+  },
+
+  // One request per event; page views are sent without an event name
+  'umami': {
+    name: 'Umami',
+    isConfigured: ({ websiteId, hostUrl }) => Boolean(websiteId && hostUrl),
+    send: (events, { config, post }) => Promise.all(events.map(event => post(
+      `${config.hostUrl}/api/send`,
+      {
+        type: 'event',
+        payload: {
+          website: config.websiteId,
+          hostname: window.location.hostname,
+          language: navigator.language,
+          screen: `${window.screen.width}x${window.screen.height}`,
+          title: document.title,
+          url: event.url,
+          referrer: document.referrer,
+          ...(event.name === 'page_view' ? {} : { name: event.name, data: event.properties })
+        }
+      }
+    )))
+  },
+
+  // Self-hosted collector receiving the whole batch as { events }
+  'endpoint': {
+    name: 'Endpoint',
+    isConfigured: ({ url }) => Boolean(url),
+    send: (events, { config, post }) => post(config.url, { events })
+  },
+
+  // Development: print events instead of sending them, in debug mode only
+  'console': {
+    name: 'Console',
+    isConfigured: () => true,
+    send: (events) => {
+      if (window.app && window.app.debug) {
+        events.forEach(event => console.info('[Analytics]', event.name, event.properties));
+      }
+      return Promise.resolve();
+    }
+  },
+
+  // Default until a provider is set up: events are validated, then discarded
+  'none': {
+    name: 'None',
+    isConfigured: () => true,
+    send: () => Promise.resolve()
+  }
+};
+
+/**
+ * Analytics - Validates tracked events and sends them to the configured sink
+ * in batches. No identifiers or cookies are used; a page view is sampled in
+ * or out as a whole. Created by MarketingSiteApp.setupAnalytics once the
+ * visitor has consented, and destroyed again if consent is withdrawn.
+ */
+class Analytics {
+  /**
+   * @param {Object} [options] - Overrides for the #analytics-config block
+   */
+  constructor(options = {}) {
+    this.config = {
+      sink: 'none',
+      sampleRate: 1,
+      batchSize: 10,
+      flushInterval: 5000,
+      sinks: {},
+      ...this.readPageConfig(),
+      ...options
+    };
+
+    this.queue = [];
+    this.flushTimer = null;
+    this.sampled = Math.random() < this.config.sampleRate;
+
+    // The last chance to send is when the page is hidden or unloaded
+    this.handlers = {
+      pagehide: () => this.flush({ beacon: true }),
+      visibilitychange: () => {
+        if (document.visibilityState === 'hidden') {
+          this.flush({ beacon: true });
+        }
+      }
+    };
+    window.addEventListener('pagehide', this.handlers.pagehide);
+    document.addEventListener('visibilitychange', this.handlers.visibilitychange);
+
+    this.log(`Analytics initialized with ${this.config.sink}${this.sampled ? '' : ' (not sampled)'}`);
+  }
+
+  /**
+   * Parse the JSON config block (<script type="application/json" id="analytics-config">)
+   */
+  readPageConfig() {
+    const element = document.getElementById('analytics-config');
+    if (!element) return {};
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      this.error('Invalid analytics config:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Queue an event
+   * @param {string} name - Event name from ANALYTICS_EVENTS
+   * @param {Object} [properties]
+   * @returns {boolean} - Whether the event was queued
+   */
+  track(name, properties = {}) {
+    const result = this.validate(name, properties);
+    if (!result.valid) {
+      this.warn(`Dropped ${name}:`, result.errors.join('; '));
+      return false;
+    }
+
+    if (!this.sampled) return false;
+
+    this.queue.push({
+      name,
+      properties,
+      url: window.location.pathname + window.location.hash,
+      timestamp: Date.now()
+    });
+    this.log('Tracked', name, properties);
+
+    if (this.queue.length >= this.config.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.config.flushInterval);
+    }
+    return true;
+  }
+
+  /**
+   * Check an event against ANALYTICS_EVENTS
+   * @returns {Object} - { valid, errors }
+   */
+  validate(name, properties) {
+    const schema = ANALYTICS_EVENTS[name];
+    if (!schema) {
+      return { valid: false, errors: ['unknown event'] };
+    }
+
+    const errors = [];
+    Object.keys(properties).forEach(key => {
+      if (!(key in schema)) errors.push(`unknown property "${key}"`);
+    });
+
+    Object.entries(schema).forEach(([key, rule]) => {
+      const optional = rule.endsWith('?');
+      const type = optional ? rule.slice(0, -1) : rule;
+      const value = properties[key];
+
+      if (value === undefined || value === null) {
+        if (!optional) errors.push(`missing "${key}"`);
+      } else if (typeof value !== type || (type === 'number' && !isFinite(value))) {
+        errors.push(`"${key}" should be a ${type}`);
+      } else if (type === 'string' && /[^\s@]+@[^\s@]+\.[^\s@]+/.test(value)) {
+        errors.push(`"${key}" looks like an email address`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Send queued events to the sink
+   * @param {Object} [options]
+   * @param {boolean} [options.beacon] - Use sendBeacon (page is going away)
+   * @returns {Promise}
+   */
+  flush({ beacon = false } = {}) {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.queue.length === 0) return Promise.resolve();
+
+    const sink = ANALYTICS_SINKS[this.config.sink];
+    const config = this.config.sinks[this.config.sink] || {};
+    const events = this.queue.splice(0);
+
+    if (!sink || !sink.isConfigured(config)) {
+      this.warn(`Analytics sink ${this.config.sink} is not configured; dropped ${events.length} events`);
+      return Promise.resolve();
+    }
+
+    // Send synchronously: on pagehide the beacon must go out before unload
+    const post = (url, body) => this.post(url, body, { beacon });
+    const failed = error => this.warn(`Sending to ${sink.name} failed:`, error.message);
+    try {
+      return Promise.resolve(sink.send(events, { config, post })).catch(failed);
+    } catch (error) {
+      failed(error);
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * POST a JSON body, with sendBeacon when the page is being hidden
+   */
+  post(url, body, { beacon = false } = {}) {
+    const data = JSON.stringify(body);
+
+    if (beacon && navigator.sendBeacon && navigator.sendBeacon(url, data)) {
+      return Promise.resolve();
+    }
+
+    return window.fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: data,
+      keepalive: true
+    });
+  }
+
+  /**
+   * Stop listening, sending what is left unless told to drop it
+   * @param {Object} [options]
+   * @param {boolean} [options.flush] - false drops queued events (consent withdrawn)
+   */
+  destroy({ flush = true } = {}) {
+    if (flush) {
+      this.flush({ beacon: true });
+    } else {
+      clearTimeout(this.flushTimer);
+      this.queue = [];
+    }
+    window.removeEventListener('pagehide', this.handlers.pagehide);
+    document.removeEventListener('visibilitychange', this.handlers.visibilitychange);
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[Analytics]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[Analytics]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[Analytics]', ...args);
+  }
+}
+
+// Export for global usage
+window.Analytics = Analytics;
+window.ANALYTICS_EVENTS = ANALYTICS_EVENTS;
+window.ANALYTICS_SINKS = ANALYTICS_SINKS;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Analytics;
+}
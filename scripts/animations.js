@@ -3,20 +3,25 @@
    ========================================================================== */
 
 /**
- * Animation Manager - Handles animations, transitions, and visual effects
+ * Animation Manager - Handles animations, transitions, and visual effects.
+ * Created and destroyed by MarketingSiteApp (APP_MODULES in main.js).
  */
 class AnimationManager {
   constructor() {
     this.config = {
       reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
       defaultDuration: 300,
-      defaultEasing: 'cubic-bezier(0.4, 0, 0.2, 1)',
-      intersectionThreshold: 0.1
+      defaultEasing: 'cubic-bezier(0.4, 0, 0.2, 1)'
     };
 
     this.activeAnimations = new Set();
     this.observedElements = new WeakMap();
-    this.intersectionObserver = null;
+
+    // Kept so destroy() can undo everything init() and setupParallax() add
+    this.handlers = {};
+    this.scrollHandlers = [];
+    this.visibilitySubscriptions = [];
+    this.reducedMotionStyle = null;
 
     this.init();
   }
@@ -25,41 +30,26 @@ class AnimationManager {
    * Initialize animation manager
    */
   init() {
-    this.setupIntersectionObserver();
     this.setupReducedMotionListener();
     this.setupScrollAnimations();
     this.setupMonetizationAnimations();
     this.log('AnimationManager initialized');
   }
 
-  /**
-   * Setup intersection observer for scroll-triggered animations
-   */
-  setupIntersectionObserver() {
-    if ('IntersectionObserver' in window) {
-      this.intersectionObserver = new IntersectionObserver(
-        this.handleIntersection.bind(this),
-        {
-          threshold: this.config.intersectionThreshold,
-          rootMargin: '0px 0px -50px 0px'
-        }
-      );
-    }
-  }
-
   /**
    * Setup reduced motion preference listener
    */
   setupReducedMotionListener() {
-    const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-    mediaQuery.addListener((e) => {
+    this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.handlers.reducedMotion = (e) => {
       this.config.reducedMotion = e.matches;
       this.log('Reduced motion preference changed:', e.matches);
       
       if (e.matches) {
         this.disableAllAnimations();
       }
-    });
+    };
+    this.reducedMotionQuery.addListener(this.handlers.reducedMotion);
   }
 
   /**
@@ -76,6 +66,10 @@ class AnimationManager {
       '.popup-mockup',
       '.donation-cta'
     ]);
+
+    // Roadmap items are rendered once their data file has loaded
+    this.handlers.roadmapRendered = () => this.observeElements(['.roadmap-item']);
+    document.addEventListener('roadmap:rendered', this.handlers.roadmapRendered);
   }
 
   /**
@@ -83,7 +77,7 @@ class AnimationManager {
    */
   setupMonetizationAnimations() {
     // Add click animations for donation buttons
-    document.addEventListener('click', (event) => {
+    this.handlers.click = (event) => {
       if (event.target.matches('.btn-donate, .btn-donate-custom')) {
         this.bounce(event.target, 0.05);
       }
@@ -91,19 +85,26 @@ class AnimationManager {
       if (event.target.matches('.popup-close')) {
         this.scaleIn(event.target.closest('.popup-mockup'), 200);
       }
-    });
+    };
+    document.addEventListener('click', this.handlers.click);
   }
 
   /**
-   * Observe elements for animation triggers
+   * Observe elements for animation triggers through the shared visibility
+   * service (visibility.js), which reveals each element once
    */
   observeElements(selectors) {
-    if (!this.intersectionObserver) return;
+    const service = window.visibilityService;
+    if (!service || !service.supported) return;
 
     selectors.forEach(selector => {
       const elements = document.querySelectorAll(selector);
       elements.forEach(element => {
-        this.intersectionObserver.observe(element);
+        if (!this.observedElements.has(element)) {
+          this.visibilitySubscriptions.push(
+            service.observe(element, 'reveal', entry => this.handleIntersection([entry]), { once: true })
+          );
+        }
         this.observedElements.set(element, {
           selector,
           hasAnimated: false
@@ -562,7 +563,6 @@ class AnimationManager {
     
     const updateParallax = () => {
       const scrolled = window.pageYOffset;
-      const rect = element.getBoundingClientRect();
       const yPos = -(scrolled * speed);
       
       element.style.transform = `translateY(${yPos}px)`;
@@ -571,12 +571,19 @@ class AnimationManager {
 
     const requestTick = () => {
       if (!ticking) {
-        requestAnimationFrame(updateParallax);
+        requestAnimationFrame(() => {
+          if (window.scrollProfiler) {
+            window.scrollProfiler.measure('setupParallax', updateParallax);
+          } else {
+            updateParallax();
+          }
+        });
         ticking = true;
       }
     };
 
     window.addEventListener('scroll', requestTick, { passive: true });
+    this.scrollHandlers.push(requestTick);
   }
 
   /**
@@ -612,6 +619,7 @@ class AnimationManager {
       }
     `;
     document.head.appendChild(style);
+    this.reducedMotionStyle = style;
     
     this.log('All animations disabled for reduced motion preference');
   }
@@ -687,6 +695,39 @@ class AnimationManager {
     return animation.finished;
   }
 
+  /**
+   * Stop observing and listening and cancel running animations
+   */
+  destroy() {
+    this.visibilitySubscriptions.forEach(unsubscribe => unsubscribe());
+    this.visibilitySubscriptions = [];
+    this.observedElements = new WeakMap();
+
+    if (this.handlers.click) {
+      document.removeEventListener('click', this.handlers.click);
+    }
+    if (this.handlers.reducedMotion) {
+      this.reducedMotionQuery.removeListener(this.handlers.reducedMotion);
+    }
+    if (this.handlers.roadmapRendered) {
+      document.removeEventListener('roadmap:rendered', this.handlers.roadmapRendered);
+    }
+    this.handlers = {};
+
+    this.scrollHandlers.forEach(handler => window.removeEventListener('scroll', handler, { passive: true }));
+    this.scrollHandlers = [];
+
+    this.activeAnimations.forEach(animation => animation.cancel());
+    this.activeAnimations.clear();
+
+    if (this.reducedMotionStyle) {
+      this.reducedMotionStyle.remove();
+      this.reducedMotionStyle = null;
+    }
+
+    this.log('AnimationManager destroyed');
+  }
+
   /**
    * Utility: Check if element is in viewport
    */
@@ -720,8 +761,8 @@ class AnimationManager {
   }
 }
 
-// Create global instance
-window.animationManager = new AnimationManager();
+// Export for global usage; MarketingSiteApp creates the instance
+window.AnimationManager = AnimationManager;
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
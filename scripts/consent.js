@@ -0,0 +1,339 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Consent
+   ========================================================================== */
+
+/**
+ * Consent categories. Essential storage (remembering these choices) is
+ * always on; the others start off until the visitor opts in.
+ */
+const CONSENT_CATEGORIES = {
+  essential: {
+    label: 'Essential',
+    description: 'Remembers your privacy choices. Always on.',
+    required: true
+  },
+  analytics: {
+    label: 'Analytics',
+    description: 'Anonymous page views and clicks, so we know which sections are useful.'
+  },
+  performance: {
+    label: 'Performance',
+    description: 'Loading and responsiveness measurements (Web Vitals) that help us keep the site fast.'
+  }
+};
+
+/**
+ * Consent Manager - Asks for consent with a banner, keeps the answer with
+ * the policy version it was given for, and lets visitors change it in a
+ * preferences dialog. A new policy version asks again. With Do Not Track or
+ * Global Privacy Control set, nothing optional is enabled and the banner is
+ * not shown; the preferences dialog still allows opting in.
+ *
+ * Changes dispatch consent:changed so features turn on or off without a
+ * reload.
+ */
+class ConsentManager {
+  constructor() {
+    this.config = {
+      version: '1',
+      storageKey: 'site-consent',
+      policyUrl: '',
+      ...this.readPageConfig()
+    };
+
+    this.state = this.load();
+    this.banner = null;
+    this.preferences = null;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Show the banner when a choice is needed and wire the settings buttons
+   */
+  init() {
+    if (this.needsPrompt()) {
+      this.showBanner();
+    }
+
+    document.querySelectorAll('[data-consent-preferences]').forEach(button => {
+      button.addEventListener('click', () => this.openPreferences(button));
+    });
+
+    this.log(`ConsentManager initialized (${this.state ? `version ${this.state.version}` : 'no choice yet'})`);
+  }
+
+  /**
+   * Parse the JSON config block (<script type="application/json" id="consent-config">)
+   */
+  readPageConfig() {
+    const element = document.getElementById('consent-config');
+    if (!element) return {};
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      this.error('Invalid consent config:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Stored choice for the current policy version, or null
+   */
+  load() {
+    try {
+      const state = JSON.parse(localStorage.getItem(this.config.storageKey));
+      if (state && state.version === this.config.version) {
+        return state;
+      }
+      if (state) {
+        this.log(`Consent was given for policy ${state.version}; asking again for ${this.config.version}`);
+      }
+    } catch (error) {
+      // Unreadable or blocked storage counts as no choice
+    }
+    return null;
+  }
+
+  /**
+   * Whether the browser asks not to be tracked (Do Not Track or Global Privacy Control)
+   */
+  hasPrivacySignal() {
+    return navigator.globalPrivacyControl === true ||
+      navigator.doNotTrack === '1' || window.doNotTrack === '1';
+  }
+
+  /**
+   * Whether the visitor still has to choose
+   */
+  needsPrompt() {
+    return !this.state && !this.hasPrivacySignal();
+  }
+
+  /**
+   * Whether a category is allowed
+   * @param {string} category - Key of CONSENT_CATEGORIES
+   */
+  has(category) {
+    if (CONSENT_CATEGORIES[category] && CONSENT_CATEGORIES[category].required) return true;
+    return Boolean(this.state && this.state.categories[category]);
+  }
+
+  /**
+   * Store a choice and apply it
+   * @param {Object} categories - { analytics: boolean, performance: boolean }
+   */
+  save(categories) {
+    const optional = Object.keys(CONSENT_CATEGORIES).filter(key => !CONSENT_CATEGORIES[key].required);
+
+    this.state = {
+      version: this.config.version,
+      categories: optional.reduce((choice, key) => ({ ...choice, [key]: Boolean(categories[key]) }), {}),
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(this.state));
+    } catch (error) {
+      this.warn('Could not store consent; it applies to this page only');
+    }
+
+    this.hideBanner();
+    this.dispatchEvent('consent:changed', { categories: { ...this.state.categories } });
+    this.log('Consent saved:', this.state.categories);
+  }
+
+  acceptAll() {
+    this.save({ analytics: true, performance: true });
+  }
+
+  rejectAll() {
+    this.save({});
+  }
+
+  /**
+   * Banner with accept, reject and customize
+   */
+  showBanner() {
+    if (this.banner) return;
+
+    this.banner = document.createElement('div');
+    this.banner.className = 'consent-banner';
+    this.banner.setAttribute('role', 'region');
+    this.banner.setAttribute('aria-label', 'Privacy choices');
+
+    const text = document.createElement('p');
+    text.className = 'consent-text';
+    text.textContent = 'We would like to measure anonymous usage and page performance to improve this site. ' +
+      'No cookies, no personal data.';
+
+    if (this.config.policyUrl) {
+      const link = document.createElement('a');
+      link.href = this.config.policyUrl;
+      link.textContent = 'Privacy policy';
+      text.append(' ', link);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'consent-actions';
+    actions.append(
+      this.createButton('Accept all', 'btn btn-primary btn-small', () => this.acceptAll()),
+      this.createButton('Reject all', 'btn btn-secondary btn-small', () => this.rejectAll()),
+      this.createButton('Customize', 'btn btn-secondary btn-small', (event) => this.openPreferences(event.currentTarget))
+    );
+
+    this.banner.append(text, actions);
+    document.body.appendChild(this.banner);
+  }
+
+  hideBanner() {
+    if (this.banner) {
+      this.banner.remove();
+      this.banner = null;
+    }
+  }
+
+  /**
+   * Open the preferences dialog with the current choice
+   * @param {Element} [trigger] - Focused again when the dialog closes
+   */
+  openPreferences(trigger) {
+    if (!this.preferences) {
+      this.preferences = this.createPreferences();
+    }
+
+    const { dialog, form } = this.preferences;
+    Object.keys(CONSENT_CATEGORIES).forEach(key => {
+      form.elements[key].checked = this.has(key);
+    });
+
+    dialog.open(trigger || document.activeElement);
+  }
+
+  /**
+   * Build the preferences dialog
+   */
+  createPreferences() {
+    const dialog = new Dialog({
+      id: 'consent-dialog',
+      title: 'Privacy settings',
+      description: 'Choose what this site may measure. You can change this at any time.'
+    });
+
+    const form = document.createElement('form');
+    form.className = 'dialog-form consent-form';
+
+    if (this.hasPrivacySignal()) {
+      const note = document.createElement('p');
+      note.className = 'consent-signal';
+      note.textContent = 'Your browser asks sites not to track you, so optional categories stay off unless you turn them on here.';
+      form.appendChild(note);
+    }
+
+    Object.entries(CONSENT_CATEGORIES).forEach(([key, category]) => {
+      const row = document.createElement('div');
+      row.className = 'consent-category';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = `consent-${key}`;
+      input.name = key;
+      input.disabled = Boolean(category.required);
+      input.setAttribute('aria-describedby', `consent-${key}-description`);
+
+      const label = document.createElement('label');
+      label.htmlFor = input.id;
+      label.className = 'form-label';
+      label.textContent = category.label;
+
+      const description = document.createElement('p');
+      description.id = `consent-${key}-description`;
+      description.className = 'consent-description';
+      description.textContent = category.description;
+
+      row.append(input, label, description);
+      form.appendChild(row);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'dialog-actions';
+    const submit = this.createButton('Save choices', 'btn btn-primary', null);
+    submit.type = 'submit';
+    actions.append(
+      this.createButton('Accept all', 'btn btn-secondary', () => {
+        dialog.close();
+        this.acceptAll();
+      }),
+      submit
+    );
+    form.appendChild(actions);
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const choice = {};
+      Object.keys(CONSENT_CATEGORIES).forEach(key => {
+        choice[key] = form.elements[key].checked;
+      });
+      dialog.close();
+      this.save(choice);
+    });
+
+    dialog.body.appendChild(form);
+    return { dialog, form };
+  }
+
+  /**
+   * Button helper
+   */
+  createButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    if (onClick) {
+      button.addEventListener('click', onClick);
+    }
+    return button;
+  }
+
+  /**
+   * Dispatch custom event
+   */
+  dispatchEvent(eventName, detail = {}) {
+    document.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[ConsentManager]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[ConsentManager]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[ConsentManager]', ...args);
+  }
+}
+
+// Export for global usage
+window.ConsentManager = ConsentManager;
+window.CONSENT_CATEGORIES = CONSENT_CATEGORIES;
+window.consentManager = new ConsentManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConsentManager;
+}
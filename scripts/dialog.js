@@ -0,0 +1,139 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Dialogs
+   ========================================================================== */
+
+/**
+ * Dialog - Modal dialog shell with a title, close button and body for
+ * content. MarketingSiteApp traps focus inside the open dialog, hides the
+ * page behind it and closes it on Escape; closing returns focus to the
+ * element that opened it.
+ */
+class Dialog {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Id of the dialog element
+   * @param {string} options.title - Visible title, used as the accessible name
+   * @param {string} [options.description] - Text below the title, used as the description
+   */
+  constructor({ id, title, description = '' }) {
+    this.id = id;
+    this.isOpen = false;
+    this.trigger = null;
+
+    this.render(title, description);
+  }
+
+  /**
+   * Build the backdrop, dialog and header
+   */
+  render(title, description) {
+    this.backdrop = document.createElement('div');
+    this.backdrop.className = 'dialog-backdrop';
+    this.backdrop.hidden = true;
+
+    // Clicking outside the dialog closes it
+    this.backdrop.addEventListener('click', (event) => {
+      if (event.target === this.backdrop) {
+        this.close();
+      }
+    });
+
+    this.element = document.createElement('div');
+    this.element.className = 'dialog';
+    this.element.id = this.id;
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('aria-labelledby', `${this.id}-title`);
+
+    const header = document.createElement('div');
+    header.className = 'dialog-header';
+
+    const heading = document.createElement('h2');
+    heading.className = 'dialog-title';
+    heading.id = `${this.id}-title`;
+    heading.textContent = title;
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'dialog-close';
+    closeButton.setAttribute('aria-label', 'Close dialog');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => this.close());
+
+    header.append(heading, closeButton);
+    this.element.appendChild(header);
+
+    if (description) {
+      const text = document.createElement('p');
+      text.className = 'dialog-description';
+      text.id = `${this.id}-description`;
+      text.textContent = description;
+      this.element.setAttribute('aria-describedby', text.id);
+      this.element.appendChild(text);
+    }
+
+    this.body = document.createElement('div');
+    this.body.className = 'dialog-body';
+    this.element.appendChild(this.body);
+
+    this.backdrop.appendChild(this.element);
+    document.body.appendChild(this.backdrop);
+  }
+
+  /**
+   * Show the dialog
+   * @param {Element} [trigger] - Element to refocus on close (default: the focused element)
+   */
+  open(trigger = document.activeElement) {
+    if (this.isOpen) return;
+
+    this.trigger = trigger;
+    this.isOpen = true;
+    this.backdrop.hidden = false;
+
+    if (window.app && window.app.openDialog) {
+      window.app.openDialog(this);
+    } else {
+      const field = this.element.querySelector('[autofocus], input, select, textarea, button');
+      if (field) field.focus();
+    }
+
+    this.dispatchEvent('dialog:opened', { id: this.id });
+  }
+
+  /**
+   * Hide the dialog and return focus to its trigger
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.backdrop.hidden = true;
+
+    if (window.app && window.app.closeDialog) {
+      window.app.closeDialog(this);
+    }
+
+    if (this.trigger && typeof this.trigger.focus === 'function' && document.contains(this.trigger)) {
+      this.trigger.focus();
+    }
+    this.trigger = null;
+
+    this.dispatchEvent('dialog:closed', { id: this.id });
+  }
+
+  /**
+   * Dispatch custom event
+   */
+  dispatchEvent(eventName, detail = {}) {
+    document.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+  }
+}
+
+// Export for global usage
+window.Dialog = Dialog;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Dialog;
+}
@@ -0,0 +1,469 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Donations
+   ========================================================================== */
+
+/**
+ * Supported donation providers. Each lists the currencies it accepts (null
+ * for whatever the account is set up with), the smallest amount, the decimal
+ * places it takes, and how to build the donation URL. Providers that cannot
+ * prefill an amount (prefillsAmount: false) get a single button instead of
+ * the amount picker; the donor chooses the amount on their page.
+ * Any rule can be overridden per provider in the page config.
+ */
+const DONATION_PROVIDERS = {
+  'github-sponsors': {
+    name: 'GitHub Sponsors',
+    currencies: ['USD'],
+    minAmount: 1,
+    decimals: 0,
+    prefillsAmount: true,
+    buildUrl: ({ account, amount }) =>
+      `https://github.com/sponsors/${account}?frequency=one-time&amount=${amount}`
+  },
+
+  'ko-fi': {
+    name: 'Ko-fi',
+    currencies: null,
+    minAmount: 1,
+    decimals: 0,
+    prefillsAmount: false,
+    buildUrl: ({ account }) => `https://ko-fi.com/${account}`
+  },
+
+  'buymeacoffee': {
+    name: 'Buy Me a Coffee',
+    currencies: null,
+    minAmount: 1,
+    decimals: 0,
+    prefillsAmount: false,
+    buildUrl: ({ account }) => `https://www.buymeacoffee.com/${account}`
+  },
+
+  'paypal-me': {
+    name: 'PayPal.me',
+    currencies: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'NZD'],
+    minAmount: 1,
+    decimals: 2,
+    prefillsAmount: true,
+    buildUrl: ({ account, amount, currency }) => `https://www.paypal.me/${account}/${amount}${currency}`
+  },
+
+  'open-collective': {
+    name: 'Open Collective',
+    currencies: null,
+    minAmount: 1,
+    decimals: 0,
+    prefillsAmount: true,
+    buildUrl: ({ account, amount }) =>
+      `https://opencollective.com/${account}/donate?amount=${amount}&interval=oneTime`
+  }
+};
+
+/**
+ * Donation Manager - Reads the donation config from the page, validates
+ * amounts against the active provider, renders the preset amount picker and
+ * runs the custom amount dialog
+ */
+class DonationManager {
+  constructor() {
+    this.config = {
+      provider: 'github-sponsors',
+      currency: 'USD',
+      presets: [3, 5, 10, 25],
+      providers: {},
+      ...this.readPageConfig()
+    };
+
+    this.presetContainer = null;
+    this.presetLabel = null;
+    this.presetLabelText = '';
+    this.amountDialog = null;
+
+    if (window.offlineQueue) {
+      window.offlineQueue.register('donation', payload => this.processQueuedIntent(payload), { label: 'donation reminder' });
+    }
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Initialize the preset picker
+   */
+  init() {
+    this.presetContainer = document.querySelector('[data-donation-presets]');
+    if (this.presetContainer) {
+      this.presetLabel = document.getElementById(this.presetContainer.getAttribute('aria-labelledby'));
+      this.presetLabelText = this.presetLabel ? this.presetLabel.textContent : '';
+      this.renderPresets();
+    }
+    this.log(`DonationManager initialized with ${this.config.provider}`);
+  }
+
+  /**
+   * Parse the JSON config block (<script type="application/json" id="donation-config">)
+   */
+  readPageConfig() {
+    const element = document.getElementById('donation-config');
+    if (!element) return {};
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      this.error('Invalid donation config:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Active provider rules merged with their page config
+   * @param {string} [name] - Provider key (default: the configured provider)
+   * @returns {Object|null}
+   */
+  getProvider(name = this.config.provider) {
+    const provider = DONATION_PROVIDERS[name];
+    if (!provider) {
+      this.error(`Unknown donation provider: ${name}`);
+      return null;
+    }
+
+    return { id: name, ...provider, ...(this.config.providers[name] || {}) };
+  }
+
+  /**
+   * Whether the active provider's page opens with the chosen amount
+   */
+  prefillsAmount() {
+    const provider = this.getProvider();
+    return Boolean(provider && provider.prefillsAmount);
+  }
+
+  /**
+   * Currencies the active provider accepts, default first
+   */
+  getCurrencies() {
+    const provider = this.getProvider();
+    if (!provider) return [];
+    if (!provider.currencies) return [this.config.currency];
+
+    return provider.currencies.includes(this.config.currency)
+      ? [this.config.currency, ...provider.currencies.filter(code => code !== this.config.currency)]
+      : provider.currencies.slice();
+  }
+
+  /**
+   * Check an amount against the provider's rules
+   * @param {number|string} amount
+   * @param {string} [currency]
+   * @returns {Object} - { valid, amount, currency, message }
+   */
+  validateAmount(amount, currency = this.getCurrencies()[0]) {
+    const provider = this.getProvider();
+    const value = typeof amount === 'string' ? parseFloat(amount.replace(',', '.')) : amount;
+
+    if (!provider) {
+      return { valid: false, amount: value, currency, message: 'Donations are not available right now.' };
+    }
+
+    if (!this.getCurrencies().includes(currency)) {
+      return {
+        valid: false,
+        amount: value,
+        currency,
+        message: `${provider.name} does not accept ${currency}.`
+      };
+    }
+
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+      return { valid: false, amount: value, currency, message: 'Please enter an amount.' };
+    }
+
+    // Round to what both the provider and the currency allow (e.g. no cents for JPY)
+    const decimals = Math.min(provider.decimals, this.getCurrencyDecimals(currency));
+    const factor = Math.pow(10, decimals);
+    const rounded = Math.round(value * factor) / factor;
+
+    if (rounded < provider.minAmount) {
+      return {
+        valid: false,
+        amount: rounded,
+        currency,
+        message: `The minimum donation is ${this.formatAmount(provider.minAmount, currency)}.`
+      };
+    }
+
+    return { valid: true, amount: rounded, currency, message: '' };
+  }
+
+  /**
+   * Donation URL for an amount, or null when it is invalid or the provider
+   * has no account configured. The amount is ignored for providers that
+   * cannot prefill it.
+   */
+  buildUrl(amount, currency) {
+    const provider = this.getProvider();
+    if (!provider || !provider.account) {
+      this.warn(`No account configured for ${this.config.provider}`);
+      return null;
+    }
+
+    if (!provider.prefillsAmount) {
+      return provider.buildUrl({ account: encodeURIComponent(provider.account) });
+    }
+
+    const result = this.validateAmount(amount, currency);
+    if (!result.valid) {
+      this.warn(result.message);
+      return null;
+    }
+
+    return provider.buildUrl({
+      account: encodeURIComponent(provider.account),
+      amount: result.amount,
+      currency: result.currency
+    });
+  }
+
+  /**
+   * Format an amount in a currency for display
+   */
+  formatAmount(amount, currency = this.config.currency) {
+    try {
+      return new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: Number.isInteger(amount) ? 0 : undefined
+      }).format(amount);
+    } catch (error) {
+      return `${amount} ${currency}`;
+    }
+  }
+
+  /**
+   * "$5 donation", or just "donation" when the provider asks for the amount
+   */
+  describeDonation(amount, currency) {
+    return amount === null ? 'donation' : `${this.formatAmount(amount, currency)} donation`;
+  }
+
+  /**
+   * Decimal places a currency uses (2 for USD, 0 for JPY)
+   */
+  getCurrencyDecimals(currency) {
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  }
+
+  /**
+   * Render one button per preset amount ahead of the custom amount button.
+   * Providers that cannot prefill an amount get one button to their page
+   * instead, so no amount is offered that would not be used.
+   */
+  renderPresets() {
+    const currency = this.getCurrencies()[0];
+    this.presetContainer.querySelectorAll('.btn-donate').forEach(button => button.remove());
+
+    const customButton = this.presetContainer.querySelector('.btn-donate-custom');
+    const prefills = this.prefillsAmount();
+    if (customButton) customButton.hidden = !prefills;
+
+    if (!prefills) {
+      const provider = this.getProvider();
+      if (!provider) return;
+
+      if (this.presetLabel) {
+        this.presetLabel.textContent = `☕ Buy us a coffee - you choose the amount on ${provider.name}`;
+      }
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-success btn-donate';
+      button.textContent = `Donate on ${provider.name}`;
+      button.addEventListener('click', (event) => handleDonationClick(event));
+      this.presetContainer.insertBefore(button, customButton);
+      return;
+    }
+
+    if (this.presetLabel) {
+      this.presetLabel.textContent = this.presetLabelText;
+    }
+
+    this.config.presets
+      .filter(amount => this.validateAmount(amount, currency).valid)
+      .forEach(amount => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-success btn-donate';
+        button.dataset.amount = amount;
+        button.textContent = this.formatAmount(amount, currency);
+        button.setAttribute('aria-label', `Donate ${this.formatAmount(amount, currency)}`);
+        button.addEventListener('click', (event) => handleDonationClick(event, amount, currency));
+
+        this.presetContainer.insertBefore(button, customButton);
+      });
+  }
+
+  /**
+   * Ask for a custom amount and currency, then donate
+   * @param {Element} [trigger] - Button that opened the dialog; focused again on close
+   */
+  openAmountDialog(trigger) {
+    if (!this.amountDialog) {
+      this.amountDialog = this.createAmountDialog();
+    }
+
+    const { form, currencySelect } = this.amountDialog;
+    const currencies = this.getCurrencies();
+
+    form.reset();
+    this.showAmountError('');
+    currencySelect.textContent = '';
+    currencies.forEach(code => currencySelect.add(new Option(code, code)));
+    currencySelect.disabled = currencies.length < 2;
+
+    this.amountDialog.dialog.open(trigger || document.activeElement);
+  }
+
+  /**
+   * Build the custom amount dialog
+   */
+  createAmountDialog() {
+    const provider = this.getProvider();
+    const dialog = new Dialog({
+      id: 'donation-dialog',
+      title: 'Choose your amount',
+      description: provider ? `You will finish your donation on ${provider.name}.` : ''
+    });
+
+    const form = document.createElement('form');
+    form.className = 'dialog-form';
+    form.noValidate = true;
+    form.innerHTML = `
+      <label class="form-label" for="donation-amount">Amount</label>
+      <div class="form-row">
+        <input class="form-input" id="donation-amount" name="amount" type="number" inputmode="decimal"
+          min="0" step="any" required autofocus aria-describedby="donation-amount-error">
+        <select class="form-input form-select" id="donation-currency" name="currency" aria-label="Currency"></select>
+      </div>
+      <p class="form-error" id="donation-amount-error" role="alert" hidden></p>
+      <div class="dialog-actions">
+        <button type="button" class="btn btn-secondary dialog-cancel">Cancel</button>
+        <button type="submit" class="btn btn-success">Donate</button>
+      </div>
+    `;
+
+    const amountInput = form.querySelector('#donation-amount');
+    const currencySelect = form.querySelector('#donation-currency');
+    const errorMessage = form.querySelector('#donation-amount-error');
+
+    form.querySelector('.dialog-cancel').addEventListener('click', () => dialog.close());
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+
+      const result = this.validateAmount(amountInput.value, currencySelect.value);
+      if (!result.valid) {
+        this.showAmountError(result.message);
+        amountInput.focus();
+        return;
+      }
+
+      dialog.close();
+      handleDonationClick(null, result.amount, result.currency);
+    });
+
+    dialog.body.appendChild(form);
+
+    return { dialog, form, amountInput, currencySelect, errorMessage };
+  }
+
+  /**
+   * Show or clear the amount validation message
+   */
+  showAmountError(message) {
+    const { amountInput, errorMessage } = this.amountDialog;
+    errorMessage.textContent = message;
+    errorMessage.hidden = !message;
+
+    if (message) {
+      amountInput.setAttribute('aria-invalid', 'true');
+    } else {
+      amountInput.removeAttribute('aria-invalid');
+    }
+  }
+
+  /**
+   * Remember a donation made while offline; never rejects
+   * @param {number|null} amount - null when the provider asks for the amount
+   * @param {string|null} currency
+   */
+  async queueIntent(amount, currency) {
+    const key = amount === null ? this.config.provider : `${amount}-${currency}`;
+    try {
+      await window.offlineQueue.enqueue('donation', key, { amount, currency });
+    } catch (error) {
+      this.error('Could not queue the donation:', error);
+      showNotification('You\'re offline and we could not save your donation for later. Please try again when you\'re back online.', 'error');
+      return;
+    }
+
+    showNotification(
+      `You're offline. We'll remind you about your ${this.describeDonation(amount, currency)} when you're back online.`,
+      'info'
+    );
+  }
+
+  /**
+   * Back online: offer to finish the donation; the provider page needs a
+   * click to open, so it is not opened automatically
+   */
+  processQueuedIntent({ amount, currency }) {
+    const provider = this.getProvider();
+    if (!provider) return true;
+
+    showNotification(
+      `You're back online. Finish your ${this.describeDonation(amount, currency)} on ${provider.name}?`,
+      'info',
+      {
+        duration: 0,
+        actions: [{ label: 'Donate', onClick: () => handleDonationClick(null, amount, currency) }]
+      }
+    );
+    return true;
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[DonationManager]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[DonationManager]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[DonationManager]', ...args);
+  }
+}
+
+// Export for global usage
+window.DonationManager = DonationManager;
+window.DONATION_PROVIDERS = DONATION_PROVIDERS;
+window.donationManager = new DonationManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DonationManager;
+}
@@ -0,0 +1,229 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Downloads
+   ========================================================================== */
+
+/**
+ * Platforms the app can be downloaded for, in the order their badges are
+ * shown. The URLs come from the page config, where any other field can be
+ * overridden per platform; platforms without a URL are left out.
+ */
+const DOWNLOAD_PLATFORMS = {
+  ios: {
+    name: 'iOS',
+    label: 'Download on the',
+    store: 'App Store',
+    className: 'platform-ios',
+    icon: '<rect x="5" y="2" width="14" height="20" rx="2" ry="2"></rect><line x1="12" y1="18" x2="12.01" y2="18"></line>'
+  },
+
+  android: {
+    name: 'Android',
+    label: 'Get it on',
+    store: 'Google Play',
+    className: 'platform-android',
+    icon: '<rect x="5" y="2" width="14" height="20" rx="2" ry="2"></rect><line x1="12" y1="18" x2="12.01" y2="18"></line>'
+  },
+
+  // Desktop visitors get the source and builds, plus a QR code for their phone
+  desktop: {
+    name: 'Desktop',
+    label: 'Source and builds on',
+    store: 'GitHub',
+    className: 'platform-github',
+    icon: '<polyline points="16 18 22 12 16 6"></polyline><polyline points="8 6 2 12 8 18"></polyline>'
+  }
+};
+
+/**
+ * Download Manager - Renders the store badges from the page config, puts the
+ * one for the visitor's platform first, shows desktop visitors a QR code
+ * that opens the download section on their phone, and tracks which platform
+ * was chosen
+ */
+class DownloadManager {
+  constructor() {
+    this.config = {
+      platforms: {},
+      ...this.readPageConfig()
+    };
+
+    this.platform = this.detectPlatform();
+    this.container = null;
+    this.highlightTimer = null;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Render the badges, and the QR code for desktop visitors
+   */
+  init() {
+    this.container = document.querySelector('[data-download-links]');
+    if (!this.container) return;
+
+    this.renderLinks();
+    if (this.platform === 'desktop') {
+      this.renderQRCode();
+    }
+    this.log(`DownloadManager initialized for ${this.platform}`);
+  }
+
+  /**
+   * Parse the JSON config block (<script type="application/json" id="download-config">)
+   */
+  readPageConfig() {
+    const element = document.getElementById('download-config');
+    if (!element) return {};
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      this.error('Invalid download config:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Visitor's platform. User-Agent Client Hints name it directly where
+   * supported; otherwise the user agent string is used.
+   * @returns {string} - 'ios', 'android' or 'desktop'
+   */
+  detectPlatform() {
+    const { userAgent = '', userAgentData, maxTouchPoints = 0 } = navigator;
+
+    if (userAgentData && userAgentData.platform) {
+      const platform = userAgentData.platform.toLowerCase();
+      if (platform === 'android' || platform === 'ios') return platform;
+      if (!userAgentData.mobile) return 'desktop';
+    }
+
+    if (/android/i.test(userAgent)) return 'android';
+    if (/iphone|ipad|ipod/i.test(userAgent)) return 'ios';
+    // iPadOS requests the desktop site and reports itself as a Mac; touch gives it away
+    if (/macintosh/i.test(userAgent) && maxTouchPoints > 1) return 'ios';
+    return 'desktop';
+  }
+
+  /**
+   * Platforms with a download URL, the visitor's own first
+   * @returns {Object[]}
+   */
+  getPlatforms() {
+    return Object.keys(DOWNLOAD_PLATFORMS)
+      .map(id => ({ id, ...DOWNLOAD_PLATFORMS[id], ...(this.config.platforms[id] || {}) }))
+      .filter(platform => platform.url)
+      .sort((a, b) => (b.id === this.platform) - (a.id === this.platform));
+  }
+
+  /**
+   * One badge per platform, the recommended one promoted
+   */
+  renderLinks() {
+    this.container.textContent = '';
+
+    this.getPlatforms().forEach(platform => {
+      const recommended = platform.id === this.platform;
+      const link = document.createElement('a');
+      link.className = `download-link ${platform.className}`;
+      link.classList.toggle('is-recommended', recommended);
+      link.href = platform.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.dataset.platform = platform.id;
+      link.innerHTML = `
+        <span class="platform-icon" aria-hidden="true">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${platform.icon}</svg>
+        </span>
+        <span class="platform-info">
+          <span class="platform-label">${platform.label}</span>
+          <span class="platform-name">${platform.store}</span>
+        </span>
+        ${recommended ? '<span class="download-recommended badge badge-success">For your device</span>' : ''}
+      `;
+      link.addEventListener('click', () => this.trackChoice(platform.id));
+
+      this.container.appendChild(link);
+    });
+  }
+
+  /**
+   * QR code of this page's download section, for opening it on a phone
+   */
+  renderQRCode() {
+    if (typeof QRCode === 'undefined') return;
+
+    const url = `${window.location.origin}${window.location.pathname}#download`;
+    let code;
+    try {
+      code = new QRCode(url);
+    } catch (error) {
+      this.error('Could not encode the download QR code:', error.message);
+      return;
+    }
+
+    const figure = document.createElement('figure');
+    figure.className = 'download-qr';
+    figure.innerHTML = `
+      ${code.toSVG({ label: 'QR code opening this download page on your phone' })}
+      <figcaption class="body-small">On your laptop? Scan with your phone's camera to get the app.</figcaption>
+    `;
+    this.container.after(figure);
+  }
+
+  /**
+   * Report the badge the visitor followed
+   * @param {string} platform - Key of DOWNLOAD_PLATFORMS
+   */
+  trackChoice(platform) {
+    if (window.app && window.app.analytics) {
+      window.app.analytics.track('download_clicked', {
+        source: 'store_badge',
+        section: window.location.hash || '#download',
+        platform,
+        detected: this.platform
+      });
+    }
+    this.log(`Download chosen: ${platform} (detected ${this.platform})`);
+  }
+
+  /**
+   * Briefly highlight the recommended badge
+   */
+  reveal() {
+    if (!this.container) return;
+
+    const link = this.container.querySelector('.is-recommended') || this.container.querySelector('.download-link');
+    if (!link) return;
+
+    clearTimeout(this.highlightTimer);
+    link.classList.add('is-highlighted');
+    this.highlightTimer = setTimeout(() => link.classList.remove('is-highlighted'), 1200);
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[DownloadManager]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[DownloadManager]', ...args);
+  }
+}
+
+// Export for global usage
+window.DownloadManager = DownloadManager;
+window.DOWNLOAD_PLATFORMS = DOWNLOAD_PLATFORMS;
+window.downloadManager = new DownloadManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DownloadManager;
+}
@@ -0,0 +1,207 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Section Engagement
+   ========================================================================== */
+
+/**
+ * Engagement Tracker - Measures how long each section stays active, the
+ * order sections are visited in and the deepest point scrolled to, and
+ * sends a section_engagement summary through app.analytics when the page
+ * is hidden. Time only counts while the page is visible. Each summary
+ * covers the time since the previous one, so returning to the tab and
+ * leaving again never counts the same seconds twice.
+ */
+class EngagementTracker {
+  constructor() {
+    this.dwell = {};
+    this.order = [];
+    this.maxDepth = 0;
+    this.engagedTime = 0;
+    this.pageHeight = 0;
+
+    this.activeSection = null;
+    this.activeSince = null;
+    this.depthFrame = null;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Start with the section active at load and follow section changes
+   */
+  init() {
+    const app = window.app;
+    const section = app && app.sections ? app.sections[app.currentSection] : null;
+    if (section && section.id) {
+      this.enterSection(section.id);
+    }
+
+    document.addEventListener('section:changed', (event) => this.enterSection(event.detail.sectionId));
+
+    // The page height is measured up front so scrolling never forces layout
+    this.measurePage();
+    window.addEventListener('load', () => this.measurePage());
+    window.addEventListener('resize', () => this.measurePage());
+    window.addEventListener('scroll', () => this.scheduleDepthUpdate(), { passive: true });
+    this.updateDepth();
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.report();
+      } else {
+        this.resume();
+      }
+    });
+    window.addEventListener('pagehide', () => this.report());
+
+    this.log('EngagementTracker initialized');
+  }
+
+  /**
+   * Close the running section's time and start the next one
+   */
+  enterSection(sectionId) {
+    if (!sectionId || sectionId === this.activeSection) return;
+
+    this.pause();
+    this.activeSection = sectionId;
+    this.order.push(sectionId);
+    this.resume();
+  }
+
+  /**
+   * Add the running time to the active section and stop the clock
+   */
+  pause() {
+    if (this.activeSince === null) return;
+
+    const elapsed = performance.now() - this.activeSince;
+    this.dwell[this.activeSection] = (this.dwell[this.activeSection] || 0) + elapsed;
+    this.engagedTime += elapsed;
+    this.activeSince = null;
+  }
+
+  /**
+   * Restart the clock while the page is visible
+   */
+  resume() {
+    if (this.activeSection && this.activeSince === null && document.visibilityState !== 'hidden') {
+      this.activeSince = performance.now();
+    }
+  }
+
+  /**
+   * Read the scroll position at most once per frame
+   */
+  scheduleDepthUpdate() {
+    if (this.depthFrame) return;
+
+    this.depthFrame = requestAnimationFrame(() => {
+      this.depthFrame = null;
+      if (window.scrollProfiler) {
+        window.scrollProfiler.measure('updateDepth', () => this.updateDepth());
+      } else {
+        this.updateDepth();
+      }
+    });
+  }
+
+  /**
+   * Remember the document height (a layout read, so not done per scroll)
+   */
+  measurePage() {
+    this.pageHeight = document.documentElement.scrollHeight;
+  }
+
+  /**
+   * Record the furthest point of the page seen, as a percentage
+   */
+  updateDepth() {
+    const seen = window.scrollY + window.innerHeight;
+    const depth = this.pageHeight > window.innerHeight ? Math.min(100, Math.round((seen / this.pageHeight) * 100)) : 100;
+
+    this.maxDepth = Math.max(this.maxDepth, depth);
+  }
+
+  /**
+   * Engagement since the last report
+   * @returns {Object} - { dwell: { sectionId: ms }, order, maxDepth, engagedTime }
+   */
+  getSummary() {
+    const running = this.activeSince !== null ? performance.now() - this.activeSince : 0;
+    const dwell = { ...this.dwell };
+    if (running) {
+      dwell[this.activeSection] = (dwell[this.activeSection] || 0) + running;
+    }
+
+    return {
+      dwell,
+      order: this.order.slice(),
+      maxDepth: this.maxDepth,
+      engagedTime: this.engagedTime + running
+    };
+  }
+
+  /**
+   * Send the summary and start a new measuring period
+   */
+  report() {
+    this.pause();
+
+    const summary = this.getSummary();
+    if (summary.engagedTime > 0) {
+      this.send(summary);
+    }
+
+    // The next period starts in the current section at the current depth
+    this.dwell = {};
+    this.order = this.activeSection ? [this.activeSection] : [];
+    this.engagedTime = 0;
+    this.maxDepth = 0;
+    this.updateDepth();
+    this.resume();
+  }
+
+  /**
+   * Track the summary as flat properties (sinks only accept flat values)
+   */
+  send(summary) {
+    const seconds = ms => Math.round(ms / 100) / 10;
+    const properties = {
+      order: summary.order.join('>'),
+      dwell: Object.entries(summary.dwell).map(([id, ms]) => `${id}:${seconds(ms)}`).join(','),
+      max_depth: summary.maxDepth,
+      duration: seconds(summary.engagedTime)
+    };
+
+    this.log('Engagement summary:', properties);
+
+    const analytics = window.app && window.app.analytics;
+    if (analytics) {
+      analytics.track('section_engagement', properties);
+      // The page may be going away; do not wait for the batch timer
+      analytics.flush({ beacon: true });
+    }
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[EngagementTracker]', ...args);
+    }
+  }
+}
+
+// Export for global usage
+window.EngagementTracker = EngagementTracker;
+window.engagementTracker = new EngagementTracker();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EngagementTracker;
+}
@@ -3,12 +3,32 @@
    ========================================================================== */
 
 /**
- * Main application initialization and global utilities
+ * Feature modules the app creates at the end of init() and destroys first in
+ * destroy(), in reverse order. The class is looked up on window when the
+ * app initializes, so its script may load after main.js; a module whose
+ * script is not on the page is skipped.
+ */
+const APP_MODULES = {
+  // Reveal animations, parallax and button feedback (animations.js)
+  animations: { className: 'AnimationManager' },
+
+  // P key / ?present slide deck; owns the SlideManager while presenting (slides.js)
+  presentation: { className: 'PresentationMode' }
+};
+
+/**
+ * Main application initialization and global utilities. One instance,
+ * window.app, is created when main.js loads. Everything init() sets up
+ * (listeners, visibility subscriptions, added elements, modules) is
+ * removed again by destroy().
  */
 class MarketingSiteApp {
   constructor() {
     this.isInitialized = false;
     this.debug = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+    this.modules = {};
+    this.listeners = [];
+    this.visibilitySubscriptions = [];
     
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
@@ -32,6 +52,7 @@ class MarketingSiteApp {
       this.initializeAccessibility();
       this.initializePerformanceMonitoring();
       this.initializeAnalytics();
+      this.initializeModules();
       
       this.isInitialized = true;
       this.log('Application initialized successfully');
@@ -44,6 +65,82 @@ class MarketingSiteApp {
     }
   }
 
+  /**
+   * Undo init(): destroy the modules, remove every listener, observer and
+   * element the app added, and stop analytics (sending what is queued) and
+   * Web Vitals. init() may be called again afterwards.
+   */
+  destroy() {
+    if (!this.isInitialized) return;
+    
+    this.destroyModules();
+    
+    if (this.activeDialog) {
+      this.activeDialog.close();
+    }
+    this.releaseFocusTrap();
+    
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+    
+    this.visibilitySubscriptions.forEach(unsubscribe => unsubscribe());
+    this.visibilitySubscriptions = [];
+    
+    [this.skipLink, this.announcement].forEach(element => {
+      if (element) element.remove();
+    });
+    this.skipLink = null;
+    this.announcement = null;
+    
+    if (this.analytics) {
+      this.analytics.destroy();
+      this.analytics = null;
+    }
+    this.stopWebVitals();
+    
+    this.isInitialized = false;
+    this.dispatchEvent('app:destroyed');
+    this.log('Application destroyed');
+  }
+
+  /**
+   * Add an event listener that destroy() removes again
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  /**
+   * Create the modules in APP_MODULES
+   */
+  initializeModules() {
+    Object.entries(APP_MODULES).forEach(([name, module]) => {
+      const ModuleClass = window[module.className];
+      if (typeof ModuleClass !== 'function') {
+        this.log(`Module ${name} not loaded`);
+        return;
+      }
+      
+      this.modules[name] = new ModuleClass();
+    });
+  }
+
+  /**
+   * Destroy the modules, last created first
+   */
+  destroyModules() {
+    Object.keys(this.modules).reverse().forEach(name => {
+      const module = this.modules[name];
+      if (typeof module.destroy === 'function') {
+        module.destroy();
+      }
+    });
+    this.modules = {};
+  }
+
   /**
    * Initialize scroll navigation functionality
    */
@@ -65,43 +162,75 @@ class MarketingSiteApp {
     this.sections = document.querySelectorAll('.section');
     this.currentSection = 0;
     
-    // Initialize intersection observer for section detection
-    if ('IntersectionObserver' in window) {
+    // Section detection through the shared visibility service (visibility.js)
+    if (window.visibilityService && window.visibilityService.supported) {
       this.initializeSectionObserver();
     }
     
     // Add smooth scroll behavior to all internal links
     this.initializeAnchorLinks();
+
+    // Deep links and Back/Forward
+    this.initializeRouting();
   }
 
   /**
-   * Initialize intersection observer for section detection
+   * Detect the section in the middle of the viewport
    */
   initializeSectionObserver() {
-    const options = {
-      root: null,
-      rootMargin: '-20% 0px -20% 0px',
-      threshold: 0.5
-    };
-
-    this.sectionObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const sectionIndex = Array.from(this.sections).indexOf(entry.target);
-          this.currentSection = sectionIndex;
-          
-          // Dispatch section change event
-          this.dispatchEvent('section:changed', {
-            sectionIndex,
-            sectionId: entry.target.id,
-            sectionTitle: this.getSectionTitle(entry.target)
-          });
+    // Passive detection: updates state and fires section:changed, never history
+    this.sections.forEach((section, sectionIndex) => {
+      this.visibilitySubscriptions.push(window.visibilityService.observe(section, 'section', (entry) => {
+        if (entry.isIntersecting && sectionIndex !== this.currentSection) {
+          this.setCurrentSection(sectionIndex, 'scroll');
         }
-      });
-    }, options);
+      }));
+    });
+  }
+
+  /**
+   * Make a section current and dispatch section:changed
+   * @param {number} sectionIndex
+   * @param {string} source - 'scroll', 'navigation', 'history' or 'load'
+   */
+  setCurrentSection(sectionIndex, source) {
+    const section = this.sections[sectionIndex];
+    if (!section) return;
 
-    this.sections.forEach(section => {
-      this.sectionObserver.observe(section);
+    this.currentSection = sectionIndex;
+
+    // Dispatch section change event
+    this.dispatchEvent('section:changed', {
+      sectionIndex,
+      sectionId: section.id,
+      sectionTitle: this.getSectionTitle(section),
+      source
+    });
+  }
+
+  /**
+   * Restore the section in the URL on load and follow Back/Forward.
+   * Slide routes belong to presentation mode (slides.js).
+   */
+  initializeRouting() {
+    if (!window.router) return;
+
+    const route = window.router.current;
+    if (route && route.type === 'section' && document.getElementById(route.id)) {
+      this.scrollToSection(route.id, { source: 'load', behavior: 'auto' });
+    }
+
+    this.listen(document, 'route:changed', (event) => {
+      const { route: target, source } = event.detail;
+      if (document.body.classList.contains('presentation-mode') || (target && target.type === 'slide')) {
+        return;
+      }
+
+      // Back to the entry without a hash means the top of the page
+      const sectionId = target ? target.id : this.sections[0] && this.sections[0].id;
+      if (sectionId) {
+        this.scrollToSection(sectionId, { source, behavior: 'auto' });
+      }
     });
   }
 
@@ -112,7 +241,7 @@ class MarketingSiteApp {
     const internalLinks = document.querySelectorAll('a[href^="#"]');
     
     internalLinks.forEach(link => {
-      link.addEventListener('click', (event) => {
+      this.listen(link, 'click', (event) => {
         event.preventDefault();
         const targetId = link.getAttribute('href').substring(1);
         this.scrollToSection(targetId);
@@ -121,43 +250,40 @@ class MarketingSiteApp {
   }
 
   /**
-   * Initialize scroll-based animations
+   * Reveal cards as they scroll into view. The shared visibility service
+   * reports them, so scrolling itself reads no layout. Roadmap items are
+   * rendered from their data file later and announced with roadmap:rendered.
    */
   initializeScrollAnimations() {
-    // Add scroll listener for animations
-    let ticking = false;
-    
-    window.addEventListener('scroll', () => {
-      if (!ticking) {
-        requestAnimationFrame(() => {
-          this.handleScrollAnimations();
-          ticking = false;
-        });
-        ticking = true;
-      }
-    });
+    this.observeReveals(document.querySelectorAll('.card, .feature-card, .use-case, .roadmap-item'));
+    this.listen(document, 'roadmap:rendered', (event) => this.observeReveals(event.detail.items));
   }
 
   /**
-   * Handle scroll-based animations
+   * Reveal elements once they come into view
+   * @param {Iterable<Element>} elements
    */
-  handleScrollAnimations() {
-    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-    const windowHeight = window.innerHeight;
-    
-    // Animate elements that come into view
-    const animateElements = document.querySelectorAll('.card, .feature-card, .use-case, .roadmap-item');
-    
-    animateElements.forEach(element => {
-      const elementTop = element.offsetTop;
-      const elementHeight = element.offsetHeight;
-      
-      if (scrollTop + windowHeight > elementTop + elementHeight * 0.2) {
-        element.classList.add('animate-in');
+  observeReveals(elements) {
+    const service = window.visibilityService;
+
+    Array.from(elements).forEach(element => {
+      if (service && service.supported) {
+        this.visibilitySubscriptions.push(
+          service.observe(element, 'reveal', () => this.revealElement(element), { once: true })
+        );
+      } else {
+        this.revealElement(element);
       }
     });
   }
 
+  /**
+   * Start an element's CSS reveal transition
+   */
+  revealElement(element) {
+    element.classList.add('animate-in');
+  }
+
   /**
    * Get section title for accessibility
    */
@@ -189,9 +315,21 @@ class MarketingSiteApp {
    * Initialize keyboard navigation
    */
   initializeKeyboardNavigation() {
-    document.addEventListener('keydown', (event) => {
-      // Don't interfere with form inputs
-      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+    this.listen(document, 'keydown', (event) => {
+      // Escape closes an open dialog, even from inside its fields
+      if (event.code === 'Escape' && this.activeDialog) {
+        event.preventDefault();
+        this.activeDialog.close();
+        return;
+      }
+
+      // Don't interfere with form inputs or an open dialog
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || this.activeDialog) {
+        return;
+      }
+
+      // Presentation mode (slides.js) handles its own keys
+      if (document.body.classList.contains('presentation-mode')) {
         return;
       }
 
@@ -216,10 +354,6 @@ class MarketingSiteApp {
           event.preventDefault();
           this.scrollToSection('download');
           break;
-        
-        case 'Escape':
-          // Future: Close modal or exit fullscreen
-          break;
       }
     });
   }
@@ -250,12 +384,16 @@ class MarketingSiteApp {
 
   /**
    * Scroll to specific section by ID
+   * @param {string} sectionId
+   * @param {Object} [options]
+   * @param {string} [options.source] - 'navigation' (pushes history), 'history' or 'load'
+   * @param {string} [options.behavior] - scrollIntoView behavior
    */
-  scrollToSection(sectionId) {
+  scrollToSection(sectionId, { source = 'navigation', behavior = 'smooth' } = {}) {
     const section = document.getElementById(sectionId);
     if (section) {
       section.scrollIntoView({
-        behavior: 'smooth',
+        behavior,
         block: 'start'
       });
       
@@ -263,12 +401,19 @@ class MarketingSiteApp {
       if (this.analytics) {
         this.analytics.track('section_navigated', {
           section: sectionId,
-          method: 'scroll'
+          method: source
         });
       }
+
+      const sectionIndex = Array.from(this.sections).indexOf(section);
+      if (sectionIndex !== -1 && sectionIndex !== this.currentSection) {
+        this.setCurrentSection(sectionIndex, source);
+      }
       
-      // Update URL hash without triggering scroll
-      history.replaceState(null, null, `#${sectionId}`);
+      // Deliberate navigation gets its own history entry
+      if (source === 'navigation' && window.router) {
+        window.router.navigate({ type: 'section', id: sectionId });
+      }
       
       this.log(`Scrolled to section: ${sectionId}`);
     }
@@ -317,14 +462,107 @@ class MarketingSiteApp {
     });
     
     document.body.insertBefore(skipLink, document.body.firstChild);
+    this.skipLink = skipLink;
   }
 
   /**
    * Initialize focus trap (for future modal usage)
    */
   initializeFocusTrap() {
-    // Implementation for focus trapping when needed
     this.focusableElements = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+    this.activeDialog = null;
+    this.focusTrapHandler = null;
+  }
+
+  /**
+   * Keep Tab and Shift+Tab cycling inside a container
+   * @param {Element} container
+   */
+  trapFocus(container) {
+    this.releaseFocusTrap();
+
+    const focusable = () => Array.from(container.querySelectorAll(this.focusableElements))
+      .filter(element => !element.disabled);
+
+    this.focusTrapHandler = (event) => {
+      if (event.code !== 'Tab') return;
+
+      const elements = focusable();
+      if (elements.length === 0) {
+        event.preventDefault();
+        return;
+      }
+
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+
+      if (!container.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+      } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener('keydown', this.focusTrapHandler);
+
+    const elements = focusable();
+    const initial = elements.find(element => element.hasAttribute('autofocus')) || elements[0];
+    if (initial) {
+      initial.focus();
+    }
+  }
+
+  /**
+   * Stop trapping focus
+   */
+  releaseFocusTrap() {
+    if (this.focusTrapHandler) {
+      document.removeEventListener('keydown', this.focusTrapHandler);
+      this.focusTrapHandler = null;
+    }
+  }
+
+  /**
+   * Show a dialog modally: trap focus in it and hide the page behind it
+   * from assistive technology. Called by Dialog.open().
+   */
+  openDialog(dialog) {
+    if (this.activeDialog && this.activeDialog !== dialog) {
+      this.activeDialog.close();
+    }
+
+    this.activeDialog = dialog;
+    this.trapFocus(dialog.element);
+
+    const page = document.querySelector('.app-container');
+    if (page) {
+      page.setAttribute('aria-hidden', 'true');
+      page.inert = true;
+    }
+
+    this.log(`Dialog opened: ${dialog.id}`);
+  }
+
+  /**
+   * Undo openDialog. Called by Dialog.close().
+   */
+  closeDialog(dialog) {
+    if (this.activeDialog !== dialog) return;
+
+    this.activeDialog = null;
+    this.releaseFocusTrap();
+
+    const page = document.querySelector('.app-container');
+    if (page) {
+      page.removeAttribute('aria-hidden');
+      page.inert = false;
+    }
+
+    this.log(`Dialog closed: ${dialog.id}`);
   }
 
   /**
@@ -335,7 +573,7 @@ class MarketingSiteApp {
     this.createScreenReaderAnnouncement();
     
     // Listen for section changes and announce them
-    document.addEventListener('section:changed', (event) => {
+    this.listen(document, 'section:changed', (event) => {
       const { sectionId, sectionTitle } = event.detail;
       this.announceToScreenReader(`Navigated to section: ${sectionTitle}`);
     });
@@ -345,12 +583,16 @@ class MarketingSiteApp {
    * Create screen reader announcement area
    */
   createScreenReaderAnnouncement() {
+    // Reuse an existing live region so announcements are never duplicated
+    if (document.getElementById('sectionAnnouncement')) return;
+
     const announcement = document.createElement('div');
     announcement.id = 'sectionAnnouncement';
     announcement.setAttribute('aria-live', 'polite');
     announcement.setAttribute('aria-atomic', 'true');
     announcement.className = 'sr-only';
     document.body.appendChild(announcement);
+    this.announcement = announcement;
   }
 
   /**
@@ -367,8 +609,10 @@ class MarketingSiteApp {
    * Initialize performance monitoring
    */
   initializePerformanceMonitoring() {
-    // Web Vitals monitoring (if available)
-    this.monitorWebVitals();
+    // Web Vitals monitoring (if consented to)
+    if (this.hasPerformanceConsent()) {
+      this.monitorWebVitals();
+    }
     
     // Custom performance metrics
     this.monitorScrollPerformance();
@@ -377,14 +621,29 @@ class MarketingSiteApp {
   }
 
   /**
-   * Monitor Web Vitals
+   * Collect Web Vitals (see web-vitals.js); live values are shown in debug mode
    */
   monitorWebVitals() {
-    // Placeholder for Web Vitals integration
-    if (typeof webVitals !== 'undefined') {
-      webVitals.getFCP(this.handleWebVital.bind(this));
-      webVitals.getLCP(this.handleWebVital.bind(this));
-      webVitals.getCLS(this.handleWebVital.bind(this));
+    this.webVitalsActive = true;
+    
+    if (this.webVitals || typeof WebVitals === 'undefined') return;
+    
+    this.webVitals = new WebVitals({
+      onReport: (metric) => this.handleWebVital(metric),
+      overlay: this.debug
+    });
+    this.webVitals.start();
+  }
+
+  /**
+   * Stop reporting Web Vitals (performance consent withdrawn)
+   */
+  stopWebVitals() {
+    this.webVitalsActive = false;
+    
+    if (this.webVitals) {
+      this.webVitals.stop();
+      this.webVitals = null;
     }
   }
 
@@ -392,7 +651,9 @@ class MarketingSiteApp {
    * Handle Web Vital measurements
    */
   handleWebVital(metric) {
-    this.log(`Web Vital ${metric.name}:`, metric.value);
+    if (!this.webVitalsActive) return;
+    
+    this.log(`Web Vital ${metric.name}: ${metric.value} (${metric.rating})`);
     
     // Send to analytics if configured
     if (this.analytics) {
@@ -405,33 +666,16 @@ class MarketingSiteApp {
   }
 
   /**
-   * Monitor scroll performance
+   * Profile scroll jank (see scroll-profiler.js); the aggregate is logged
+   * once when the page is hidden rather than per scroll
    */
   monitorScrollPerformance() {
-    let scrollStartTime = performance.now();
-    let isScrolling = false;
-    
-    window.addEventListener('scroll', () => {
-      if (!isScrolling) {
-        scrollStartTime = performance.now();
-        isScrolling = true;
-      }
-      
-      // Debounce scroll end detection
-      clearTimeout(this.scrollEndTimer);
-      this.scrollEndTimer = setTimeout(() => {
-        const scrollTime = performance.now() - scrollStartTime;
-        this.log(`Scroll operation took ${scrollTime.toFixed(2)}ms`);
-        isScrolling = false;
-        
-        if (scrollTime > 100) {
-          this.warn(`Slow scroll performance detected: ${scrollTime.toFixed(2)}ms`);
-        }
-      }, 150);
-    });
+    if (window.scrollProfiler) {
+      window.scrollProfiler.start();
+    }
     
     // Monitor section changes
-    document.addEventListener('section:changed', (event) => {
+    this.listen(document, 'section:changed', (event) => {
       const sectionChangeTime = performance.now();
       this.log(`Section changed to: ${event.detail.sectionId} at ${sectionChangeTime.toFixed(2)}ms`);
     });
@@ -441,35 +685,60 @@ class MarketingSiteApp {
    * Initialize analytics (privacy-safe)
    */
   initializeAnalytics() {
-    // Only initialize if user hasn't opted out
+    // Only initialize if user has opted in
     if (this.hasAnalyticsConsent()) {
       this.setupAnalytics();
     }
     
+    // Apply changes from the consent banner and preferences without a reload
+    this.listen(document, 'consent:changed', () => this.applyConsent());
+    
     this.log('Analytics initialized');
   }
 
   /**
-   * Check for analytics consent
+   * Start or stop analytics and Web Vitals to match the current consent
+   */
+  applyConsent() {
+    if (this.hasAnalyticsConsent()) {
+      this.setupAnalytics();
+    } else {
+      this.teardownAnalytics();
+    }
+    
+    if (this.hasPerformanceConsent()) {
+      this.monitorWebVitals();
+    } else {
+      this.stopWebVitals();
+    }
+  }
+
+  /**
+   * Check for analytics consent (see consent.js)
    */
   hasAnalyticsConsent() {
-    // Check localStorage for consent (implement as needed)
-    return localStorage.getItem('analytics-consent') === 'true';
+    return Boolean(window.consentManager && window.consentManager.has('analytics'));
+  }
+
+  /**
+   * Check for performance measurement consent (see consent.js)
+   */
+  hasPerformanceConsent() {
+    return Boolean(window.consentManager && window.consentManager.has('performance'));
   }
 
   /**
-   * Setup analytics tracking
+   * Setup analytics tracking (see analytics.js)
    */
   setupAnalytics() {
-    // Placeholder for analytics setup
-    this.analytics = {
-      track: (event, properties) => {
-        if (this.debug) {
-          this.log('Analytics Event:', event, properties);
-        }
-        // Implement actual analytics tracking here
-      }
-    };
+    if (this.analytics) return;
+    
+    if (!window.Analytics) {
+      this.warn('Analytics pipeline not loaded');
+      return;
+    }
+    
+    this.analytics = new Analytics();
     
     // Track page view
     this.analytics.track('page_view', {
@@ -478,6 +747,17 @@ class MarketingSiteApp {
     });
   }
 
+  /**
+   * Stop analytics (consent withdrawn); queued events are dropped, not sent
+   */
+  teardownAnalytics() {
+    if (!this.analytics) return;
+    
+    this.analytics.destroy({ flush: false });
+    this.analytics = null;
+    this.log('Analytics stopped');
+  }
+
   /**
    * Utility method to dispatch custom events
    */
@@ -557,8 +837,9 @@ class MarketingSiteApp {
 
 // Global utilities
 window.MarketingSiteApp = MarketingSiteApp;
+window.APP_MODULES = APP_MODULES;
 
-// Initialize the application
+// The one application instance; it initializes itself when the DOM is ready
 window.app = new MarketingSiteApp();
 
 // Export for module systems
@@ -610,10 +891,10 @@ function previousSection() {
 }
 
 /**
- * Handle download button click - shows download modal with platform options
+ * Handle download button click - scrolls to the download section and
+ * highlights the store badge for the visitor's platform
  */
 function handleDownloadClick(event) {
-  // Prevent default anchor behavior for now
   if (event && event.preventDefault) {
     event.preventDefault();
   }
@@ -622,71 +903,74 @@ function handleDownloadClick(event) {
   if (window.app && window.app.analytics) {
     window.app.analytics.track('download_clicked', {
       source: 'section_button',
-      section: window.location.hash || '#hero'
+      section: window.location.hash || '#hero',
+      platform: null,
+      detected: window.downloadManager ? window.downloadManager.platform : null
     });
   }
   
-  // Navigate to download section if not already there
-  const currentSection = document.querySelector('.section:target') || document.querySelector('#hero');
-  if (!currentSection || currentSection.id !== 'download') {
-    scrollToSection('download');
-    return;
-  }
+  scrollToSection('download');
   
-  // Show download options modal (for now, just scroll to download section)
-  const downloadSection = document.querySelector('.download-platforms');
-  if (downloadSection) {
-    downloadSection.scrollIntoView({ 
-      behavior: 'smooth', 
-      block: 'center' 
-    });
-    
-    // Highlight download buttons briefly
-    const downloadButtons = document.querySelectorAll('.download-link');
-    downloadButtons.forEach(button => {
-      button.style.transform = 'scale(1.02)';
-      button.style.transition = 'transform 0.3s ease';
-      setTimeout(() => {
-        button.style.transform = '';
-      }, 600);
-    });
+  if (window.downloadManager) {
+    window.downloadManager.reveal();
   }
-  
-  console.log('Download button clicked - navigated to download options');
 }
 
 /**
- * Handle donation button click with specified amount
+ * Handle donation button click - opens the configured provider (see donations.js)
+ * @param {Event} event
+ * @param {number} [amount] - Donation amount; not used when the provider asks for it
+ * @param {string} [currency] - Currency code (default: the provider's first currency)
  */
-function handleDonationClick(event, amount) {
+function handleDonationClick(event, amount, currency) {
   // Prevent default behavior
   if (event && event.preventDefault) {
     event.preventDefault();
   }
   
-  // Validate amount
-  if (!amount || amount < 1) {
-    console.error('Invalid donation amount:', amount);
+  // Validate amount against the provider's rules
+  const manager = window.donationManager;
+  let result;
+  if (manager && !manager.prefillsAmount()) {
+    result = { valid: true, amount: null, currency: null, message: '' };
+  } else {
+    result = manager
+      ? manager.validateAmount(amount, currency)
+      : { valid: amount >= 1, amount, currency: currency || 'USD', message: 'Invalid donation amount' };
+  }
+
+  if (!result.valid) {
+    console.error('Invalid donation amount:', amount, result.message);
     return;
   }
   
   // Track analytics if available
   if (window.app && window.app.analytics) {
     window.app.analytics.track('donation_clicked', {
-      amount: amount,
+      amount: result.amount,
+      currency: result.currency,
+      provider: manager ? manager.config.provider : null,
       source: 'monetization_section',
       section: window.location.hash || '#monetization'
     });
   }
   
-  // Generate donation URL (GitHub Sponsors as example)
-  // In production, replace with actual donation platform
-  const donationUrl = generateDonationUrl(amount);
+  // Without a connection the provider page cannot load; remind the donor later
+  if (manager && window.offlineQueue && !window.offlineQueue.isOnline()) {
+    manager.queueIntent(result.amount, result.currency);
+    return;
+  }
+  
+  const donationUrl = generateDonationUrl(result.amount, result.currency);
+  if (!donationUrl) {
+    showNotification('Donations are not set up yet. Please check back soon.', 'error');
+    return;
+  }
   
   // Open donation page in new tab
   window.open(donationUrl, '_blank', 'noopener,noreferrer');
   
-  console.log(`Donation button clicked - Amount: $${amount}`);
+  console.log(`Donation button clicked - Amount: ${result.amount} ${result.currency}`);
 }
 
 /**
@@ -698,58 +982,35 @@ function handleCustomDonationClick(event) {
     event.preventDefault();
   }
   
-  // Prompt user for custom amount
-  const customAmount = prompt('Enter your preferred donation amount (minimum $1):', '5');
-  
-  if (customAmount === null) {
-    // User cancelled
+  if (!window.donationManager) {
+    console.warn('Donation manager not available');
     return;
   }
   
-  const amount = parseFloat(customAmount);
-  
-  // Validate custom amount
-  if (isNaN(amount) || amount < 1) {
-    alert('Please enter a valid amount of $1 or more.');
-    return;
-  }
-  
-  // Use the same donation handler with custom amount
-  handleDonationClick(null, amount);
+  // The amount dialog validates and then calls handleDonationClick
+  window.donationManager.openAmountDialog(event ? event.currentTarget || event.target : null);
 }
 
 /**
- * Generate donation URL based on amount
- * @param {number} amount - Donation amount in dollars
- * @returns {string} - Donation URL
+ * Generate donation URL for the configured provider
+ * @param {number} amount - Donation amount
+ * @param {string} [currency] - Currency code
+ * @returns {string|null} - Donation URL, or null if donations are not configured
  */
-function generateDonationUrl(amount) {
-  // Example using GitHub Sponsors (replace with actual platform)
-  const platform = 'github-sponsors';
-  
-  switch (platform) {
-    case 'github-sponsors':
-      // Replace 'your-username' with actual GitHub username
-      return `https://github.com/sponsors/your-username?frequency=one-time&amount=${amount}`;
-    
-    case 'ko-fi':
-      // Replace 'your-username' with actual Ko-fi username
-      return `https://ko-fi.com/your-username?amount=${Math.ceil(amount / 3)}`;
-    
-    case 'buymeacoffee':
-      // Replace 'your-username' with actual Buy Me a Coffee username
-      return `https://www.buymeacoffee.com/your-username`;
-    
-    default:
-      // Fallback to a placeholder
-      return `https://example.com/donate?amount=${amount}`;
+function generateDonationUrl(amount, currency) {
+  if (!window.donationManager) {
+    console.warn('Donation manager not available');
+    return null;
   }
+
+  return window.donationManager.buildUrl(amount, currency);
 }
 
 /**
- * Handle newsletter form submission
+ * Handle newsletter form submission - subscribes through the configured
+ * provider (see newsletter.js)
  */
-function handleNewsletterSubmit(event) {
+async function handleNewsletterSubmit(event) {
   event.preventDefault();
   
   const form = event.target;
@@ -770,12 +1031,9 @@ function handleNewsletterSubmit(event) {
     return;
   }
   
-  // Track analytics if available
-  if (window.app && window.app.analytics) {
-    window.app.analytics.track('newsletter_signup', {
-      email_domain: emailInput.value.split('@')[1],
-      section: window.location.hash || '#download'
-    });
+  if (!window.newsletterClient) {
+    console.warn('Newsletter client not available');
+    return;
   }
   
   // Show loading state
@@ -783,101 +1041,56 @@ function handleNewsletterSubmit(event) {
   submitButton.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="icon animate-spin"><circle cx="12" cy="12" r="3"></circle></svg> Subscribing...';
   submitButton.disabled = true;
   
-  // Simulate API call (replace with actual newsletter service)
-  setTimeout(() => {
-    // Reset form
-    form.reset();
-    
+  let result;
+  try {
+    result = await window.newsletterClient.subscribeOrQueue(emailInput.value.trim());
+  } finally {
     // Restore button
     submitButton.innerHTML = originalText;
     submitButton.disabled = false;
-    
-    // Show success message
-    showNotification('Successfully subscribed! Welcome to our community.', 'success');
-    
-    console.log('Newsletter subscription successful for:', emailInput.value);
-  }, 2000);
+  }
+  
+  // Track analytics if available
+  if (window.app && window.app.analytics) {
+    window.app.analytics.track('newsletter_signup', {
+      result: result.code,
+      provider: window.newsletterClient.config.provider,
+      section: window.location.hash || '#download'
+    });
+  }
+  
+  if (result.ok) {
+    form.reset();
+    showNotification(result.message, 'success');
+  } else if (result.code === 'queued') {
+    form.reset();
+    showNotification(result.message, 'info');
+  } else if (result.code === 'server' || result.code === 'network') {
+    showNotification(result.message, 'error', {
+      actions: [{ label: 'Retry', onClick: () => form.requestSubmit(submitButton) }]
+    });
+  } else {
+    showNotification(result.message, result.code === 'exists' ? 'info' : 'error');
+    if (result.code === 'invalid' || result.code === 'exists') {
+      emailInput.focus();
+    }
+  }
 }
 
 /**
- * Show notification message to user
- * @param {string} message - The message to display
- * @param {string} type - The type of notification (success, error, info)
+ * Show notification message to user (see notifications.js)
+ * @param {string} message - The message to display, as plain text
+ * @param {string} type - The type of notification (success, info, warning, error)
+ * @param {Object} [options] - duration and actions ({ label, onClick }) for the toast
+ * @returns {Object|null} - Handle with dismiss(), or null without a notification center
  */
-function showNotification(message, type = 'info') {
-  // Remove existing notifications
-  const existingNotification = document.querySelector('.notification');
-  if (existingNotification) {
-    existingNotification.remove();
+function showNotification(message, type = 'info', options = {}) {
+  if (!window.notifications) {
+    console.warn('Notification center not available:', message);
+    return null;
   }
   
-  // Create notification element
-  const notification = document.createElement('div');
-  notification.className = `notification notification-${type}`;
-  notification.innerHTML = `
-    <div class="notification-content">
-      <span class="notification-message">${message}</span>
-      <button class="notification-close" onclick="this.parentElement.parentElement.remove()" aria-label="Close notification">×</button>
-    </div>
-  `;
-  
-  // Add styles
-  notification.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    background: ${type === 'success' ? '#10B981' : type === 'error' ? '#EF4444' : '#3B82F6'};
-    color: white;
-    padding: 16px 20px;
-    border-radius: 8px;
-    box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
-    z-index: 9999;
-    transform: translateX(100%);
-    transition: transform 0.3s ease;
-    max-width: 400px;
-    font-size: 14px;
-  `;
-  
-  notification.querySelector('.notification-content').style.cssText = `
-    display: flex;
-    align-items: center;
-    justify-content: space-between;
-    gap: 12px;
-  `;
-  
-  notification.querySelector('.notification-close').style.cssText = `
-    background: none;
-    border: none;
-    color: white;
-    font-size: 18px;
-    cursor: pointer;
-    padding: 0;
-    width: 20px;
-    height: 20px;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-  `;
-  
-  // Add to document
-  document.body.appendChild(notification);
-  
-  // Animate in
-  requestAnimationFrame(() => {
-    notification.style.transform = 'translateX(0)';
-  });
-  
-  // Auto-remove after 5 seconds
-  setTimeout(() => {
-    if (notification.parentElement) {
-      notification.style.transform = 'translateX(100%)';
-      setTimeout(() => {
-        if (notification.parentElement) {
-          notification.remove();
-        }
-      }, 300);
-    }
-  }, 5000);
+  return window.notifications.show(message, { ...options, type });
 }
 
 /**
@@ -897,12 +1110,3 @@ function switchScreenshot(tabName) {
     element.classList.add('active');
   });
 }
-
-// Initialize the application when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    const app = new MarketingSiteApp();
-  });
-} else {
-  const app = new MarketingSiteApp();
-}
\ No newline at end of file
@@ -0,0 +1,371 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Newsletter
+   ========================================================================== */
+
+/**
+ * Supported newsletter providers. Each builds the subscribe request for an
+ * email address and maps the provider's response to a result code:
+ *
+ *   pending       subscribed, waiting for the double opt-in confirmation
+ *   subscribed    subscribed and confirmed
+ *   exists        the address is already on the list
+ *   invalid       the provider rejected the address
+ *   rate-limited  too many attempts
+ *   unavailable   the provider is not configured or refused the account
+ *   server        the provider failed
+ *
+ * Requests use fetch unless the provider sets a transport ('jsonp' for
+ * endpoints without CORS).
+ */
+const NEWSLETTER_PROVIDERS = {
+  // Embed form endpoint; no-cors, so an opaque response means it was accepted
+  'buttondown': {
+    name: 'Buttondown',
+    buildRequest: ({ account, email }) => account && {
+      url: `https://buttondown.com/api/emails/embed-subscribe/${encodeURIComponent(account)}`,
+      method: 'POST',
+      mode: 'no-cors',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ email, embed: '1' }).toString()
+    },
+    parseResponse: ({ status }) => (status === 0 || status < 400 ? { code: 'pending' } : { code: 'server' })
+  },
+
+  // Hosted form JSONP endpoint; errors come back as { result: 'error', msg }
+  'mailchimp': {
+    name: 'Mailchimp',
+    transport: 'jsonp',
+    buildRequest: ({ account, listId, server, email }) => account && listId && server && {
+      url: `https://${server}.list-manage.com/subscribe/post-json?` +
+        new URLSearchParams({ u: account, id: listId, EMAIL: email }).toString()
+    },
+    parseResponse: ({ data }) => {
+      if (!data) return { code: 'server' };
+
+      // Messages are HTML and may start with a field index ("0 - ...")
+      const message = String(data.msg || '').replace(/<[^>]*>/g, '').replace(/^\d+\s+-\s+/, '');
+      if (data.result === 'success') return { code: 'pending' };
+      if (/already subscribed/i.test(message)) return { code: 'exists' };
+      if (/too many/i.test(message)) return { code: 'rate-limited' };
+      return { code: 'invalid', message };
+    }
+  },
+
+  // Public form API; subscriptions stay "inactive" until confirmed
+  'convertkit': {
+    name: 'ConvertKit',
+    buildRequest: ({ account, apiKey, email }) => account && apiKey && {
+      url: `https://api.convertkit.com/v3/forms/${encodeURIComponent(account)}/subscribe`,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ api_key: apiKey, email })
+    },
+    parseResponse: ({ status, data }) => {
+      if (status >= 200 && status < 300) {
+        const state = data && data.subscription && data.subscription.state;
+        return { code: state === 'active' ? 'subscribed' : 'pending' };
+      }
+      return mapHttpStatus(status, data && data.message);
+    }
+  },
+
+  // Any endpoint accepting { email } as JSON and answering { status, message }
+  'generic': {
+    name: 'Newsletter',
+    buildRequest: ({ endpoint, email }) => endpoint && {
+      url: endpoint,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({ email, source: window.location.pathname })
+    },
+    parseResponse: ({ status, data }) => {
+      if (status >= 200 && status < 300) {
+        return { code: data && data.status === 'subscribed' ? 'subscribed' : 'pending' };
+      }
+      return mapHttpStatus(status, data && data.message);
+    }
+  }
+};
+
+/**
+ * Default message for each result code
+ */
+const NEWSLETTER_MESSAGES = {
+  'pending': 'Almost there! Check your inbox and confirm your subscription.',
+  'subscribed': 'Successfully subscribed! Welcome to our community.',
+  'exists': 'You are already subscribed with this address.',
+  'invalid': 'Please check your email address and try again.',
+  'rate-limited': 'Too many attempts. Please wait a few minutes and try again.',
+  'unavailable': 'Newsletter signup is not available right now.',
+  'server': 'The newsletter service had a problem. Please try again later.',
+  'network': 'We could not reach the newsletter service. Please check your connection and try again.',
+  'queued': "You're offline. We'll subscribe you when you're back online."
+};
+
+/**
+ * Map an HTTP error status to a result code
+ */
+function mapHttpStatus(status, message) {
+  if (status === 400 || status === 422) return { code: 'invalid', message };
+  if (status === 409) return { code: 'exists' };
+  if (status === 429) return { code: 'rate-limited' };
+  if (status === 401 || status === 403 || status === 404) return { code: 'unavailable' };
+  return { code: 'server' };
+}
+
+/**
+ * Newsletter Client - Subscribes an address through the configured provider
+ * with a per-request timeout and retries on network failures. Signups that
+ * cannot reach the provider wait in the offline queue. The signup form
+ * ([data-newsletter]) stays hidden until the provider is configured.
+ */
+class NewsletterClient {
+  constructor() {
+    this.config = {
+      provider: null,
+      timeout: 8000,
+      retries: 2,
+      retryDelay: 1000,
+      providers: {},
+      ...this.readPageConfig()
+    };
+
+    this.jsonpCounter = 0;
+
+    if (window.offlineQueue) {
+      window.offlineQueue.register('newsletter', payload => this.processQueued(payload), { label: 'newsletter signup' });
+    }
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Show the signup form when there is a provider to send it to
+   */
+  init() {
+    const signup = document.querySelector('[data-newsletter]');
+    if (signup) {
+      signup.hidden = !this.isAvailable();
+    }
+
+    this.log(`NewsletterClient initialized with ${this.config.provider || 'no provider'}`);
+  }
+
+  /**
+   * Parse the JSON config block (<script type="application/json" id="newsletter-config">)
+   */
+  readPageConfig() {
+    const element = document.getElementById('newsletter-config');
+    if (!element) return {};
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      this.error('Invalid newsletter config:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Active provider rules merged with their page config
+   * @param {string} [name] - Provider key (default: the configured provider)
+   * @returns {Object|null}
+   */
+  getProvider(name = this.config.provider) {
+    const provider = NEWSLETTER_PROVIDERS[name];
+    if (!provider) {
+      if (name) this.error(`Unknown newsletter provider: ${name}`);
+      return null;
+    }
+
+    return { id: name, ...provider, ...(this.config.providers[name] || {}) };
+  }
+
+  /**
+   * Whether the configured provider has the account details it needs
+   */
+  isAvailable() {
+    const provider = this.getProvider();
+    return Boolean(provider && provider.buildRequest({ ...provider, email: '' }));
+  }
+
+  /**
+   * Subscribe an email address
+   * @param {string} email
+   * @returns {Promise<Object>} - { ok, code, message }; never rejects
+   */
+  async subscribe(email) {
+    const provider = this.getProvider();
+    const request = provider && provider.buildRequest({ ...provider, email });
+    if (!request) {
+      this.warn(`No account configured for ${this.config.provider}`);
+      return this.result('unavailable');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.send(provider, request);
+        const { code, message } = provider.parseResponse(response);
+        return this.result(code, message);
+      } catch (error) {
+        if (attempt >= this.config.retries) {
+          this.warn('Subscription failed:', error.message);
+          return this.result('network');
+        }
+
+        // Back off before retrying: retryDelay, then twice as long, ...
+        const delay = this.config.retryDelay * Math.pow(2, attempt);
+        this.log(`Network error (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Subscribe now, or queue the signup when there is no connection
+   * @param {string} email
+   * @returns {Promise<Object>} - As subscribe(), with code 'queued' when
+   *   deferred and 'network' when it could not be queued; never rejects
+   */
+  async subscribeOrQueue(email) {
+    const queue = window.offlineQueue;
+    const result = queue && !queue.isOnline() ? this.result('network') : await this.subscribe(email);
+
+    if (result.code !== 'network' || !queue) {
+      return result;
+    }
+
+    try {
+      const { duplicate } = await queue.enqueue('newsletter', email.toLowerCase(), { email });
+      return { ...this.result('queued'), duplicate };
+    } catch (error) {
+      this.error('Could not queue the signup:', error);
+      return result;
+    }
+  }
+
+  /**
+   * Replay a queued signup; keeps it queued while the network still fails
+   */
+  async processQueued({ email }) {
+    const result = await this.subscribe(email);
+    if (result.code === 'network') return false;
+
+    if (typeof showNotification === 'function') {
+      showNotification(result.message, result.ok ? 'success' : 'error');
+    }
+    return true;
+  }
+
+  /**
+   * Build a result with the message shown to the subscriber
+   */
+  result(code, message) {
+    return {
+      ok: code === 'pending' || code === 'subscribed',
+      code,
+      message: message || NEWSLETTER_MESSAGES[code] || NEWSLETTER_MESSAGES.server
+    };
+  }
+
+  /**
+   * Send a request with the provider's transport
+   * @returns {Promise<Object>} - { status, data }; rejects on network failure or timeout
+   */
+  send(provider, request) {
+    if (provider.transport === 'jsonp') return this.sendJsonp(request);
+    return this.sendFetch(request);
+  }
+
+  /**
+   * fetch() with an abort timeout; JSON bodies are parsed when present
+   */
+  async sendFetch({ url, ...init }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await window.fetch(url, { ...init, signal: controller.signal });
+
+      let data = null;
+      try {
+        data = await response.json();
+      } catch (error) {
+        // Opaque and non-JSON responses carry no data
+      }
+
+      return { status: response.status, data };
+    } catch (error) {
+      throw controller.signal.aborted ? new Error(`Timed out after ${this.config.timeout}ms`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * JSONP request for providers that do not allow cross-origin fetch
+   */
+  sendJsonp({ url }) {
+    return new Promise((resolve, reject) => {
+      const callback = `newsletterCallback${++this.jsonpCounter}`;
+      const script = document.createElement('script');
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        delete window[callback];
+        script.remove();
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out after ${this.config.timeout}ms`));
+      }, this.config.timeout);
+
+      window[callback] = (data) => {
+        cleanup();
+        resolve({ status: 200, data });
+      };
+
+      script.onerror = () => {
+        cleanup();
+        reject(new TypeError('Network request failed'));
+      };
+
+      script.src = `${url}&c=${callback}`;
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[NewsletterClient]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[NewsletterClient]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[NewsletterClient]', ...args);
+  }
+}
+
+// Export for global usage
+window.NewsletterClient = NewsletterClient;
+window.NEWSLETTER_PROVIDERS = NEWSLETTER_PROVIDERS;
+window.newsletterClient = new NewsletterClient();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NewsletterClient;
+}
@@ -0,0 +1,249 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Notifications
+   ========================================================================== */
+
+/**
+ * Notification Center - Stacks toast notifications in the corner of the
+ * page. Up to maxVisible toasts show at once and the rest wait their turn;
+ * each closes after its type's duration, pausing while hovered or focused.
+ * Toasts may carry action buttons ("Undo", "Retry"). Messages are rendered
+ * as text and announced through MarketingSiteApp.announceToScreenReader.
+ */
+class NotificationCenter {
+  constructor(options = {}) {
+    this.config = {
+      maxVisible: 3,
+      exitDuration: 300,
+      // Milliseconds before a toast closes by itself; 0 keeps it until dismissed
+      durations: {
+        success: 4000,
+        info: 5000,
+        warning: 7000,
+        error: 8000
+      },
+      ...options
+    };
+
+    this.container = null;
+    this.visible = [];
+    this.waiting = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Show a notification
+   * @param {string} message - Plain text; never parsed as HTML
+   * @param {Object} [options]
+   * @param {string} [options.type] - success, info, warning or error
+   * @param {number} [options.duration] - Override the type's duration (0: until dismissed)
+   * @param {Object[]} [options.actions] - Buttons as { label, onClick }
+   * @returns {Object} - Handle with id and dismiss()
+   */
+  show(message, { type = 'info', duration, actions = [] } = {}) {
+    const durations = this.config.durations;
+    const toast = {
+      id: this.nextId++,
+      message: String(message),
+      type,
+      actions,
+      duration: duration !== undefined ? duration : (type in durations ? durations[type] : durations.info),
+      element: null,
+      timer: null,
+      remaining: 0,
+      startedAt: 0,
+      hovered: false,
+      focused: false
+    };
+    toast.remaining = toast.duration;
+
+    if (this.visible.length < this.config.maxVisible) {
+      this.render(toast);
+    } else {
+      this.waiting.push(toast);
+    }
+
+    return { id: toast.id, dismiss: () => this.dismiss(toast.id) };
+  }
+
+  /**
+   * Close a notification, visible or waiting
+   * @param {number} id
+   */
+  dismiss(id) {
+    const waitingIndex = this.waiting.findIndex(toast => toast.id === id);
+    if (waitingIndex !== -1) {
+      this.waiting.splice(waitingIndex, 1);
+      return;
+    }
+
+    const index = this.visible.findIndex(toast => toast.id === id);
+    if (index === -1) return;
+
+    const [toast] = this.visible.splice(index, 1);
+    clearTimeout(toast.timer);
+
+    // Keep focus in the stack rather than dropping it on the body
+    if (toast.element.contains(document.activeElement)) {
+      const next = this.visible[index] || this.visible[index - 1];
+      const target = next && next.element.querySelector('button');
+      if (target) target.focus();
+    }
+
+    toast.element.classList.remove('is-visible');
+    setTimeout(() => toast.element.remove(), this.prefersReducedMotion() ? 0 : this.config.exitDuration);
+
+    this.dispatchEvent('notification:dismissed', { id, type: toast.type });
+
+    if (this.waiting.length) {
+      this.render(this.waiting.shift());
+    }
+  }
+
+  /**
+   * Close every notification
+   */
+  clear() {
+    this.waiting = [];
+    this.visible.slice().forEach(toast => this.dismiss(toast.id));
+  }
+
+  /**
+   * Build and show a toast
+   */
+  render(toast) {
+    const element = document.createElement('div');
+    element.className = `notification notification-${toast.type}`;
+    element.dataset.notificationId = toast.id;
+
+    const content = document.createElement('div');
+    content.className = 'notification-content';
+
+    const message = document.createElement('span');
+    message.className = 'notification-message';
+    message.textContent = toast.message;
+    content.appendChild(message);
+
+    toast.actions.forEach(action => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'notification-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        this.dismiss(toast.id);
+        action.onClick();
+      });
+      content.appendChild(button);
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'notification-close';
+    closeButton.setAttribute('aria-label', 'Close notification');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => this.dismiss(toast.id));
+    content.appendChild(closeButton);
+
+    element.appendChild(content);
+
+    // Reading or reaching for an action should not race the timer
+    element.addEventListener('mouseenter', () => this.setHold(toast, 'hovered', true));
+    element.addEventListener('mouseleave', () => this.setHold(toast, 'hovered', false));
+    element.addEventListener('focusin', () => this.setHold(toast, 'focused', true));
+    element.addEventListener('focusout', (event) => {
+      if (!element.contains(event.relatedTarget)) {
+        this.setHold(toast, 'focused', false);
+      }
+    });
+
+    toast.element = element;
+    this.visible.push(toast);
+    this.getContainer().appendChild(element);
+
+    requestAnimationFrame(() => element.classList.add('is-visible'));
+    this.startTimer(toast);
+
+    this.announce(toast);
+    this.dispatchEvent('notification:shown', { id: toast.id, type: toast.type, message: toast.message });
+  }
+
+  /**
+   * Pause while hovered or focused, resume once neither applies
+   */
+  setHold(toast, reason, active) {
+    toast[reason] = active;
+
+    if (toast.hovered || toast.focused) {
+      this.pauseTimer(toast);
+    } else {
+      this.startTimer(toast);
+    }
+  }
+
+  /**
+   * Start or resume the auto-dismiss timer with the time left
+   */
+  startTimer(toast) {
+    if (!toast.duration || toast.timer || !this.visible.includes(toast)) return;
+
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => this.dismiss(toast.id), toast.remaining);
+  }
+
+  /**
+   * Stop the timer, keeping the time left
+   */
+  pauseTimer(toast) {
+    if (!toast.timer) return;
+
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+  }
+
+  /**
+   * Landmark holding the stack, created on first use
+   */
+  getContainer() {
+    if (!this.container || !document.body.contains(this.container)) {
+      this.container = document.createElement('div');
+      this.container.className = 'notification-stack';
+      this.container.setAttribute('role', 'region');
+      this.container.setAttribute('aria-label', 'Notifications');
+      document.body.appendChild(this.container);
+    }
+    return this.container;
+  }
+
+  /**
+   * Read the message out through the app's announcement area
+   */
+  announce(toast) {
+    const text = toast.type === 'error' ? `Error: ${toast.message}` : toast.message;
+    if (window.app && window.app.announceToScreenReader) {
+      window.app.announceToScreenReader(text);
+    }
+  }
+
+  /**
+   * Check for reduced motion preference
+   */
+  prefersReducedMotion() {
+    return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Dispatch custom event
+   */
+  dispatchEvent(eventName, detail = {}) {
+    document.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+  }
+}
+
+// Export for global usage
+window.NotificationCenter = NotificationCenter;
+window.notifications = new NotificationCenter();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NotificationCenter;
+}
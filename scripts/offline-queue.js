@@ -0,0 +1,278 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Offline Queue
+   ========================================================================== */
+
+/**
+ * Offline Queue - Keeps submissions made without a connection (newsletter
+ * signups, donation intents) in IndexedDB and replays them when the
+ * connection returns.
+ *
+ * Each entry has a type and a key; enqueueing the same key again replaces
+ * the stored entry, so a double click never queues twice. Types register a
+ * processor that resolves true when the entry is done and false to keep it
+ * for the next attempt. Entries are replayed when their processor
+ * registers (so leftovers from an earlier visit go out on load), on the
+ * online event and on a backoff timer while any remain.
+ */
+class OfflineQueue {
+  constructor(options = {}) {
+    this.config = {
+      databaseName: 'wireless-testing-toolkit',
+      storeName: 'offline-queue',
+      retryInterval: 30000,
+      maxRetryInterval: 300000,
+      maxAttempts: 10,
+      ...options
+    };
+
+    this.processors = new Map();
+    this.labels = new Map();
+    this.memoryStore = null;
+    this.database = null;
+    this.flushing = null;
+    this.flushAgain = false;
+    this.retryTimer = null;
+    this.retryDelay = this.config.retryInterval;
+
+    window.addEventListener('online', () => this.flush());
+
+    this.log('OfflineQueue initialized');
+  }
+
+  /**
+   * Register the handler for one entry type and replay its queued entries
+   * @param {string} type
+   * @param {Function} processor - async (payload) => true when done, false to retry
+   * @param {Object} [options]
+   * @param {string} [options.label] - What an entry is, for the message shown
+   *   when it is given up after maxAttempts (e.g. 'newsletter signup')
+   */
+  register(type, processor, { label = 'submission' } = {}) {
+    this.processors.set(type, processor);
+    this.labels.set(type, label);
+    this.flush();
+  }
+
+  /**
+   * Whether the browser reports a connection
+   */
+  isOnline() {
+    return navigator.onLine !== false;
+  }
+
+  /**
+   * Store a submission for later
+   * @param {string} type - Registered entry type
+   * @param {string} key - Identifies the submission within its type
+   * @param {Object} payload - Data handed to the processor
+   * @returns {Promise<Object>} - { queued, duplicate }
+   */
+  async enqueue(type, key, payload) {
+    const id = `${type}:${key}`;
+    const existing = await this.run('readonly', store => store.get(id));
+
+    await this.run('readwrite', store => store.put({
+      id,
+      type,
+      payload,
+      attempts: existing ? existing.attempts : 0,
+      createdAt: existing ? existing.createdAt : Date.now()
+    }));
+
+    this.log(`${existing ? 'Updated' : 'Queued'} ${id}`);
+    this.dispatchEvent('queue:added', { id, type, duplicate: Boolean(existing) });
+    this.scheduleRetry();
+
+    return { queued: true, duplicate: Boolean(existing) };
+  }
+
+  /**
+   * Queued entries, oldest first
+   */
+  async entries() {
+    const entries = await this.run('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Replay queued entries while online. A call during a run starts one
+   * more run afterwards, so entries added meanwhile are not missed.
+   * @returns {Promise<number>} - Entries still queued after the current run
+   */
+  flush() {
+    if (this.flushing) {
+      this.flushAgain = true;
+      return this.flushing;
+    }
+
+    this.flushing = this.processEntries().finally(() => {
+      this.flushing = null;
+      if (this.flushAgain) {
+        this.flushAgain = false;
+        this.flush();
+      }
+    });
+    return this.flushing;
+  }
+
+  /**
+   * Hand each entry to its processor and drop the ones that finished
+   */
+  async processEntries() {
+    if (!this.isOnline()) return (await this.entries()).length;
+
+    let remaining = 0;
+    for (const entry of await this.entries()) {
+      const processor = this.processors.get(entry.type);
+      if (!processor) {
+        remaining++;
+        continue;
+      }
+
+      let done = false;
+      try {
+        done = await processor(entry.payload);
+      } catch (error) {
+        this.error(`Processing ${entry.id} failed:`, error);
+      }
+
+      if (done || entry.attempts + 1 >= this.config.maxAttempts) {
+        await this.run('readwrite', store => store.delete(entry.id));
+        this.dispatchEvent('queue:processed', { id: entry.id, type: entry.type, payload: entry.payload, done });
+        if (!done) {
+          this.reportDropped(entry);
+        }
+      } else {
+        await this.run('readwrite', store => store.put({ ...entry, attempts: entry.attempts + 1 }));
+        remaining++;
+      }
+    }
+
+    if (remaining) {
+      this.scheduleRetry();
+    } else {
+      this.retryDelay = this.config.retryInterval;
+    }
+    return remaining;
+  }
+
+  /**
+   * Tell the visitor an entry was given up, so it is never lost silently
+   */
+  reportDropped(entry) {
+    const label = this.labels.get(entry.type) || 'submission';
+    this.error(`Gave up on ${entry.id} after ${this.config.maxAttempts} attempts`);
+
+    if (typeof showNotification === 'function') {
+      showNotification(`We could not send your ${label} after several attempts. Please try again.`, 'error');
+    }
+  }
+
+  /**
+   * Retry later, backing off up to maxRetryInterval between attempts
+   */
+  scheduleRetry() {
+    if (this.retryTimer) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.retryDelay = Math.min(this.retryDelay * 2, this.config.maxRetryInterval);
+      this.flush();
+    }, this.retryDelay);
+  }
+
+  /**
+   * Run one object store request in a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - (store) => IDBRequest
+   */
+  async run(mode, action) {
+    const database = await this.open();
+    if (!database) {
+      return action(this.getMemoryStore());
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = action(database.transaction(this.config.storeName, mode).objectStore(this.config.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open (and create) the database once; resolves null without IndexedDB
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve) => {
+        if (!window.indexedDB) {
+          this.warn('IndexedDB not available, queue will not survive a reload');
+          resolve(null);
+          return;
+        }
+
+        const request = window.indexedDB.open(this.config.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.config.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.error('Could not open the offline queue:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Map-backed stand-in with the object store methods the queue uses
+   */
+  getMemoryStore() {
+    if (!this.memoryStore) {
+      const items = new Map();
+      this.memoryStore = {
+        get: id => items.get(id),
+        getAll: () => Array.from(items.values()),
+        put: item => items.set(item.id, item),
+        delete: id => items.delete(id)
+      };
+    }
+    return this.memoryStore;
+  }
+
+  /**
+   * Dispatch custom event
+   */
+  dispatchEvent(eventName, detail = {}) {
+    document.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[OfflineQueue]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[OfflineQueue]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[OfflineQueue]', ...args);
+  }
+}
+
+// Export for global usage
+window.OfflineQueue = OfflineQueue;
+window.offlineQueue = new OfflineQueue();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineQueue;
+}
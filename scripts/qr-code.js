@@ -0,0 +1,525 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - QR Codes
+   ========================================================================== */
+
+/**
+ * Error correction levels. formatBits is the level's value in the format
+ * information; blocks lists, for versions 1-10 (ISO/IEC 18004 table 9), the
+ * error correction codewords per block followed by [block count, data
+ * codewords per block] for each block group. Higher levels survive more
+ * damage but need a larger symbol for the same text.
+ */
+const QR_ERROR_CORRECTION = {
+  // Recovers about 7% of the symbol
+  L: {
+    formatBits: 1,
+    blocks: [
+      [7, [1, 19]],
+      [10, [1, 34]],
+      [15, [1, 55]],
+      [20, [1, 80]],
+      [26, [1, 108]],
+      [18, [2, 68]],
+      [20, [2, 78]],
+      [24, [2, 97]],
+      [30, [2, 116]],
+      [18, [2, 68], [2, 69]]
+    ]
+  },
+
+  // Recovers about 15% of the symbol
+  M: {
+    formatBits: 0,
+    blocks: [
+      [10, [1, 16]],
+      [16, [1, 28]],
+      [26, [1, 44]],
+      [18, [2, 32]],
+      [24, [2, 43]],
+      [16, [4, 27]],
+      [18, [4, 31]],
+      [22, [2, 38], [2, 39]],
+      [22, [3, 36], [2, 37]],
+      [26, [4, 43], [1, 44]]
+    ]
+  },
+
+  // Recovers about 25% of the symbol
+  Q: {
+    formatBits: 3,
+    blocks: [
+      [13, [1, 13]],
+      [22, [1, 22]],
+      [18, [2, 17]],
+      [26, [2, 24]],
+      [18, [2, 15], [2, 16]],
+      [24, [4, 19]],
+      [18, [2, 14], [4, 15]],
+      [22, [4, 18], [2, 19]],
+      [20, [4, 16], [4, 17]],
+      [24, [6, 19], [2, 20]]
+    ]
+  },
+
+  // Recovers about 30% of the symbol, for codes printed small or partly covered
+  H: {
+    formatBits: 2,
+    blocks: [
+      [17, [1, 9]],
+      [28, [1, 16]],
+      [22, [2, 13]],
+      [16, [4, 9]],
+      [22, [2, 11], [2, 12]],
+      [28, [4, 15]],
+      [26, [4, 13], [1, 14]],
+      [26, [4, 14], [2, 15]],
+      [24, [4, 12], [4, 13]],
+      [28, [6, 15], [2, 16]]
+    ]
+  }
+};
+
+/**
+ * Data masks, called with the column and row of a data module; the module
+ * is inverted where the mask returns true
+ */
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * QR Code - Encodes text (UTF-8, byte mode) in the smallest version from 1
+ * to 10 that holds it at the chosen error correction level, picks the mask
+ * with the lowest penalty and renders the symbol as SVG. Text that does not
+ * fit, or an unknown level, throws a RangeError.
+ *
+ * @example
+ * new QRCode('https://wirelesstestingtoolkit.com/#download', { level: 'Q' }).toSVG({ label: 'Download page' })
+ */
+class QRCode {
+  /**
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.level] - Key of QR_ERROR_CORRECTION (default: M)
+   */
+  constructor(text, { level = 'M' } = {}) {
+    if (!QR_ERROR_CORRECTION[level]) {
+      throw new RangeError(`Unknown error correction level "${level}"`);
+    }
+
+    this.text = text;
+    this.level = level;
+
+    const bytes = this.encodeText(text);
+    this.version = this.chooseVersion(bytes.length);
+    this.size = this.version * 4 + 17;
+
+    this.modules = [];
+    this.reserved = [];
+    for (let y = 0; y < this.size; y++) {
+      this.modules.push(new Array(this.size).fill(false));
+      this.reserved.push(new Array(this.size).fill(false));
+    }
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(this.addErrorCorrection(this.buildDataCodewords(bytes)));
+    this.mask = this.applyBestMask();
+  }
+
+  /**
+   * Whether the module at column x, row y is dark
+   */
+  isDark(x, y) {
+    return this.modules[y][x];
+  }
+
+  /**
+   * Render as an SVG string, one path for all dark modules
+   * @param {Object} [options]
+   * @param {number} [options.margin] - Quiet zone in modules (the standard asks for 4)
+   * @param {string} [options.label] - Accessible name
+   * @returns {string}
+   */
+  toSVG({ margin = 4, label = this.text } = {}) {
+    const size = this.size + margin * 2;
+    let path = '';
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.modules[y][x]) {
+          path += `M${x + margin},${y + margin}h1v1h-1z`;
+        }
+      }
+    }
+
+    const name = String(label).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="qr-code" viewBox="0 0 ${size} ${size}" ` +
+      `role="img" aria-label="${name}" shape-rendering="crispEdges">` +
+      `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  /**
+   * UTF-8 bytes of the text
+   */
+  encodeText(text) {
+    const escaped = encodeURIComponent(text);
+    const bytes = [];
+    for (let i = 0; i < escaped.length; i++) {
+      if (escaped[i] === '%') {
+        bytes.push(parseInt(escaped.substr(i + 1, 2), 16));
+        i += 2;
+      } else {
+        bytes.push(escaped.charCodeAt(i));
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Smallest version whose data capacity holds the mode, length and bytes
+   */
+  chooseVersion(byteCount) {
+    const blocks = QR_ERROR_CORRECTION[this.level].blocks;
+    for (let version = 1; version <= blocks.length; version++) {
+      const needed = 4 + this.getCountBits(version) + byteCount * 8;
+      if (needed <= this.getDataCodewords(version) * 8) {
+        return version;
+      }
+    }
+
+    const capacity = this.getDataCodewords(blocks.length) - Math.ceil((4 + this.getCountBits(blocks.length)) / 8);
+    throw new RangeError(`Text is too long for a QR code (${byteCount} bytes, at most ${capacity} at level ${this.level})`);
+  }
+
+  getCountBits(version) {
+    return version < 10 ? 8 : 16;
+  }
+
+  getDataCodewords(version) {
+    const [, ...groups] = QR_ERROR_CORRECTION[this.level].blocks[version - 1];
+    return groups.reduce((total, [count, length]) => total + count * length, 0);
+  }
+
+  /**
+   * Mode indicator, character count, data, terminator and padding
+   */
+  buildDataCodewords(bytes) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, this.getCountBits(this.version));
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = this.getDataCodewords(this.version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  /**
+   * Split the data into blocks, add each block's Reed-Solomon codewords and
+   * interleave them
+   */
+  addErrorCorrection(data) {
+    const [ecLength, ...groups] = QR_ERROR_CORRECTION[this.level].blocks[this.version - 1];
+    const divisor = this.getDivisor(ecLength);
+    const blocks = [];
+
+    let offset = 0;
+    groups.forEach(([count, length]) => {
+      for (let i = 0; i < count; i++) {
+        const block = data.slice(offset, offset + length);
+        blocks.push({ data: block, ec: this.getRemainder(block, divisor) });
+        offset += length;
+      }
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach(block => {
+        if (i < block.data.length) result.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < ecLength; i++) {
+      blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+  }
+
+  /**
+   * Generator polynomial of the given degree, highest coefficient dropped
+   */
+  getDivisor(degree) {
+    const result = new Array(degree - 1).fill(0).concat(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this.multiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = this.multiply(root, 0x02);
+    }
+    return result;
+  }
+
+  getRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= this.multiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   */
+  multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Timing, finder and alignment patterns, version information and the
+   * reserved format areas
+   */
+  drawFunctionPatterns() {
+    const last = this.size - 1;
+
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [last - 3, 3], [3, last - 3]].forEach(([x, y]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x + dx >= 0 && x + dx < this.size && y + dy >= 0 && y + dy < this.size) {
+            this.setFunctionModule(x + dx, y + dy, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = this.getAlignmentPositions();
+    const lastIndex = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // Skip the three that would overlap finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === lastIndex) || (i === lastIndex && j === 0)) return;
+
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  /**
+   * Centre coordinates of the alignment patterns, the same for rows and columns
+   */
+  getAlignmentPositions() {
+    if (this.version === 1) return [];
+
+    const count = Math.floor(this.version / 7) + 2;
+    const step = Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = this.size - 7; positions.length < count; position -= step) {
+      positions.splice(1, 0, position);
+    }
+    return positions;
+  }
+
+  /**
+   * Error correction level and mask, BCH-protected, in both copies
+   */
+  drawFormatBits(mask) {
+    const data = (QR_ERROR_CORRECTION[this.level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+    this.setFunctionModule(8, this.size - 8, true);
+  }
+
+  /**
+   * Version information blocks, from version 7 on
+   */
+  drawVersionBits() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  /**
+   * Place the codewords in two-module columns zigzagging up and down from
+   * the bottom right, skipping function patterns
+   */
+  drawCodewords(codewords) {
+    const totalBits = codewords.length * 8;
+    let index = 0;
+
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      // The vertical timing pattern column is skipped entirely
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        const y = upward ? this.size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!this.reserved[y][x] && index < totalBits) {
+            this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+            index++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Try every mask, keep the one with the lowest penalty
+   * @returns {number} - The applied mask
+   */
+  applyBestMask() {
+    let best = 0;
+    let lowest = Infinity;
+
+    QR_MASKS.forEach((mask, index) => {
+      this.applyMask(mask);
+      this.drawFormatBits(index);
+      const penalty = this.getPenalty();
+      if (penalty < lowest) {
+        lowest = penalty;
+        best = index;
+      }
+      // Masks are XORs, so applying one again removes it
+      this.applyMask(mask);
+    });
+
+    this.applyMask(QR_MASKS[best]);
+    this.drawFormatBits(best);
+    return best;
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && mask(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty score for the current symbol: runs of five or more, 2x2 blocks,
+   * finder-like sequences and dark/light imbalance
+   */
+  getPenalty() {
+    const finderLike = ['10111010000', '00001011101'];
+    let penalty = 0;
+    let dark = 0;
+
+    for (let i = 0; i < this.size; i++) {
+      const row = this.modules[i].map(Number).join('');
+      const column = this.modules.map(modules => Number(modules[i])).join('');
+
+      [row, column].forEach(line => {
+        (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+          penalty += run.length - 2;
+        });
+        finderLike.forEach(pattern => {
+          for (let start = line.indexOf(pattern); start !== -1; start = line.indexOf(pattern, start + 1)) {
+            penalty += 40;
+          }
+        });
+      });
+
+      dark += this.modules[i].filter(Boolean).length;
+    }
+
+    for (let y = 0; y < this.size - 1; y++) {
+      for (let x = 0; x < this.size - 1; x++) {
+        const color = this.modules[y][x];
+        if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+
+    const total = this.size * this.size;
+    penalty += Math.floor(Math.abs(dark * 100 / total - 50) / 5) * 10;
+    return penalty;
+  }
+}
+
+// Export for global usage
+window.QRCode = QRCode;
+window.QR_ERROR_CORRECTION = QR_ERROR_CORRECTION;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QRCode;
+}
@@ -0,0 +1,354 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Release Feed
+   ========================================================================== */
+
+/**
+ * Release Feed - Shows the latest releases of the app's GitHub repository:
+ * version, date, changelog highlights and download links for each asset.
+ * Releases come from the GitHub REST API when the feed scrolls into view
+ * and are cached in localStorage for config.ttl ms, which keeps visitors
+ * well inside the API's unauthenticated rate limit. Offline, or when the
+ * API fails, an expired cache is used and then the snapshot bundled in the
+ * page (#release-snapshot).
+ */
+class ReleaseFeed {
+  constructor() {
+    this.config = {
+      repository: '',
+      apiUrl: 'https://api.github.com',
+      count: 3,
+      ttl: 60 * 60 * 1000,
+      timeout: 8000,
+      highlights: 4,
+      ...this.readPageConfig('release-config', {})
+    };
+
+    this.cacheKey = 'release-feed';
+    this.container = null;
+    this.source = null;
+    this.loading = null;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Load once the feed is about to be seen
+   */
+  init() {
+    this.container = document.querySelector('[data-release-feed]');
+    if (!this.container) return;
+
+    if (window.visibilityService && window.visibilityService.supported) {
+      window.visibilityService.observe(this.container, 'reveal', () => this.load(), { once: true });
+    } else {
+      this.load();
+    }
+
+    // Replace snapshot or expired data as soon as the connection is back
+    window.addEventListener('online', () => {
+      if (this.source === 'snapshot' || this.source === 'stale') {
+        this.load();
+      }
+    });
+
+    this.log(`ReleaseFeed initialized for ${this.config.repository}`);
+  }
+
+  /**
+   * Parse a JSON block (<script type="application/json">) from the page
+   */
+  readPageConfig(id, fallback) {
+    const element = document.getElementById(id);
+    if (!element) return fallback;
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      this.error(`Invalid ${id}:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Fetch (or reuse) the releases and render them
+   * @returns {Promise<Object>} - { source, releases } where source is
+   *   'cache', 'network', 'stale' (expired cache) or 'snapshot'
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.getReleases()
+        .then(result => {
+          this.source = result.source;
+          this.render(result);
+          return result;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  async getReleases() {
+    const cached = this.readCache();
+    if (cached && Date.now() - cached.fetchedAt < this.config.ttl) {
+      return { source: 'cache', releases: cached.releases };
+    }
+
+    if (navigator.onLine !== false) {
+      try {
+        const releases = await this.fetchReleases();
+        this.writeCache(releases);
+        return { source: 'network', releases };
+      } catch (error) {
+        this.warn('Could not fetch releases:', error.message);
+      }
+    }
+
+    if (cached) {
+      return { source: 'stale', releases: cached.releases };
+    }
+    return { source: 'snapshot', releases: this.readPageConfig('release-snapshot', []).map(release => this.normalize(release)) };
+  }
+
+  /**
+   * GET /repos/{owner}/{repo}/releases, drafts left out
+   * @returns {Promise<Object[]>} - Normalized releases, newest first
+   */
+  async fetchReleases() {
+    const url = `${this.config.apiUrl.replace(/\/$/, '')}/repos/${this.config.repository}/releases?per_page=${this.config.count}`;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/vnd.github+json' },
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`GitHub answered ${response.status}`);
+      }
+
+      const releases = await response.json();
+      if (!Array.isArray(releases)) {
+        throw new Error('Unexpected response');
+      }
+      return releases.filter(release => !release.draft).map(release => this.normalize(release));
+    } catch (error) {
+      throw controller.signal.aborted ? new Error(`Timed out after ${this.config.timeout}ms`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Keep the fields the feed shows
+   * @param {Object} release - Release as returned by the GitHub API
+   */
+  normalize(release) {
+    return {
+      version: String(release.tag_name || '').replace(/^v/, ''),
+      name: release.name || release.tag_name || '',
+      date: release.published_at || release.created_at || null,
+      url: release.html_url || '',
+      prerelease: Boolean(release.prerelease),
+      highlights: this.extractHighlights(release.body || ''),
+      assets: (release.assets || []).map(asset => ({
+        name: asset.name,
+        url: asset.browser_download_url,
+        size: typeof asset.size === 'number' ? asset.size : null
+      }))
+    };
+  }
+
+  /**
+   * First bullet points of the changelog, as plain text
+   * @param {string} body - Release notes (Markdown)
+   * @returns {string[]}
+   */
+  extractHighlights(body) {
+    return body.split(/\r?\n/)
+      .map(line => /^\s*[-*+]\s+(.+)$/.exec(line))
+      .filter(Boolean)
+      .map(match => match[1]
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`]/g, '')
+        .trim())
+      .filter(Boolean)
+      .slice(0, this.config.highlights);
+  }
+
+  readCache() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.cacheKey));
+      if (cached && cached.repository === this.config.repository && Array.isArray(cached.releases)) {
+        return cached;
+      }
+    } catch (error) {
+      this.warn('Ignoring unreadable release cache:', error.message);
+    }
+    return null;
+  }
+
+  writeCache(releases) {
+    try {
+      localStorage.setItem(this.cacheKey, JSON.stringify({
+        repository: this.config.repository,
+        fetchedAt: Date.now(),
+        releases
+      }));
+    } catch (error) {
+      this.warn('Could not cache releases:', error.message);
+    }
+  }
+
+  /**
+   * Latest release in full, earlier ones as links to their notes. Release
+   * text comes from GitHub, so it is only ever set as text.
+   */
+  render({ source, releases }) {
+    this.container.textContent = '';
+    this.container.dataset.source = source;
+
+    const [latest, ...earlier] = releases;
+    if (!latest) {
+      this.container.hidden = true;
+      return;
+    }
+    this.container.hidden = false;
+
+    const article = this.createElement('article', 'release-latest card');
+    const header = this.createElement('div', 'release-header');
+    header.appendChild(this.createElement('h3', 'release-version h4', `Version ${latest.version}`));
+    if (latest.prerelease) {
+      header.appendChild(this.createElement('span', 'badge release-prerelease', 'Pre-release'));
+    }
+    if (latest.date) {
+      header.appendChild(this.createDate(latest.date));
+    }
+    article.appendChild(header);
+
+    if (latest.highlights.length) {
+      const list = this.createElement('ul', 'release-highlights');
+      latest.highlights.forEach(text => list.appendChild(this.createElement('li', '', text)));
+      article.appendChild(list);
+    }
+
+    if (latest.assets.length) {
+      const assets = this.createElement('ul', 'release-assets');
+      latest.assets.forEach(asset => {
+        const link = this.createElement('a', 'release-asset', asset.name);
+        link.href = asset.url;
+        link.rel = 'noopener';
+        if (asset.size !== null) {
+          link.appendChild(this.createElement('span', 'release-asset-size', this.formatSize(asset.size)));
+        }
+        link.addEventListener('click', () => this.trackDownload());
+
+        const item = document.createElement('li');
+        item.appendChild(link);
+        assets.appendChild(item);
+      });
+      article.appendChild(assets);
+    }
+
+    if (latest.url) {
+      const notes = this.createElement('a', 'release-notes-link', 'Full release notes');
+      notes.href = latest.url;
+      notes.target = '_blank';
+      notes.rel = 'noopener';
+      article.appendChild(notes);
+    }
+
+    if (source === 'snapshot' || source === 'stale') {
+      article.appendChild(this.createElement('p', 'release-offline body-small',
+        'GitHub could not be reached; this may not be the latest release.'));
+    }
+
+    this.container.appendChild(article);
+
+    if (earlier.length) {
+      const list = this.createElement('ul', 'release-earlier body-small');
+      earlier.forEach(release => {
+        const item = document.createElement('li');
+        const link = this.createElement('a', '', `Version ${release.version}`);
+        link.href = release.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        item.appendChild(link);
+        if (release.date) {
+          item.append(' · ', this.createDate(release.date));
+        }
+        list.appendChild(item);
+      });
+      this.container.appendChild(list);
+    }
+  }
+
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  createDate(value) {
+    const time = this.createElement('time', 'release-date');
+    time.dateTime = value;
+    time.textContent = new Date(value).toLocaleDateString('en', { year: 'numeric', month: 'long', day: 'numeric' });
+    return time;
+  }
+
+  /**
+   * Bytes as KB or MB
+   */
+  formatSize(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  trackDownload() {
+    if (window.app && window.app.analytics) {
+      window.app.analytics.track('download_clicked', {
+        source: 'release_asset',
+        section: window.location.hash || '#download',
+        platform: null,
+        detected: window.downloadManager ? window.downloadManager.platform : null
+      });
+    }
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[ReleaseFeed]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[ReleaseFeed]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[ReleaseFeed]', ...args);
+  }
+}
+
+// Export for global usage
+window.ReleaseFeed = ReleaseFeed;
+window.releaseFeed = new ReleaseFeed();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReleaseFeed;
+}
@@ -0,0 +1,581 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Roadmap Voting
+   ========================================================================== */
+
+/**
+ * What visitors can send: the endpoint path, the offline queue entry type
+ * and what an entry is called when the queue gives up on it
+ */
+const ROADMAP_SUBMISSIONS = {
+  vote: { path: 'votes', type: 'roadmap-vote', label: 'vote' },
+  request: { path: 'feature-requests', type: 'feature-request', label: 'feature request' }
+};
+
+/**
+ * Messages shown for each result code of a feature request:
+ *
+ *   sent          the endpoint accepted the vote or request
+ *   queued        offline; sent when the connection returns
+ *   rate-limited  this browser (or the endpoint) hit the request limit
+ *   invalid       the request is missing a title, or the endpoint rejected it
+ *   unavailable   no endpoint is configured, or it is not accepting input
+ *   server        the endpoint failed
+ *   network       the endpoint could not be reached
+ */
+const ROADMAP_FEEDBACK_MESSAGES = {
+  'sent': 'Thanks! Your feature request has been sent.',
+  'queued': 'You\'re offline. We\'ll send this when you\'re back online.',
+  'rate-limited': 'You have sent several requests recently. Please try again later.',
+  'invalid': 'Please describe the feature you would like.',
+  'unavailable': 'Feature requests are not open yet. Please check back soon.',
+  'server': 'Something went wrong on our side. Please try again.',
+  'network': 'Could not reach the server. Please check your connection and try again.'
+};
+
+/**
+ * Messages for votes where they differ from ROADMAP_FEEDBACK_MESSAGES;
+ * duplicate means this browser already voted for the item
+ */
+const ROADMAP_VOTE_MESSAGES = {
+  'sent': 'Thanks! Your vote has been counted.',
+  'duplicate': 'You have already voted for this feature.',
+  'rate-limited': 'You have voted several times recently. Please try again later.',
+  'invalid': 'This feature cannot be voted for.',
+  'unavailable': 'Voting is not open yet. Please check back soon.'
+};
+
+/**
+ * Roadmap Voting - Adds an upvote button to every roadmap item and wires
+ * the "Request a feature" form. Both post to the endpoint in the
+ * #roadmap-config JSON block:
+ *
+ *   GET  {endpoint}/votes              { votes: { "<item id>": count } }
+ *   POST {endpoint}/votes              { item } -> { item, votes }
+ *   POST {endpoint}/feature-requests   { title, details, protocol } -> { id }
+ *
+ * Each browser votes once per item and sends at most requestLimit feature
+ * requests per requestWindow ms (kept in localStorage). Counts are
+ * refreshed every refreshInterval ms while the page is visible. Votes and
+ * requests made offline wait in the offline queue.
+ */
+class RoadmapVoting {
+  constructor() {
+    this.config = {
+      endpoint: '',
+      timeout: 8000,
+      refreshInterval: 30000,
+      requestLimit: 3,
+      requestWindow: 24 * 60 * 60 * 1000,
+      ...this.readPageConfig('roadmap-config', {})
+    };
+
+    this.storageKey = 'roadmap-feedback';
+    this.counts = {};
+    this.buttons = new Map();
+    this.form = null;
+    this.refreshTimer = null;
+
+    if (window.offlineQueue) {
+      Object.keys(ROADMAP_SUBMISSIONS).forEach(kind => {
+        const { type, label } = ROADMAP_SUBMISSIONS[kind];
+        window.offlineQueue.register(type, entry => this.processQueued(kind, entry), { label });
+      });
+
+      // A vote the queue gave up on was never counted by the endpoint
+      document.addEventListener('queue:processed', (event) => {
+        const { type, payload, done } = event.detail;
+        if (!done && type === ROADMAP_SUBMISSIONS.vote.type) {
+          this.withdrawVote(payload.payload.item);
+        }
+      });
+    }
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Add vote buttons to the items already rendered and to those rendered
+   * later; nothing is shown until an endpoint is configured
+   */
+  init() {
+    if (!this.config.endpoint) {
+      this.log('No endpoint configured; voting and feature requests are off');
+      return;
+    }
+
+    this.form = document.querySelector('[data-feature-request]');
+    if (this.form) {
+      this.form.hidden = false;
+      this.form.addEventListener('submit', (event) => this.handleSubmit(event));
+    }
+
+    this.decorate(document.querySelectorAll('.roadmap-item[data-roadmap-id]'));
+    document.addEventListener('roadmap:rendered', (event) => this.decorate(event.detail.items));
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.startRefresh();
+      } else {
+        this.stopRefresh();
+      }
+    });
+
+    this.log(`RoadmapVoting initialized for ${this.config.endpoint}`);
+  }
+
+  /**
+   * Parse a JSON block (<script type="application/json">) from the page
+   */
+  readPageConfig(id, fallback) {
+    const element = document.getElementById(id);
+    if (!element) return fallback;
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      this.error(`Invalid ${id}:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Add an upvote button to each roadmap item, then load the counts
+   * @param {Iterable<Element>} items - .roadmap-item elements
+   */
+  decorate(items) {
+    this.buttons.clear();
+
+    Array.from(items).forEach(item => {
+      const id = item.dataset.roadmapId;
+      const info = item.querySelector('.roadmap-info');
+      if (!id || !info) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-small btn-secondary roadmap-vote';
+      button.innerHTML = '<span class="roadmap-vote-icon" aria-hidden="true">▲</span> <span class="roadmap-vote-label">Upvote</span> <span class="roadmap-vote-count">–</span>';
+      button.addEventListener('click', () => this.handleVote(id));
+      info.appendChild(button);
+
+      this.buttons.set(id, button);
+    });
+
+    this.updateButtons();
+    this.refreshCounts();
+    this.startRefresh();
+  }
+
+  /**
+   * Show the current count and whether this browser voted
+   */
+  updateButtons() {
+    const voted = this.readStorage().votes;
+
+    this.buttons.forEach((button, id) => {
+      const count = typeof this.counts[id] === 'number' ? this.counts[id] : null;
+      const title = this.getTitle(id);
+      const hasVoted = Boolean(voted[id]);
+
+      button.querySelector('.roadmap-vote-count').textContent = count === null ? '–' : String(count);
+      button.querySelector('.roadmap-vote-label').textContent = hasVoted ? 'Voted' : 'Upvote';
+      button.setAttribute('aria-pressed', String(hasVoted));
+      button.setAttribute('aria-label', count === null
+        ? `Upvote ${title}`
+        : `Upvote ${title}, ${count} ${count === 1 ? 'vote' : 'votes'}`);
+    });
+  }
+
+  /**
+   * Load the vote counts from the endpoint
+   * @returns {Promise<boolean>} - Whether the counts were updated
+   */
+  async refreshCounts() {
+    try {
+      const { status, data } = await this.send('GET', 'votes');
+      if (status !== 200 || !data || typeof data.votes !== 'object') {
+        throw new Error(`Endpoint answered ${status}`);
+      }
+
+      this.counts = { ...data.votes };
+      this.updateButtons();
+      return true;
+    } catch (error) {
+      this.warn('Could not load vote counts:', error.message);
+      return false;
+    }
+  }
+
+  startRefresh() {
+    if (this.refreshTimer || !this.config.refreshInterval || !this.buttons.size) return;
+    this.refreshTimer = setInterval(() => this.refreshCounts(), this.config.refreshInterval);
+  }
+
+  stopRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Vote for an item. The count goes up at once and is corrected by the
+   * endpoint's answer; failed votes are taken back.
+   * @param {string} id - Roadmap item id
+   * @returns {Promise<Object>} - { ok, code, message }; never rejects
+   */
+  async vote(id) {
+    if (!this.config.endpoint) return this.result('unavailable', 'vote');
+
+    const storage = this.readStorage();
+    if (storage.votes[id]) return this.result('duplicate', 'vote');
+
+    storage.votes[id] = Date.now();
+    this.writeStorage(storage);
+    this.counts[id] = (this.counts[id] || 0) + 1;
+    this.updateButtons();
+
+    const result = await this.sendOrQueue('vote', id, { item: id });
+    if (result.ok && result.data && typeof result.data.votes === 'number') {
+      this.counts[id] = result.data.votes;
+    } else if (!result.ok && result.code !== 'queued') {
+      this.withdrawVote(id);
+    }
+    this.updateButtons();
+
+    return result;
+  }
+
+  /**
+   * Take back a vote the endpoint did not accept
+   * @param {string} id - Roadmap item id
+   */
+  withdrawVote(id) {
+    const storage = this.readStorage();
+    delete storage.votes[id];
+    this.writeStorage(storage);
+    this.counts[id] = Math.max(0, (this.counts[id] || 0) - 1);
+    this.updateButtons();
+  }
+
+  /**
+   * Send a feature request
+   * @param {Object} request - { title, details, protocol }
+   * @returns {Promise<Object>} - { ok, code, message }; never rejects
+   */
+  async requestFeature({ title, details = '', protocol = '' }) {
+    if (!this.config.endpoint) return this.result('unavailable');
+
+    const payload = {
+      title: String(title || '').trim(),
+      details: String(details || '').trim(),
+      protocol: protocol || null
+    };
+    if (!payload.title) return this.result('invalid');
+
+    // Take the slot before sending, so a second submit meanwhile sees it;
+    // it is given back when the request fails
+    const storage = this.readStorage();
+    const since = Date.now() - this.config.requestWindow;
+    storage.requests = storage.requests.filter(time => time > since);
+    if (storage.requests.length >= this.config.requestLimit) {
+      return this.result('rate-limited');
+    }
+    const slot = Date.now();
+    storage.requests.push(slot);
+    this.writeStorage(storage);
+
+    const result = await this.sendOrQueue('request', payload.title.toLowerCase(), payload);
+    if (!result.ok && result.code !== 'queued') {
+      const current = this.readStorage();
+      const index = current.requests.indexOf(slot);
+      if (index !== -1) current.requests.splice(index, 1);
+      this.writeStorage(current);
+    }
+    return result;
+  }
+
+  /**
+   * POST now, or queue the submission when there is no connection
+   * @param {string} kind - Key of ROADMAP_SUBMISSIONS
+   * @returns {Promise<Object>} - { ok, code, message, data }; never rejects
+   */
+  async sendOrQueue(kind, key, payload) {
+    const { path, type } = ROADMAP_SUBMISSIONS[kind];
+    const queue = window.offlineQueue;
+    let result;
+
+    if (queue && !queue.isOnline()) {
+      result = this.result('network', kind);
+    } else {
+      try {
+        const { status, data } = await this.send('POST', path, payload);
+        result = { ...this.result(this.mapStatus(status), kind), data };
+      } catch (error) {
+        this.warn(`Could not send to ${path}:`, error.message);
+        result = this.result('network', kind);
+      }
+    }
+
+    if (result.code !== 'network' || !queue) {
+      return result;
+    }
+
+    try {
+      const { duplicate } = await queue.enqueue(type, key, { path, payload });
+      return { ...this.result('queued', kind), duplicate };
+    } catch (error) {
+      this.error(`Could not queue ${path}:`, error);
+      return result;
+    }
+  }
+
+  /**
+   * Replay a queued vote or request. Only a 2xx answer counts as sent; a
+   * rejected vote is taken back as in vote() and the visitor is told. The
+   * entry stays queued while the network still fails, until the queue
+   * gives up on it (see the queue:processed listener).
+   * @param {string} kind - Key of ROADMAP_SUBMISSIONS
+   */
+  async processQueued(kind, { path, payload }) {
+    let response;
+    try {
+      response = await this.send('POST', path, payload);
+    } catch (error) {
+      return false;
+    }
+
+    const { status, data } = response;
+    const result = this.result(this.mapStatus(status), kind);
+    this.log(`Sent queued ${path}: ${status}`);
+
+    if (result.ok) {
+      if (kind === 'vote' && data && typeof data.votes === 'number') {
+        this.counts[payload.item] = data.votes;
+        this.updateButtons();
+      }
+      return true;
+    }
+
+    if (kind === 'vote') {
+      this.withdrawVote(payload.item);
+    }
+    showNotification(result.message, 'error');
+    return true;
+  }
+
+  /**
+   * Vote button: record the vote and tell the visitor when it failed
+   */
+  async handleVote(id) {
+    const button = this.buttons.get(id);
+    if (button) button.disabled = true;
+
+    let result;
+    try {
+      result = await this.vote(id);
+    } finally {
+      if (button) button.disabled = false;
+    }
+
+    this.track('roadmap_voted', { item: id, status: this.getStatus(id), result: result.code });
+
+    if (result.code === 'queued') {
+      showNotification(result.message, 'info');
+    } else if (!result.ok) {
+      showNotification(result.message, result.code === 'duplicate' ? 'info' : 'error');
+    }
+    return result;
+  }
+
+  /**
+   * "Request a feature" form submission
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const form = this.form;
+    const titleInput = form.elements.title;
+    const submitButton = form.querySelector('button[type="submit"]');
+    const error = form.querySelector('.form-error');
+
+    if (!titleInput.value.trim()) {
+      this.showError(titleInput, error, ROADMAP_FEEDBACK_MESSAGES.invalid);
+      titleInput.focus();
+      return null;
+    }
+    this.showError(titleInput, error, '');
+
+    const protocol = form.elements.protocol ? form.elements.protocol.value : '';
+    submitButton.disabled = true;
+    let result;
+    try {
+      result = await this.requestFeature({
+        title: titleInput.value,
+        details: form.elements.details ? form.elements.details.value : '',
+        protocol
+      });
+    } finally {
+      submitButton.disabled = false;
+    }
+
+    this.track('feature_requested', { protocol: protocol || null, result: result.code });
+
+    if (result.ok || result.code === 'queued') {
+      form.reset();
+      showNotification(result.message, result.ok ? 'success' : 'info');
+    } else if (result.code === 'invalid') {
+      this.showError(titleInput, error, result.message);
+      titleInput.focus();
+    } else if (result.code === 'server' || result.code === 'network') {
+      showNotification(result.message, 'error', {
+        actions: [{ label: 'Retry', onClick: () => form.requestSubmit(submitButton) }]
+      });
+    } else {
+      showNotification(result.message, 'error');
+    }
+    return result;
+  }
+
+  /**
+   * Show or clear the title validation message
+   */
+  showError(input, error, message) {
+    if (error) {
+      error.textContent = message;
+      error.hidden = !message;
+    }
+
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  /**
+   * fetch() against the endpoint with an abort timeout
+   * @returns {Promise<Object>} - { status, data }; rejects on network failure or timeout
+   */
+  async send(method, path, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+    const init = { method, headers: { Accept: 'application/json' }, signal: controller.signal };
+    if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    try {
+      const response = await window.fetch(`${this.config.endpoint.replace(/\/$/, '')}/${path}`, init);
+
+      let data = null;
+      try {
+        data = await response.json();
+      } catch (error) {
+        // Empty and non-JSON responses carry no data
+      }
+
+      return { status: response.status, data };
+    } catch (error) {
+      throw controller.signal.aborted ? new Error(`Timed out after ${this.config.timeout}ms`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Result code for an HTTP status
+   */
+  mapStatus(status) {
+    if (status >= 200 && status < 300) return 'sent';
+    if (status === 400 || status === 422) return 'invalid';
+    if (status === 429) return 'rate-limited';
+    if (status === 401 || status === 403 || status === 404) return 'unavailable';
+    return 'server';
+  }
+
+  /**
+   * Build a result with the message shown to the visitor
+   * @param {string} code - Result code
+   * @param {string} [kind] - Key of ROADMAP_SUBMISSIONS (default: request)
+   */
+  result(code, kind = 'request') {
+    const message = (kind === 'vote' && ROADMAP_VOTE_MESSAGES[code]) || ROADMAP_FEEDBACK_MESSAGES[code] || ROADMAP_FEEDBACK_MESSAGES.server;
+    return { ok: code === 'sent', code, message };
+  }
+
+  /**
+   * Votes and request times of this browser
+   * @returns {Object} - { votes: { id: timestamp }, requests: [timestamp] }
+   */
+  readStorage() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      if (stored && stored.votes && Array.isArray(stored.requests)) {
+        return stored;
+      }
+    } catch (error) {
+      this.warn('Ignoring unreadable roadmap feedback:', error.message);
+    }
+    return { votes: {}, requests: [] };
+  }
+
+  writeStorage(value) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(value));
+    } catch (error) {
+      this.warn('Could not store roadmap feedback:', error.message);
+    }
+  }
+
+  getItem(id) {
+    return window.roadmapManager ? window.roadmapManager.items.find(item => item.id === id) : null;
+  }
+
+  getTitle(id) {
+    const item = this.getItem(id);
+    return item ? item.title : id;
+  }
+
+  getStatus(id) {
+    const item = this.getItem(id);
+    return item ? item.status : 'unknown';
+  }
+
+  track(name, properties) {
+    if (window.app && window.app.analytics) {
+      window.app.analytics.track(name, properties);
+    }
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[RoadmapVoting]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[RoadmapVoting]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[RoadmapVoting]', ...args);
+  }
+}
+
+// Export for global usage
+window.RoadmapVoting = RoadmapVoting;
+window.ROADMAP_VOTE_MESSAGES = ROADMAP_VOTE_MESSAGES;
+window.roadmapVoting = new RoadmapVoting();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoadmapVoting;
+}
@@ -0,0 +1,322 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Roadmap
+   ========================================================================== */
+
+/**
+ * Roadmap statuses, in the order a feature moves through them. Items with
+ * another status are left out (and reported) so a typo in the data file
+ * cannot publish a wrong promise.
+ */
+const ROADMAP_STATUSES = {
+  'planned': { label: 'Planned', showsProgress: false },
+  'in-progress': { label: 'In Progress', showsProgress: true },
+  'beta': { label: 'Beta', showsProgress: true },
+  'shipped': { label: 'Shipped', showsProgress: false }
+};
+
+/**
+ * Icons the data file can name, as SVG contents for a 24x24 stroke icon
+ */
+const ROADMAP_ICONS = {
+  write: '<path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"></path><path d="M16 4L20 8"></path><path d="M21 16V8a2 2 0 0 0-2-2H5a2 2 0 0 0-2 2v8a2 2 0 0 0 2 2h6"></path><polyline points="7,10.5 7,13.5 10,13.5 10,10.5"></polyline><polyline points="14,10.5 14,13.5"></polyline>',
+  import: '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14,2 14,8 20,8"></polyline><line x1="16" y1="13" x2="8" y2="13"></line><line x1="16" y1="17" x2="8" y2="17"></line><polyline points="10,9 9,9 8,9"></polyline><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7,10 12,15 17,10"></polyline>',
+  duplicate: '<rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path><path d="M12 12L17 17"></path><path d="M17 12L12 17"></path><polyline points="7,10.5 7,13.5 10,13.5 10,10.5"></polyline><polyline points="14,10.5 14,13.5 17,13.5 17,10.5"></polyline>',
+  feature: '<circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="16"></line><line x1="8" y1="12" x2="16" y2="12"></line>'
+};
+
+/**
+ * Roadmap Manager - Renders the roadmap from its data file (the
+ * data-roadmap attribute of the timeline, e.g. data/roadmap.json) and
+ * filters it by protocol. Each item has a status from ROADMAP_STATUSES,
+ * an optional target quarter ("2026-Q4"), a progress percentage shown
+ * while the feature is being built, and linked GitHub issues. Dispatches
+ * roadmap:rendered with the new items so they are revealed like the
+ * rest of the page.
+ */
+class RoadmapManager {
+  constructor() {
+    this.timeline = null;
+    this.filterGroup = null;
+    this.items = [];
+    this.repository = '';
+    this.protocol = null;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Load the data file named by the timeline
+   */
+  init() {
+    this.timeline = document.querySelector('[data-roadmap]');
+    if (!this.timeline) return;
+
+    this.filterGroup = document.querySelector('[data-roadmap-filters]');
+    this.loading = this.load(this.timeline.dataset.roadmap);
+  }
+
+  /**
+   * Fetch, validate and render the roadmap
+   * @param {string} url - Data file
+   * @returns {Promise<boolean>} - Whether the roadmap was rendered
+   */
+  async load(url) {
+    let data;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`${url} answered ${response.status}`);
+      }
+      data = await response.json();
+    } catch (error) {
+      this.error('Could not load the roadmap:', error.message);
+      this.timeline.setAttribute('aria-busy', 'false');
+      this.timeline.textContent = '';
+      const message = document.createElement('p');
+      message.className = 'roadmap-error body';
+      message.textContent = 'The roadmap could not be loaded. Please try again later.';
+      this.timeline.appendChild(message);
+      return false;
+    }
+
+    this.repository = data.repository || '';
+    this.items = (data.items || []).filter(item => this.validate(item)).map(item => ({
+      ...item,
+      protocols: item.protocols || [],
+      highlights: item.highlights || [],
+      issues: item.issues || [],
+      progress: Math.min(100, Math.max(0, Number(item.progress) || 0))
+    }));
+
+    this.render();
+    this.renderFilters();
+    this.log(`Rendered ${this.items.length} roadmap items`);
+    return true;
+  }
+
+  /**
+   * Items need an id, a title and a known status
+   */
+  validate(item) {
+    if (!item || !item.id || !item.title) {
+      this.error('Skipping roadmap item without id or title:', item);
+      return false;
+    }
+    if (!ROADMAP_STATUSES[item.status]) {
+      this.error(`Skipping roadmap item "${item.id}" with unknown status "${item.status}"`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Protocols used by any item, in order of first use
+   * @returns {string[]}
+   */
+  getProtocols() {
+    const protocols = [];
+    this.items.forEach(item => item.protocols.forEach(protocol => {
+      if (!protocols.includes(protocol)) protocols.push(protocol);
+    }));
+    return protocols;
+  }
+
+  render() {
+    this.timeline.textContent = '';
+    this.timeline.setAttribute('aria-busy', 'false');
+
+    const elements = this.items.map(item => this.renderItem(item));
+    elements.forEach(element => this.timeline.appendChild(element));
+
+    this.dispatchEvent('roadmap:rendered', { items: elements });
+  }
+
+  /**
+   * One timeline card. Text from the data file is only ever set as text.
+   */
+  renderItem(item) {
+    const status = ROADMAP_STATUSES[item.status];
+    const titleId = `${item.id}-title`;
+    const element = document.createElement('div');
+    element.className = `roadmap-item card hover-lift roadmap-${item.status}`;
+    element.setAttribute('role', 'listitem');
+    element.setAttribute('aria-labelledby', titleId);
+    element.dataset.roadmapId = item.id;
+    element.innerHTML = `
+      <div class="roadmap-timeline-connector" aria-hidden="true"></div>
+      <div class="roadmap-content">
+        <div class="roadmap-icon" aria-hidden="true">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${ROADMAP_ICONS[item.icon] || ROADMAP_ICONS.feature}</svg>
+        </div>
+        <div class="roadmap-info">
+          <div class="roadmap-meta"><span class="roadmap-badge"></span></div>
+          <h3 class="h3 mb-3"></h3>
+          <p class="body mb-4"></p>
+        </div>
+      </div>
+    `;
+
+    const info = element.querySelector('.roadmap-info');
+    const meta = info.querySelector('.roadmap-meta');
+    info.querySelector('.roadmap-badge').textContent = status.label;
+
+    const quarter = this.formatQuarter(item.quarter);
+    if (quarter) {
+      meta.appendChild(this.createText('span', 'roadmap-quarter small', item.status === 'shipped' ? `Shipped ${quarter}` : `Target: ${quarter}`));
+    }
+    item.protocols.forEach(protocol => meta.appendChild(this.createText('span', 'badge roadmap-protocol', protocol)));
+
+    const title = info.querySelector('h3');
+    title.id = titleId;
+    title.textContent = item.title;
+    info.querySelector('p').textContent = item.description || '';
+
+    if (status.showsProgress) {
+      info.appendChild(this.renderProgress(item));
+    }
+
+    if (item.highlights.length) {
+      const highlights = this.createText('div', 'roadmap-highlights');
+      item.highlights.forEach(text => {
+        const highlight = this.createText('div', 'roadmap-highlight');
+        highlight.append(this.createText('span', 'highlight-icon text-medium', '⚡'), this.createText('span', 'small', text));
+        highlight.firstChild.setAttribute('aria-hidden', 'true');
+        highlights.appendChild(highlight);
+      });
+      info.appendChild(highlights);
+    }
+
+    if (item.issues.length && this.repository) {
+      const issues = this.createText('p', 'roadmap-issues small', 'Tracked in ');
+      item.issues.forEach((number, index) => {
+        const link = this.createText('a', '', `#${number}`);
+        link.href = `https://github.com/${this.repository}/issues/${number}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.setAttribute('aria-label', `Issue ${number}`);
+        if (index > 0) issues.append(', ');
+        issues.appendChild(link);
+      });
+      info.appendChild(issues);
+    }
+
+    return element;
+  }
+
+  renderProgress(item) {
+    const progress = this.createText('div', 'roadmap-progress');
+    const label = this.createText('div', 'progress-info small');
+    label.append(this.createText('span', '', 'Progress'), this.createText('span', '', `${item.progress}%`));
+
+    const bar = this.createText('div', 'progress-bar');
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', `${item.title} progress`);
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', String(item.progress));
+
+    const fill = this.createText('div', 'progress-fill');
+    fill.style.width = `${item.progress}%`;
+    bar.appendChild(fill);
+
+    progress.append(label, bar);
+    return progress;
+  }
+
+  /**
+   * "All" plus one button per protocol, when there is more than one
+   */
+  renderFilters() {
+    if (!this.filterGroup) return;
+
+    const protocols = this.getProtocols();
+    this.filterGroup.textContent = '';
+    this.filterGroup.hidden = protocols.length < 2;
+    if (this.filterGroup.hidden) return;
+
+    [null, ...protocols].forEach(protocol => {
+      const button = this.createText('button', 'btn btn-small btn-secondary roadmap-filter', protocol || 'All');
+      button.type = 'button';
+      button.dataset.protocol = protocol || '';
+      button.setAttribute('aria-pressed', String(protocol === this.protocol));
+      button.addEventListener('click', () => this.filter(protocol));
+      this.filterGroup.appendChild(button);
+    });
+  }
+
+  /**
+   * Show only the items for one protocol
+   * @param {string|null} protocol - e.g. 'BLE' or 'NFC'; null shows everything
+   * @returns {number} - Number of items shown
+   */
+  filter(protocol) {
+    this.protocol = protocol;
+    let shown = 0;
+
+    Array.from(this.timeline.querySelectorAll('.roadmap-item')).forEach(element => {
+      const item = this.items.find(entry => entry.id === element.dataset.roadmapId);
+      const visible = !protocol || item.protocols.includes(protocol);
+      element.hidden = !visible;
+      if (visible) shown++;
+    });
+
+    if (this.filterGroup) {
+      this.filterGroup.querySelectorAll('button').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.protocol === (protocol || '')));
+      });
+    }
+
+    this.dispatchEvent('roadmap:filtered', { protocol, shown });
+    return shown;
+  }
+
+  /**
+   * "2026-Q4" as "Q4 2026"; anything else is shown as written
+   */
+  formatQuarter(quarter) {
+    if (!quarter) return '';
+    const match = /^(\d{4})-?(Q[1-4])$/i.exec(quarter);
+    return match ? `${match[2].toUpperCase()} ${match[1]}` : String(quarter);
+  }
+
+  createText(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Dispatch custom event
+   */
+  dispatchEvent(eventName, detail = {}) {
+    document.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[RoadmapManager]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[RoadmapManager]', ...args);
+  }
+}
+
+// Export for global usage
+window.RoadmapManager = RoadmapManager;
+window.ROADMAP_STATUSES = ROADMAP_STATUSES;
+window.roadmapManager = new RoadmapManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoadmapManager;
+}
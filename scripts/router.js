@@ -0,0 +1,112 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Hash Router
+   ========================================================================== */
+
+/**
+ * Router - Maps the URL hash to navigation state and back.
+ *
+ *   #section-id   { type: 'section', id: 'section-id' }
+ *   #/slide/3     { type: 'slide', slideNumber: 3 }
+ *
+ * Deliberate navigation calls navigate() to push a history entry; Back and
+ * Forward dispatch route:changed so MarketingSiteApp and PresentationMode
+ * can restore the position. Consumers read router.current on load.
+ */
+class Router {
+  constructor() {
+    this.current = this.parse(window.location.hash);
+
+    // Remember the initial route so returning to the first entry restores it
+    history.replaceState({ ...(history.state || {}), route: this.current }, '');
+
+    window.addEventListener('popstate', (event) => this.handlePopState(event));
+
+    this.log('Router initialized with route:', this.current);
+  }
+
+  /**
+   * Parse a hash into a route, or null for an empty hash
+   * @param {string} hash - e.g. '#features' or '#/slide/3'
+   * @returns {Object|null}
+   */
+  parse(hash) {
+    const value = decodeURIComponent((hash || '').replace(/^#/, ''));
+    if (!value) return null;
+
+    const slide = /^\/slide\/(\d+)$/.exec(value);
+    if (slide) {
+      return { type: 'slide', slideNumber: parseInt(slide[1], 10) };
+    }
+
+    return { type: 'section', id: value };
+  }
+
+  /**
+   * Format a route as a hash
+   */
+  format(route) {
+    if (!route) return '';
+    return route.type === 'slide' ? `#/slide/${route.slideNumber}` : `#${route.id}`;
+  }
+
+  /**
+   * Record a navigation in history
+   * @param {Object} route
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - Replace the current entry instead of pushing
+   */
+  navigate(route, { replace = false } = {}) {
+    const hash = this.format(route);
+
+    // Repeating the current location never adds an entry
+    if (hash === window.location.hash) {
+      replace = true;
+    }
+
+    const state = { route };
+    if (replace) {
+      history.replaceState(state, '', hash || window.location.pathname + window.location.search);
+    } else {
+      history.pushState(state, '', hash);
+    }
+
+    this.current = route;
+    this.log(`${replace ? 'Replaced' : 'Pushed'} route ${hash || '(none)'}`);
+  }
+
+  /**
+   * Back/Forward: restore the route saved with the entry, or parse the hash
+   * for entries the browser created itself (typed or followed fragments)
+   */
+  handlePopState(event) {
+    const route = event.state && 'route' in event.state
+      ? event.state.route
+      : this.parse(window.location.hash);
+
+    this.current = route;
+    this.dispatchEvent('route:changed', { route, source: 'history' });
+    this.log('Restored route:', route);
+  }
+
+  /**
+   * Dispatch custom event
+   */
+  dispatchEvent(eventName, detail = {}) {
+    document.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+  }
+
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[Router]', ...args);
+    }
+  }
+}
+
+// Export for global usage
+window.Router = Router;
+window.router = new Router();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Router;
+}
@@ -0,0 +1,251 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Scroll Profiler
+   ========================================================================== */
+
+/**
+ * Scroll Profiler - Looks for jank while the page scrolls. A scroll
+ * session lasts from the first scroll event until scrolling has stopped
+ * for scrollEndDelay ms. During a session every animation frame is timed
+ * (a frame taking two budgets means one was dropped), and long tasks or
+ * long animation frames reported by PerformanceObserver are attributed to
+ * the scroll handler running at the time. Handlers opt in by running
+ * through measure(name, fn).
+ *
+ * Nothing is logged per scroll; getStats() returns the aggregate and, in
+ * debug mode, it is printed once when the page is hidden.
+ */
+class ScrollProfiler {
+  constructor(options = {}) {
+    this.config = {
+      frameBudget: 1000 / 60,
+      scrollEndDelay: 150,
+      // Handler calls kept for attributing long tasks reported later
+      maxCalls: 200,
+      maxPeriods: 20,
+      ...options
+    };
+
+    this.started = false;
+    this.observer = null;
+    this.session = null;
+    this.scrollEndTimer = null;
+    this.calls = [];
+    this.periods = [];
+    this.handlerStats = new Map();
+    this.stats = {
+      sessions: 0,
+      scrollTime: 0,
+      frames: 0,
+      droppedFrames: 0,
+      longTasks: 0,
+      longestTask: 0,
+      unattributedLongTasks: 0
+    };
+  }
+
+  /**
+   * Start watching scroll sessions (once, however often it is called)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    window.addEventListener('scroll', () => this.handleScroll(), { passive: true });
+    this.observeLongTasks();
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.logStats();
+      }
+    });
+
+    this.log('ScrollProfiler started');
+  }
+
+  /**
+   * Prefer long animation frames (they include rendering); fall back to long tasks
+   */
+  observeLongTasks() {
+    if (typeof PerformanceObserver === 'undefined') return;
+
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    const type = ['long-animation-frame', 'longtask'].find(entryType => supported.includes(entryType));
+    if (!type) return;
+
+    try {
+      this.observer = new PerformanceObserver(list => list.getEntries().forEach(entry => this.recordLongTask(entry)));
+      this.observer.observe({ type });
+    } catch (error) {
+      this.warn(`Could not observe ${type}:`, error.message);
+    }
+  }
+
+  /**
+   * Start a session on the first scroll event and extend it on each one after
+   */
+  handleScroll() {
+    if (!this.session) {
+      this.session = { start: performance.now(), lastFrame: null };
+      this.periods.push({ start: this.session.start, end: Infinity });
+      if (this.periods.length > this.config.maxPeriods) this.periods.shift();
+
+      requestAnimationFrame(timestamp => this.recordFrame(timestamp));
+    }
+
+    clearTimeout(this.scrollEndTimer);
+    this.scrollEndTimer = setTimeout(() => this.endSession(), this.config.scrollEndDelay);
+  }
+
+  endSession() {
+    if (!this.session) return;
+
+    const end = performance.now();
+    this.periods[this.periods.length - 1].end = end;
+    this.stats.sessions++;
+    this.stats.scrollTime += end - this.session.start;
+    this.session = null;
+  }
+
+  /**
+   * Frame loop, running while the session lasts
+   */
+  recordFrame(timestamp) {
+    if (!this.session) return;
+
+    this.countFrame(timestamp);
+    requestAnimationFrame(next => this.recordFrame(next));
+  }
+
+  /**
+   * Count a frame and the frames dropped since the previous one
+   */
+  countFrame(timestamp) {
+    if (this.session.lastFrame !== null) {
+      const elapsed = timestamp - this.session.lastFrame;
+      this.stats.frames++;
+      this.stats.droppedFrames += Math.max(0, Math.round(elapsed / this.config.frameBudget) - 1);
+    }
+    this.session.lastFrame = timestamp;
+  }
+
+  /**
+   * Run a scroll handler, timing it for the stats and for attribution
+   * @param {string} name - Reported name, usually the method name
+   * @param {Function} handler
+   */
+  measure(name, handler) {
+    const start = performance.now();
+    try {
+      return handler();
+    } finally {
+      const end = performance.now();
+      const stats = this.getHandlerStats(name);
+      stats.calls++;
+      stats.totalTime += end - start;
+      stats.maxTime = Math.max(stats.maxTime, end - start);
+
+      this.calls.push({ name, start, end });
+      if (this.calls.length > this.config.maxCalls) this.calls.shift();
+    }
+  }
+
+  /**
+   * Count a long task that happened while scrolling, blaming the handler
+   * that overlapped it the most
+   */
+  recordLongTask(entry) {
+    const taskEnd = entry.startTime + entry.duration;
+    const duringScroll = this.periods.some(period => entry.startTime < period.end && taskEnd > period.start);
+    if (!duringScroll) return;
+
+    this.stats.longTasks++;
+    this.stats.longestTask = Math.max(this.stats.longestTask, entry.duration);
+
+    let culprit = null;
+    let longestOverlap = 0;
+    this.calls.forEach(call => {
+      const overlap = Math.min(call.end, taskEnd) - Math.max(call.start, entry.startTime);
+      if (overlap > longestOverlap) {
+        longestOverlap = overlap;
+        culprit = call.name;
+      }
+    });
+
+    if (culprit) {
+      this.getHandlerStats(culprit).longTasks++;
+    } else {
+      this.stats.unattributedLongTasks++;
+    }
+  }
+
+  getHandlerStats(name) {
+    if (!this.handlerStats.has(name)) {
+      this.handlerStats.set(name, { calls: 0, totalTime: 0, maxTime: 0, longTasks: 0 });
+    }
+    return this.handlerStats.get(name);
+  }
+
+  /**
+   * Aggregate since the page loaded; times in milliseconds
+   * @returns {Object} - Totals plus per-handler { calls, averageTime, maxTime, longTasks }
+   */
+  getStats() {
+    const round = value => Math.round(value * 100) / 100;
+    const expected = this.stats.frames + this.stats.droppedFrames;
+    const handlers = {};
+    this.handlerStats.forEach((stats, name) => {
+      handlers[name] = {
+        calls: stats.calls,
+        averageTime: round(stats.calls ? stats.totalTime / stats.calls : 0),
+        maxTime: round(stats.maxTime),
+        longTasks: stats.longTasks
+      };
+    });
+
+    return {
+      ...this.stats,
+      scrollTime: round(this.stats.scrollTime),
+      longestTask: round(this.stats.longestTask),
+      droppedFrameRate: expected ? round(this.stats.droppedFrames / expected) : 0,
+      handlers
+    };
+  }
+
+  /**
+   * Print the aggregate in debug mode
+   */
+  logStats() {
+    if (!(window.app && window.app.debug) || this.stats.sessions === 0) return;
+
+    const stats = this.getStats();
+    this.log(`${stats.sessions} scroll sessions, ${stats.droppedFrames} dropped frames ` +
+      `(${Math.round(stats.droppedFrameRate * 100)}%), ${stats.longTasks} long tasks (longest ${stats.longestTask}ms)`);
+    if (Object.keys(stats.handlers).length) {
+      console.table(stats.handlers);
+    }
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[ScrollProfiler]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[ScrollProfiler]', ...args);
+    }
+  }
+}
+
+// Export for global usage
+window.ScrollProfiler = ScrollProfiler;
+window.scrollProfiler = new ScrollProfiler();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScrollProfiler;
+}
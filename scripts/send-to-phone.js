@@ -0,0 +1,232 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Send to Phone
+   ========================================================================== */
+
+/**
+ * Links a visitor can hand off to their phone, in the order they are
+ * offered. resolve() returns the URL, or null when the link is not
+ * available on this page; such links are left out.
+ */
+const HANDOFF_LINKS = {
+  // Deep link to the section the visitor is reading
+  section: {
+    label: 'This section',
+    resolve: () => {
+      const app = window.app;
+      const section = app && app.sections ? app.sections[app.currentSection] : null;
+      const hash = section && window.router ? window.router.format({ type: 'section', id: section.id }) : window.location.hash;
+      return `${window.location.origin}${window.location.pathname}${hash}`;
+    }
+  },
+
+  ios: {
+    label: 'App Store',
+    resolve: () => getDownloadUrl('ios')
+  },
+
+  android: {
+    label: 'Google Play',
+    resolve: () => getDownloadUrl('android')
+  },
+
+  // The provider's page for the first preset amount
+  donation: {
+    label: 'Donation page',
+    resolve: () => {
+      if (!window.donationManager || typeof generateDonationUrl !== 'function') return null;
+      return generateDonationUrl(window.donationManager.config.presets[0]);
+    }
+  }
+};
+
+/**
+ * Store URL for a platform from the download config
+ * @param {string} platform - Key of DOWNLOAD_PLATFORMS
+ * @returns {string|null}
+ */
+function getDownloadUrl(platform) {
+  if (!window.downloadManager) return null;
+
+  const match = window.downloadManager.getPlatforms().find(entry => entry.id === platform);
+  return match ? match.url : null;
+}
+
+/**
+ * Send to Phone - Buttons marked data-send-to-phone open a dialog with a QR
+ * code for one of HANDOFF_LINKS (the attribute value, default: section);
+ * the dialog lets the visitor switch between links. The error correction
+ * level and the links offered come from the page config.
+ */
+class SendToPhone {
+  /**
+   * @param {Object} [options] - Overrides for the page config
+   * @param {string} [options.level] - QR error correction level (key of QR_ERROR_CORRECTION)
+   * @param {string[]} [options.links] - Keys of HANDOFF_LINKS to offer
+   */
+  constructor(options = {}) {
+    this.config = {
+      level: 'M',
+      links: Object.keys(HANDOFF_LINKS),
+      ...this.readPageConfig(),
+      ...options
+    };
+
+    if (!QR_ERROR_CORRECTION[this.config.level]) {
+      this.error(`Unknown error correction level "${this.config.level}", using M`);
+      this.config.level = 'M';
+    }
+
+    this.dialog = null;
+    this.current = null;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Wire the buttons
+   */
+  init() {
+    document.querySelectorAll('[data-send-to-phone]').forEach(button => {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.open(button.dataset.sendToPhone || 'section', button);
+      });
+    });
+  }
+
+  /**
+   * Parse the JSON config block (<script type="application/json" id="send-to-phone-config">)
+   */
+  readPageConfig() {
+    const element = document.getElementById('send-to-phone-config');
+    if (!element) return {};
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      this.error('Invalid send to phone config:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Links available on this page, with their URLs
+   * @returns {Object[]} - { id, label, url }
+   */
+  getLinks() {
+    return this.config.links
+      .filter(id => HANDOFF_LINKS[id])
+      .map(id => ({ id, label: HANDOFF_LINKS[id].label, url: HANDOFF_LINKS[id].resolve() }))
+      .filter(link => link.url);
+  }
+
+  /**
+   * Open the dialog showing one link
+   * @param {string} [linkId] - Key of HANDOFF_LINKS (default: the first available)
+   * @param {Element} [trigger] - Button that opened the dialog; focused again on close
+   */
+  open(linkId, trigger) {
+    if (!this.dialog) {
+      this.dialog = this.createDialog();
+    }
+
+    const links = this.getLinks();
+    if (links.length === 0) {
+      this.error('No links to send');
+      return;
+    }
+
+    const { choices } = this.dialog;
+    choices.textContent = '';
+    links.forEach(link => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-secondary handoff-choice';
+      button.dataset.link = link.id;
+      button.textContent = link.label;
+      button.addEventListener('click', () => this.show(link.id));
+      choices.appendChild(button);
+    });
+
+    this.show(links.some(link => link.id === linkId) ? linkId : links[0].id);
+    this.dialog.dialog.open(trigger || document.activeElement);
+  }
+
+  /**
+   * Build the dialog: link choices, QR code and the URL as text
+   */
+  createDialog() {
+    const dialog = new Dialog({
+      id: 'send-to-phone-dialog',
+      title: 'Send to phone',
+      description: 'Scan the code with your phone\'s camera to open the link there.'
+    });
+
+    dialog.body.innerHTML = `
+      <div class="handoff-choices" role="group" aria-label="Link to send"></div>
+      <div class="handoff-code"></div>
+      <p class="handoff-url body-small"></p>
+    `;
+
+    return {
+      dialog,
+      choices: dialog.body.querySelector('.handoff-choices'),
+      code: dialog.body.querySelector('.handoff-code'),
+      url: dialog.body.querySelector('.handoff-url')
+    };
+  }
+
+  /**
+   * Render the QR code for a link
+   * @param {string} linkId - Key of HANDOFF_LINKS
+   */
+  show(linkId) {
+    const link = this.getLinks().find(entry => entry.id === linkId);
+    if (!link) return;
+
+    const { choices, code, url } = this.dialog;
+    this.current = link.id;
+    choices.querySelectorAll('.handoff-choice').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.link === link.id));
+    });
+
+    try {
+      const qr = new QRCode(link.url, { level: this.config.level });
+      code.innerHTML = qr.toSVG({ label: `QR code for ${link.label}` });
+      url.textContent = link.url;
+    } catch (error) {
+      this.error(`Could not encode ${link.id}:`, error.message);
+      code.textContent = '';
+      url.textContent = `This link is too long for a QR code: ${link.url}`;
+    }
+
+    this.log(`Showing ${link.id}: ${link.url}`);
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[SendToPhone]', ...args);
+    }
+  }
+
+  error(...args) {
+    console.error('[SendToPhone]', ...args);
+  }
+}
+
+// Export for global usage
+window.SendToPhone = SendToPhone;
+window.HANDOFF_LINKS = HANDOFF_LINKS;
+window.sendToPhone = new SendToPhone();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SendToPhone;
+}
@@ -2,25 +2,108 @@
    Wireless Testing Toolkit Marketing Site - Slide Management
    ========================================================================== */
 
+/* ==========================================================================
+   Slide Transitions
+   ========================================================================== */
+
 /**
- * Slide Manager - Handles slide navigation, transitions, and state management
+ * Named transitions. Each takes the direction (1 forward, -1 back) and returns
+ * Web Animations keyframes for the leaving and entering slide; null switches
+ * instantly. Add more with SlideManager.registerTransition().
+ */
+const SLIDE_TRANSITIONS = {
+  slide: direction => ({
+    leaving: [
+      { opacity: 1, transform: 'translateX(0)' },
+      { opacity: 0, transform: `translateX(${-100 * direction}%)` }
+    ],
+    entering: [
+      { opacity: 0, transform: `translateX(${100 * direction}%)` },
+      { opacity: 1, transform: 'translateX(0)' }
+    ]
+  }),
+
+  fade: () => ({
+    leaving: [{ opacity: 1 }, { opacity: 0 }],
+    entering: [{ opacity: 0 }, { opacity: 1 }]
+  }),
+
+  zoom: direction => ({
+    leaving: [
+      { opacity: 1, transform: 'scale(1)' },
+      { opacity: 0, transform: `scale(${direction > 0 ? 1.1 : 0.9})` }
+    ],
+    entering: [
+      { opacity: 0, transform: `scale(${direction > 0 ? 0.9 : 1.1})` },
+      { opacity: 1, transform: 'scale(1)' }
+    ]
+  }),
+
+  // Faces turn about their shared edge
+  cube: direction => {
+    const leavingOrigin = direction > 0 ? '100% 50%' : '0% 50%';
+    const enteringOrigin = direction > 0 ? '0% 50%' : '100% 50%';
+    const face = (offset, angle) => `perspective(1200px) translateX(${offset}%) rotateY(${angle}deg)`;
+
+    return {
+      leaving: [
+        { transformOrigin: leavingOrigin, transform: face(0, 0) },
+        { transformOrigin: leavingOrigin, transform: face(-100 * direction, -90 * direction) }
+      ],
+      entering: [
+        { transformOrigin: enteringOrigin, transform: face(100 * direction, 90 * direction) },
+        { transformOrigin: enteringOrigin, transform: face(0, 0) }
+      ]
+    };
+  },
+
+  none: () => null
+};
+
+/**
+ * Slide Manager - Handles slide navigation, transitions, and state management.
+ * Slides are discovered from the page's .section elements and re-read when
+ * sections are added, removed or skipped; the navigation, indicators and
+ * progress bar are built here and removed again by destroy().
+ *
+ * Per-slide options are read from markup:
+ *   data-slide-title     Title used for announcements (default: first heading)
+ *   data-slide-duration  Autoplay time on this slide in ms
+ *   data-slide-skip      Leave the section out of the deck
+ *   data-slide-transition  Transition used to enter this slide (see SLIDE_TRANSITIONS)
  */
 class SlideManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Element} [options.container] - Element holding the slides (default: #mainContent)
+   * @param {string} [options.selector] - Selector for slides within the container (default: .section)
+   * @param {number|Element} [options.startSlide] - 1-based slide or slide element to start on
+   * @param {Object} [options.config] - Overrides for the default configuration
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.selector = options.selector || '.section';
+
     // Configuration
     this.config = {
-      totalSlides: 6,
       animationDuration: 600,
+      easing: 'cubic-bezier(0.4, 0, 0.2, 1)',
+      transition: 'slide',
+      reducedMotionTransition: 'fade',
       autoplay: false,
       autoplayInterval: 8000,
       swipeThreshold: 50,
       keyboardEnabled: true,
-      touchEnabled: true
+      touchEnabled: true,
+      ...(options.config || {})
     };
 
     // State
     this.currentSlide = 1;
     this.isTransitioning = false;
+    this.pendingRefresh = false;
+    this.runningAnimations = [];
+    this.isAutoplaying = false;
     this.autoplayTimer = null;
     this.touchStartX = 0;
     this.touchEndX = 0;
@@ -29,13 +112,28 @@ class SlideManager {
     this.slidesContainer = null;
     this.slides = [];
     this.indicators = [];
+    this.indicatorList = null;
     this.navButtons = {};
     this.progressBar = null;
+    this.chrome = [];
+    this.mutationObserver = null;
+
+    // Bound listeners, kept so destroy() can remove them
+    this.handlers = {};
 
     // Initialize
     this.init();
   }
 
+  /**
+   * Register a named transition for config.transition or data-slide-transition
+   * @param {string} name
+   * @param {Function} transition - (direction) => { leaving, entering } keyframes, or null
+   */
+  static registerTransition(name, transition) {
+    SLIDE_TRANSITIONS[name] = transition;
+  }
+
   /**
    * Initialize the slide manager
    */
@@ -55,45 +153,154 @@ class SlideManager {
    */
   initializeElements() {
     // Main containers
-    this.slidesContainer = document.getElementById('slidesContainer');
+    this.slidesContainer = this.options.container || document.getElementById('mainContent');
     if (!this.slidesContainer) {
       throw new Error('Slides container not found');
     }
 
     // Get all slides
-    this.slides = Array.from(this.slidesContainer.querySelectorAll('.slide'));
-    if (this.slides.length !== this.config.totalSlides) {
-      this.warn(`Expected ${this.config.totalSlides} slides, found ${this.slides.length}`);
+    this.slides = this.discoverSlides();
+    if (this.slides.length === 0) {
+      throw new Error('No slides found');
     }
 
-    // Navigation buttons
-    this.navButtons.prev = document.querySelector('.slide-nav-prev');
-    this.navButtons.next = document.querySelector('.slide-nav-next');
+    const { startSlide } = this.options;
+    if (typeof startSlide === 'number') {
+      this.currentSlide = Math.min(Math.max(startSlide, 1), this.slides.length);
+    } else if (startSlide) {
+      this.currentSlide = this.slides.indexOf(startSlide) + 1 || 1;
+    }
+
+    this.slidesContainer.classList.add('slides-container');
+    this.slides.forEach((slide, index) => {
+      slide.classList.add('slide');
+      slide.classList.toggle('active', index + 1 === this.currentSlide);
+    });
+
+    this.createChrome();
+  }
+
+  /**
+   * Slides currently in the container, in document order, minus skipped ones
+   */
+  discoverSlides() {
+    return Array.from(this.slidesContainer.querySelectorAll(this.selector))
+      .filter(slide => !this.getSlideOptions(slide).skip);
+  }
 
-    // Indicators
-    this.indicators = Array.from(document.querySelectorAll('.slide-indicator'));
+  /**
+   * Per-slide options from data attributes
+   * @param {Element} slide
+   * @returns {Object} - { title, duration, skip, transition }
+   */
+  getSlideOptions(slide) {
+    const { slideDuration, slideSkip, slideTitle, slideTransition } = slide.dataset;
+    const duration = parseInt(slideDuration, 10);
 
+    return {
+      title: slideTitle || null,
+      duration: duration > 0 ? duration : null,
+      skip: slideSkip !== undefined && slideSkip !== 'false',
+      transition: slideTransition || null
+    };
+  }
+
+  /**
+   * Build the navigation, indicators and progress bar
+   */
+  createChrome() {
     // Progress bar
-    this.progressBar = document.querySelector('.slide-progress-bar');
+    const progress = document.createElement('div');
+    progress.className = 'slide-progress';
+    progress.setAttribute('role', 'progressbar');
+    progress.setAttribute('aria-label', 'Presentation progress');
+    progress.setAttribute('aria-valuemin', '1');
+    progress.setAttribute('aria-valuemax', this.slides.length.toString());
+
+    this.progressBar = document.createElement('div');
+    this.progressBar.className = 'slide-progress-bar';
+    progress.appendChild(this.progressBar);
+
+    // Navigation
+    const navigation = document.createElement('nav');
+    navigation.className = 'slide-navigation';
+    navigation.setAttribute('aria-label', 'Presentation controls');
+
+    this.navButtons.prev = this.createButton('slide-nav-btn slide-nav-prev', 'Previous slide', '\u2039');
+    this.navButtons.next = this.createButton('slide-nav-btn slide-nav-next', 'Next slide', '\u203A');
+    this.navButtons.exit = this.createButton('slide-nav-btn slide-nav-exit', 'Exit presentation', '\u00D7');
+
+    this.indicatorList = document.createElement('div');
+    this.indicatorList.className = 'slide-indicators';
+    this.indicatorList.setAttribute('role', 'tablist');
+    this.indicatorList.setAttribute('aria-label', 'Slides');
+    this.renderIndicators();
 
-    // Validate critical elements
-    if (!this.navButtons.prev || !this.navButtons.next) {
-      throw new Error('Navigation buttons not found');
+    navigation.append(this.navButtons.prev, this.indicatorList, this.navButtons.next, this.navButtons.exit);
+
+    document.body.append(progress, navigation);
+    this.chrome = [progress, navigation];
+  }
+
+  /**
+   * (Re)build one indicator per slide
+   */
+  renderIndicators() {
+    this.indicatorList.textContent = '';
+
+    this.indicators = this.slides.map((slide, index) => {
+      const indicator = this.createButton('slide-indicator', '', '');
+      indicator.setAttribute('role', 'tab');
+      if (slide.id) {
+        indicator.setAttribute('aria-controls', slide.id);
+      }
+      indicator.addEventListener('click', () => this.goToSlide(index + 1));
+      this.indicatorList.appendChild(indicator);
+      return indicator;
+    });
+
+    this.progressBar.parentElement.setAttribute('aria-valuemax', this.slides.length.toString());
+  }
+
+  /**
+   * Create a navigation button
+   */
+  createButton(className, label, text) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = text;
+    if (label) {
+      button.setAttribute('aria-label', label);
     }
+    return button;
   }
 
   /**
    * Initialize event listeners
    */
   initializeEventListeners() {
-    // Navigation buttons
+    // Navigation buttons (removed with the chrome, so no cleanup needed)
     this.navButtons.prev.addEventListener('click', () => this.previousSlide());
     this.navButtons.next.addEventListener('click', () => this.nextSlide());
+    this.navButtons.exit.addEventListener('click', () => this.dispatchEvent('slide:exit'));
 
-    // Indicator buttons
-    this.indicators.forEach((indicator, index) => {
-      indicator.addEventListener('click', () => this.goToSlide(index + 1));
-    });
+    // Sections added, removed or skipped at runtime
+    if ('MutationObserver' in window) {
+      this.mutationObserver = new MutationObserver(mutations => this.handleMutations(mutations));
+      this.mutationObserver.observe(this.slidesContainer, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['data-slide-skip']
+      });
+    }
+
+    // Keyboard navigation
+    if (this.config.keyboardEnabled) {
+      this.handlers.keydown = (event) => this.handleKeydown(event);
+      document.addEventListener('keydown', this.handlers.keydown);
+    }
 
     // Touch/swipe support
     if (this.config.touchEnabled) {
@@ -101,32 +308,78 @@ class SlideManager {
     }
 
     // Window resize
-    window.addEventListener('resize', this.debounce(() => {
+    this.handlers.resize = this.debounce(() => {
       this.handleResize();
-    }, 250));
+    }, 250);
+    window.addEventListener('resize', this.handlers.resize);
 
     // Visibility change (pause autoplay when not visible)
-    document.addEventListener('visibilitychange', () => {
+    this.handlers.visibilitychange = () => {
       if (document.hidden) {
         this.pauseAutoplay();
       } else if (this.config.autoplay) {
         this.startAutoplay();
       }
-    });
+    };
+    document.addEventListener('visibilitychange', this.handlers.visibilitychange);
   }
 
   /**
    * Initialize touch/swipe handlers
    */
   initializeTouchHandlers() {
-    this.slidesContainer.addEventListener('touchstart', (e) => {
+    this.handlers.touchstart = (e) => {
       this.touchStartX = e.changedTouches[0].screenX;
-    }, { passive: true });
-
-    this.slidesContainer.addEventListener('touchend', (e) => {
+    };
+    this.handlers.touchend = (e) => {
       this.touchEndX = e.changedTouches[0].screenX;
       this.handleSwipe();
-    }, { passive: true });
+    };
+
+    this.slidesContainer.addEventListener('touchstart', this.handlers.touchstart, { passive: true });
+    this.slidesContainer.addEventListener('touchend', this.handlers.touchend, { passive: true });
+  }
+
+  /**
+   * Handle keyboard navigation between slides
+   */
+  handleKeydown(event) {
+    // Don't interfere with form inputs or an open dialog
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' ||
+        (window.app && window.app.activeDialog)) {
+      return;
+    }
+
+    switch (event.code) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+      case 'PageDown':
+      case 'Space':
+        event.preventDefault();
+        this.nextSlide();
+        break;
+
+      case 'ArrowLeft':
+      case 'ArrowUp':
+      case 'PageUp':
+        event.preventDefault();
+        this.previousSlide();
+        break;
+
+      case 'Home':
+        event.preventDefault();
+        this.goToSlide(1);
+        break;
+
+      case 'End':
+        event.preventDefault();
+        this.goToSlide(this.slides.length);
+        break;
+
+      case 'Escape':
+        this.dispatchEvent('slide:exit');
+        break;
+    }
   }
 
   /**
@@ -146,30 +399,40 @@ class SlideManager {
     }
   }
 
+  /**
+   * Number of slides in the deck
+   */
+  get totalSlides() {
+    return this.slides.length;
+  }
+
   /**
    * Navigate to next slide
    */
-  nextSlide() {
-    if (this.currentSlide < this.config.totalSlides) {
-      this.goToSlide(this.currentSlide + 1);
+  nextSlide(options = {}) {
+    if (this.currentSlide < this.totalSlides) {
+      this.goToSlide(this.currentSlide + 1, options);
     }
   }
 
   /**
    * Navigate to previous slide
    */
-  previousSlide() {
+  previousSlide(options = {}) {
     if (this.currentSlide > 1) {
-      this.goToSlide(this.currentSlide - 1);
+      this.goToSlide(this.currentSlide - 1, options);
     }
   }
 
   /**
    * Navigate to specific slide
+   * @param {number} slideNumber - 1-based slide number
+   * @param {Object} [options]
+   * @param {string} [options.source] - 'navigation', 'autoplay' or 'history', passed on in events
    */
-  goToSlide(slideNumber) {
+  goToSlide(slideNumber, { source = 'navigation' } = {}) {
     // Validate slide number
-    if (slideNumber < 1 || slideNumber > this.config.totalSlides) {
+    if (slideNumber < 1 || slideNumber > this.totalSlides) {
       this.warn(`Invalid slide number: ${slideNumber}`);
       return;
     }
@@ -192,7 +455,8 @@ class SlideManager {
     // Dispatch event
     this.dispatchEvent('slide:changing', {
       from: this.currentSlide,
-      to: slideNumber
+      to: slideNumber,
+      source
     });
 
     // Perform transition
@@ -206,15 +470,27 @@ class SlideManager {
         
         // End transition
         this.isTransitioning = false;
+
+        // Restart the autoplay clock with the new slide's duration
+        if (this.isAutoplaying) {
+          this.pauseAutoplay();
+          this.startAutoplay();
+        }
         
         // Dispatch event
         this.dispatchEvent('slide:changed', {
           slideNumber: this.currentSlide,
-          totalSlides: this.config.totalSlides,
-          title: this.getSlideTitle(this.currentSlide)
+          totalSlides: this.totalSlides,
+          title: this.getSlideTitle(this.currentSlide),
+          source
         });
 
         this.log(`Transition to slide ${slideNumber} completed`);
+
+        // Slides changed mid-transition
+        if (this.pendingRefresh) {
+          this.refresh();
+        }
       })
       .catch((error) => {
         this.error('Slide transition failed:', error);
@@ -223,58 +499,173 @@ class SlideManager {
   }
 
   /**
-   * Perform slide transition animation
+   * Re-read slides after DOM changes that affect the deck
    */
-  performTransition(fromSlide, toSlide) {
-    return new Promise((resolve, reject) => {
-      try {
-        const currentSlideEl = this.slides[fromSlide - 1];
-        const nextSlideEl = this.slides[toSlide - 1];
-
-        if (!currentSlideEl || !nextSlideEl) {
-          reject(new Error('Slide elements not found'));
-          return;
-        }
-
-        // Prepare next slide
-        nextSlideEl.style.transform = toSlide > fromSlide ? 'translateX(100%)' : 'translateX(-100%)';
-        nextSlideEl.style.opacity = '0';
-        nextSlideEl.classList.remove('active');
-        nextSlideEl.setAttribute('aria-hidden', 'false');
-
-        // Animate out current slide
-        currentSlideEl.style.transform = toSlide > fromSlide ? 'translateX(-100%)' : 'translateX(100%)';
-        currentSlideEl.style.opacity = '0';
-
-        // Animate in next slide
-        requestAnimationFrame(() => {
-          nextSlideEl.style.transition = `all ${this.config.animationDuration}ms cubic-bezier(0.4, 0, 0.2, 1)`;
-          nextSlideEl.style.transform = 'translateX(0)';
-          nextSlideEl.style.opacity = '1';
-        });
+  handleMutations(mutations) {
+    const isSlide = node => node.nodeType === 1 &&
+      (node.matches(this.selector) || Boolean(node.querySelector(this.selector)));
 
-        // Complete transition
-        setTimeout(() => {
-          // Clean up current slide
-          currentSlideEl.classList.remove('active');
-          currentSlideEl.setAttribute('aria-hidden', 'true');
-          currentSlideEl.style.transform = '';
-          currentSlideEl.style.opacity = '';
-          currentSlideEl.style.transition = '';
-
-          // Activate next slide
-          nextSlideEl.classList.add('active');
-          nextSlideEl.style.transform = '';
-          nextSlideEl.style.opacity = '';
-          nextSlideEl.style.transition = '';
-
-          resolve();
-        }, this.config.animationDuration);
-
-      } catch (error) {
-        reject(error);
+    const affectsSlides = mutations.some(mutation => {
+      if (mutation.type === 'attributes') {
+        return mutation.target.matches(this.selector);
       }
+      return Array.from(mutation.addedNodes).some(isSlide) || Array.from(mutation.removedNodes).some(isSlide);
+    });
+
+    if (affectsSlides) {
+      this.refresh();
+    }
+  }
+
+  /**
+   * Rediscover slides from the DOM, keeping the current slide when it still
+   * exists, and re-render the indicators
+   */
+  refresh() {
+    if (this.isTransitioning) {
+      this.pendingRefresh = true;
+      return;
+    }
+    this.pendingRefresh = false;
+
+    const slides = this.discoverSlides();
+    const unchanged = slides.length === this.slides.length &&
+      slides.every((slide, index) => slide === this.slides[index]);
+    if (unchanged) return;
+
+    if (slides.length === 0) {
+      this.warn('All slides were removed');
+      this.dispatchEvent('slide:exit');
+      return;
+    }
+
+    const current = this.slides[this.currentSlide - 1];
+    const currentIndex = slides.indexOf(current);
+
+    // Removed or skipped slides go back to being plain sections
+    this.slides.filter(slide => !slides.includes(slide)).forEach(slide => this.resetSlide(slide));
+
+    this.slides = slides;
+    this.currentSlide = currentIndex >= 0
+      ? currentIndex + 1
+      : Math.min(this.currentSlide, this.slides.length);
+
+    this.slides.forEach((slide, index) => {
+      slide.classList.add('slide');
+      slide.classList.toggle('active', index + 1 === this.currentSlide);
+    });
+
+    this.renderIndicators();
+    this.updateUI();
+
+    this.dispatchEvent('slide:updated', {
+      slideNumber: this.currentSlide,
+      totalSlides: this.totalSlides
     });
+    this.log(`Slides updated: ${this.totalSlides} slides`);
+  }
+
+  /**
+   * Insert a section into the deck
+   * @param {Element} element - Section matching the slide selector
+   * @param {number} [position] - 1-based position (default: after the last slide)
+   */
+  addSlide(element, position = this.totalSlides + 1) {
+    const reference = this.slides[position - 1];
+    if (reference) {
+      reference.parentNode.insertBefore(element, reference);
+    } else {
+      const last = this.slides[this.totalSlides - 1];
+      last.parentNode.insertBefore(element, last.nextSibling);
+    }
+    this.refresh();
+  }
+
+  /**
+   * Remove a slide from the deck and the page
+   * @param {number|Element} slide - 1-based slide number or the slide element
+   */
+  removeSlide(slide) {
+    const element = typeof slide === 'number' ? this.slides[slide - 1] : slide;
+    if (!element || !this.slides.includes(element)) {
+      this.warn(`Slide not found: ${slide}`);
+      return;
+    }
+    element.remove();
+    this.refresh();
+  }
+
+  /**
+   * Perform slide transition animation with the Web Animations API.
+   * Resolves once both slides' animations have finished.
+   */
+  performTransition(fromSlide, toSlide) {
+    const currentSlideEl = this.slides[fromSlide - 1];
+    const nextSlideEl = this.slides[toSlide - 1];
+
+    if (!currentSlideEl || !nextSlideEl) {
+      return Promise.reject(new Error('Slide elements not found'));
+    }
+
+    const name = this.getTransitionName(nextSlideEl);
+    const transition = SLIDE_TRANSITIONS[name];
+    const keyframes = transition ? transition(toSlide > fromSlide ? 1 : -1) : null;
+
+    // Both slides are shown while the transition runs
+    nextSlideEl.setAttribute('aria-hidden', 'false');
+
+    const complete = () => {
+      currentSlideEl.classList.remove('active');
+      currentSlideEl.setAttribute('aria-hidden', 'true');
+      nextSlideEl.classList.add('active');
+
+      // Drop the fill now that the classes hold the final state
+      this.runningAnimations.forEach(animation => animation.cancel());
+      this.runningAnimations = [];
+    };
+
+    if (!keyframes || typeof nextSlideEl.animate !== 'function') {
+      complete();
+      return Promise.resolve();
+    }
+
+    const timing = {
+      duration: this.config.animationDuration,
+      easing: this.config.easing,
+      fill: 'both'
+    };
+
+    this.runningAnimations = [
+      currentSlideEl.animate(keyframes.leaving, timing),
+      nextSlideEl.animate(keyframes.entering, timing)
+    ];
+
+    this.log(`Running "${name}" transition`);
+
+    // A cancelled animation (e.g. destroy mid-transition) still ends the transition
+    return Promise.all(this.runningAnimations.map(animation => animation.finished))
+      .catch(() => {})
+      .then(complete);
+  }
+
+  /**
+   * Transition for entering a slide: data-slide-transition, then the
+   * configured default, mapped to the reduced-motion choice when requested
+   */
+  getTransitionName(slide) {
+    let name = this.getSlideOptions(slide).transition || this.config.transition;
+
+    if (!SLIDE_TRANSITIONS.hasOwnProperty(name)) {
+      this.warn(`Unknown transition "${name}", using "${this.config.transition}"`);
+      name = this.config.transition;
+    }
+
+    const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (reducedMotion && name !== 'none') {
+      name = this.config.reducedMotionTransition;
+    }
+
+    return name;
   }
 
   /**
@@ -301,7 +692,7 @@ class SlideManager {
     }
 
     // Next button
-    if (this.currentSlide >= this.config.totalSlides) {
+    if (this.currentSlide >= this.totalSlides) {
       this.navButtons.next.disabled = true;
       this.navButtons.next.setAttribute('aria-disabled', 'true');
     } else {
@@ -329,7 +720,7 @@ class SlideManager {
    */
   updateProgressBar() {
     if (this.progressBar) {
-      const progress = (this.currentSlide / this.config.totalSlides) * 100;
+      const progress = (this.currentSlide / this.totalSlides) * 100;
       this.progressBar.style.width = `${progress}%`;
       
       // Update progress bar ARIA
@@ -367,15 +758,19 @@ class SlideManager {
     if (!this.config.autoplay) return;
     
     this.pauseAutoplay(); // Clear any existing timer
+    this.isAutoplaying = true;
+
+    // Each slide may set its own time via data-slide-duration
+    const { duration } = this.getSlideOptions(this.slides[this.currentSlide - 1]);
     
-    this.autoplayTimer = setInterval(() => {
-      if (this.currentSlide < this.config.totalSlides) {
-        this.nextSlide();
+    this.autoplayTimer = setTimeout(() => {
+      if (this.currentSlide < this.totalSlides) {
+        this.nextSlide({ source: 'autoplay' });
       } else {
         // Loop back to first slide or stop
-        this.goToSlide(1);
+        this.goToSlide(1, { source: 'autoplay' });
       }
-    }, this.config.autoplayInterval);
+    }, duration || this.config.autoplayInterval);
     
     this.log('Autoplay started');
   }
@@ -384,8 +779,9 @@ class SlideManager {
    * Pause autoplay
    */
   pauseAutoplay() {
+    this.isAutoplaying = false;
     if (this.autoplayTimer) {
-      clearInterval(this.autoplayTimer);
+      clearTimeout(this.autoplayTimer);
       this.autoplayTimer = null;
       this.log('Autoplay paused');
     }
@@ -405,13 +801,67 @@ class SlideManager {
     });
   }
 
+  /**
+   * Remove the chrome and listeners and restore the slides to their
+   * original state
+   */
+  destroy() {
+    this.pauseAutoplay();
+    this.runningAnimations.forEach(animation => animation.cancel());
+    this.runningAnimations = [];
+
+    if (this.handlers.keydown) {
+      document.removeEventListener('keydown', this.handlers.keydown);
+    }
+    if (this.handlers.visibilitychange) {
+      document.removeEventListener('visibilitychange', this.handlers.visibilitychange);
+    }
+    if (this.handlers.resize) {
+      window.removeEventListener('resize', this.handlers.resize);
+    }
+    if (this.slidesContainer && this.handlers.touchstart) {
+      this.slidesContainer.removeEventListener('touchstart', this.handlers.touchstart);
+      this.slidesContainer.removeEventListener('touchend', this.handlers.touchend);
+    }
+    this.handlers = {};
+
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+
+    this.chrome.forEach(element => element.remove());
+    this.chrome = [];
+
+    this.slides.forEach(slide => this.resetSlide(slide));
+
+    if (this.slidesContainer) {
+      this.slidesContainer.classList.remove('slides-container');
+    }
+
+    this.log('SlideManager destroyed');
+  }
+
+  /**
+   * Return a slide to its plain section state
+   */
+  resetSlide(slide) {
+    slide.classList.remove('slide', 'active');
+    slide.removeAttribute('aria-hidden');
+  }
+
   /**
    * Get slide title for accessibility
    */
   getSlideTitle(slideNumber) {
     const slide = this.slides[slideNumber - 1];
     if (slide) {
-      const titleElement = slide.querySelector('h1, h2, .display, [data-slide-title]');
+      const { title } = this.getSlideOptions(slide);
+      if (title) {
+        return title;
+      }
+
+      const titleElement = slide.querySelector('h1, h2, .display');
       if (titleElement) {
         return titleElement.textContent.trim();
       }
@@ -466,5 +916,262 @@ class SlideManager {
   }
 }
 
+/* ==========================================================================
+   Presentation Mode
+   ========================================================================== */
+
+/**
+ * Presentation Mode - Shows the scroll sections as a full-screen slide deck.
+ * Toggled with the P key or opened directly with ?present or #/slide/N in
+ * the URL; leaving returns to the scroll layout at the section last shown.
+ * Slide changes are recorded as #/slide/N history entries. Created and
+ * destroyed by MarketingSiteApp (APP_MODULES in main.js); the SlideManager
+ * exists only while presenting.
+ */
+class PresentationMode {
+  constructor() {
+    this.config = {
+      toggleKey: 'KeyP',
+      queryParam: 'present'
+    };
+
+    this.slideManager = null;
+    this.enteredFullscreen = false;
+
+    // Bound listeners, kept so destroy() can remove them
+    this.handlers = {};
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.init());
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Initialize key handling and honour ?present and #/slide/N
+   */
+  init() {
+    this.handlers.keydown = (event) => {
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' ||
+          (window.app && window.app.activeDialog)) {
+        return;
+      }
+      if (event.code === this.config.toggleKey && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        event.preventDefault();
+        this.toggle();
+      }
+    };
+
+    this.handlers['slide:exit'] = () => this.exit();
+
+    this.handlers['slide:changed'] = (event) => {
+      if (!this.isActive) return;
+
+      this.recordRoute(event.detail.source);
+
+      if (window.app && window.app.announceToScreenReader) {
+        window.app.announceToScreenReader(
+          `Slide ${event.detail.slideNumber} of ${event.detail.totalSlides}: ${event.detail.title}`
+        );
+      }
+    };
+
+    // Leaving full screen with the browser's own Escape handling ends the presentation
+    this.handlers.fullscreenchange = () => {
+      if (!document.fullscreenElement && this.enteredFullscreen) {
+        this.enteredFullscreen = false;
+        this.exit();
+      }
+    };
+
+    this.handlers['route:changed'] = (event) => this.handleRoute(event.detail.route);
+
+    Object.entries(this.handlers).forEach(([type, handler]) => document.addEventListener(type, handler));
+
+    const route = window.router ? window.router.current : null;
+    if (route && route.type === 'slide') {
+      this.enter({ startSlide: route.slideNumber, source: 'load' });
+    } else if (new URLSearchParams(window.location.search).has(this.config.queryParam)) {
+      this.enter({ source: 'load' });
+    }
+  }
+
+  /**
+   * Remove the listeners and, if presenting, the deck. Unlike exit() this
+   * leaves the URL and scroll position alone.
+   */
+  destroy() {
+    Object.entries(this.handlers).forEach(([type, handler]) => document.removeEventListener(type, handler));
+    this.handlers = {};
+
+    if (this.isActive) {
+      this.slideManager.destroy();
+      this.slideManager = null;
+      document.body.classList.remove('presentation-mode');
+    }
+
+    this.log('Presentation mode destroyed');
+  }
+
+  /**
+   * Back/Forward: slide routes present, anything else returns to scrolling
+   */
+  handleRoute(route) {
+    if (route && route.type === 'slide') {
+      if (this.isActive) {
+        this.slideManager.goToSlide(route.slideNumber, { source: 'history' });
+      } else {
+        this.enter({ startSlide: route.slideNumber, source: 'history' });
+      }
+    } else if (this.isActive) {
+      const firstSection = document.querySelector('#mainContent .section');
+      this.exit({
+        sectionId: route ? route.id : firstSection && firstSection.id,
+        source: 'history'
+      });
+    }
+  }
+
+  /**
+   * Record the current slide in history: deliberate navigation pushes an
+   * entry, autoplay and page load replace it, history restores leave it
+   */
+  recordRoute(source) {
+    if (!window.router || source === 'history') return;
+
+    window.router.navigate(
+      { type: 'slide', slideNumber: this.slideManager.currentSlide },
+      { replace: source !== 'navigation' }
+    );
+  }
+
+  /**
+   * Whether the presentation is showing
+   */
+  get isActive() {
+    return this.slideManager !== null;
+  }
+
+  toggle() {
+    if (this.isActive) {
+      this.exit();
+    } else {
+      this.enter();
+    }
+  }
+
+  /**
+   * Start presenting, by default from the section currently in view
+   * @param {Object} [options]
+   * @param {number} [options.startSlide] - 1-based slide to open
+   * @param {string} [options.source] - 'navigation', 'load' or 'history'
+   */
+  enter({ startSlide, source = 'navigation' } = {}) {
+    if (this.isActive) return;
+
+    const container = document.getElementById('mainContent');
+    if (!container || !container.querySelector('.section')) {
+      this.warn('No sections to present');
+      return;
+    }
+
+    // Start on the section in view
+    const sections = Array.from(container.querySelectorAll('.section'));
+    const current = sections[window.app ? window.app.currentSection || 0 : 0];
+
+    document.body.classList.add('presentation-mode');
+    this.slideManager = new SlideManager({ container, selector: '.section', startSlide: startSlide || current });
+
+    if (source === 'navigation') {
+      this.requestFullscreen();
+    }
+    this.recordRoute(source);
+    this.updateUrl(true);
+    this.dispatchEvent('presentation:entered', { slideNumber: this.slideManager.currentSlide });
+    this.log('Presentation mode entered');
+  }
+
+  /**
+   * Stop presenting and scroll to the section that was on screen
+   * @param {Object} [options]
+   * @param {string} [options.sectionId] - Section to return to instead
+   * @param {string} [options.source] - 'navigation' or 'history'
+   */
+  exit({ sectionId, source = 'navigation' } = {}) {
+    if (!this.isActive) return;
+
+    const section = sectionId
+      ? document.getElementById(sectionId)
+      : this.slideManager.slides[this.slideManager.currentSlide - 1];
+
+    this.slideManager.destroy();
+    this.slideManager = null;
+    document.body.classList.remove('presentation-mode');
+
+    if (this.enteredFullscreen && document.fullscreenElement && document.exitFullscreen) {
+      this.enteredFullscreen = false;
+      document.exitFullscreen().catch(() => {});
+    }
+
+    this.updateUrl(false);
+
+    // MarketingSiteApp records the section in history and fires section:changed
+    if (section && window.app && window.app.scrollToSection) {
+      window.app.scrollToSection(section.id, { source, behavior: 'auto' });
+    } else if (section) {
+      section.scrollIntoView({ behavior: 'auto', block: 'start' });
+    }
+
+    this.dispatchEvent('presentation:exited', { sectionId: section ? section.id : null });
+    this.log('Presentation mode exited');
+  }
+
+  /**
+   * Go full screen where allowed; browsers refuse without a user gesture,
+   * in which case the deck simply fills the window
+   */
+  requestFullscreen() {
+    const root = document.documentElement;
+    if (!root.requestFullscreen || document.fullscreenElement) return;
+
+    root.requestFullscreen()
+      .then(() => { this.enteredFullscreen = true; })
+      .catch(() => this.log('Full screen not available, presenting in the window'));
+  }
+
+  /**
+   * Keep ?present in the URL in sync so a reload stays in the same mode
+   */
+  updateUrl(presenting) {
+    const url = new URL(window.location.href);
+    if (presenting) {
+      url.searchParams.set(this.config.queryParam, '');
+    } else {
+      url.searchParams.delete(this.config.queryParam);
+    }
+    // URLSearchParams writes ?present=; drop the empty value
+    const bareParam = new RegExp(`([?&]${this.config.queryParam})=(?=&|#|$)`);
+    history.replaceState(history.state, '', url.href.replace(bareParam, '$1'));
+  }
+
+  dispatchEvent(eventName, detail = {}) {
+    document.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+  }
+
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[PresentationMode]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[PresentationMode]', ...args);
+    }
+  }
+}
+
 // Export for global usage
-window.SlideManager = SlideManager;
\ No newline at end of file
+window.SlideManager = SlideManager;
+window.PresentationMode = PresentationMode;
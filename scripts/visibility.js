@@ -0,0 +1,136 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Visibility
+   ========================================================================== */
+
+/**
+ * Viewport zones elements can be watched in. Every zone is served by one
+ * IntersectionObserver shared by all subscribers, so the app and the
+ * animation manager revealing the same cards cost a single observer.
+ */
+const VISIBILITY_ZONES = {
+  // Content revealed as it scrolls into view, just before it reaches the bottom edge
+  reveal: { threshold: 0.1, rootMargin: '0px 0px -50px 0px' },
+
+  // The section filling the middle of the viewport is the current one
+  section: { threshold: 0.5, rootMargin: '-20% 0px -20% 0px' }
+};
+
+/**
+ * Visibility Service - Tells subscribers when elements enter or leave a
+ * zone, without any layout reads while scrolling. A subscription with
+ * once: true is called the first time its element becomes visible and then
+ * removed. Without IntersectionObserver support nothing is reported;
+ * callers check `supported` and fall back (revealing everything at once).
+ */
+class VisibilityService {
+  constructor() {
+    this.supported = 'IntersectionObserver' in window;
+    this.observers = new Map();
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Watch an element
+   * @param {Element} element
+   * @param {string} zone - Key of VISIBILITY_ZONES
+   * @param {Function} callback - Called with the IntersectionObserverEntry
+   * @param {Object} [options]
+   * @param {boolean} [options.once] - Only report the first time the element is visible
+   * @returns {Function} - Stops watching
+   */
+  observe(element, zone, callback, { once = false } = {}) {
+    if (!this.supported || !element) return () => {};
+
+    if (!VISIBILITY_ZONES[zone]) {
+      this.error(`Unknown visibility zone "${zone}"`);
+      return () => {};
+    }
+
+    const elements = this.getSubscriptions(zone);
+    if (!elements.has(element)) {
+      elements.set(element, new Set());
+      this.getObserver(zone).observe(element);
+    }
+
+    const subscription = { callback, once };
+    elements.get(element).add(subscription);
+    return () => this.unsubscribe(zone, element, subscription);
+  }
+
+  /**
+   * Remove one subscription, unobserving the element after its last one
+   */
+  unsubscribe(zone, element, subscription) {
+    const elements = this.subscriptions.get(zone);
+    const subscribers = elements && elements.get(element);
+    if (!subscribers) return;
+
+    subscribers.delete(subscription);
+    if (subscribers.size === 0) {
+      elements.delete(element);
+      this.observers.get(zone).unobserve(element);
+    }
+  }
+
+  /**
+   * Observer for a zone, created on first use
+   */
+  getObserver(zone) {
+    if (!this.observers.has(zone)) {
+      this.observers.set(zone, new IntersectionObserver(
+        entries => this.handleEntries(zone, entries),
+        VISIBILITY_ZONES[zone]
+      ));
+    }
+    return this.observers.get(zone);
+  }
+
+  getSubscriptions(zone) {
+    if (!this.subscriptions.has(zone)) {
+      this.subscriptions.set(zone, new Map());
+    }
+    return this.subscriptions.get(zone);
+  }
+
+  /**
+   * Hand each entry to the element's subscribers
+   */
+  handleEntries(zone, entries) {
+    const elements = this.getSubscriptions(zone);
+
+    entries.forEach(entry => {
+      const subscribers = elements.get(entry.target);
+      if (!subscribers) return;
+
+      Array.from(subscribers).forEach(subscription => {
+        if (subscription.once) {
+          if (!entry.isIntersecting) return;
+          this.unsubscribe(zone, entry.target, subscription);
+        }
+
+        try {
+          subscription.callback(entry);
+        } catch (error) {
+          this.error(`Visibility callback for ${zone} failed:`, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Logging utilities
+   */
+  error(...args) {
+    console.error('[VisibilityService]', ...args);
+  }
+}
+
+// Export for global usage
+window.VisibilityService = VisibilityService;
+window.VISIBILITY_ZONES = VISIBILITY_ZONES;
+window.visibilityService = new VisibilityService();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VisibilityService;
+}
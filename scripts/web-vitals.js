@@ -0,0 +1,312 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Web Vitals
+   ========================================================================== */
+
+/**
+ * Core Web Vitals and their rating thresholds: a value up to the first
+ * threshold is good, up to the second needs improvement, above it is poor.
+ * Times are in milliseconds; CLS is unitless.
+ */
+const WEB_VITALS = {
+  LCP: { label: 'Largest Contentful Paint', thresholds: [2500, 4000] },
+  CLS: { label: 'Cumulative Layout Shift', thresholds: [0.1, 0.25] },
+  INP: { label: 'Interaction to Next Paint', thresholds: [200, 500] },
+  FCP: { label: 'First Contentful Paint', thresholds: [1800, 3000] },
+  TTFB: { label: 'Time to First Byte', thresholds: [800, 1800] }
+};
+
+/**
+ * Web Vitals - Measures the metrics in WEB_VITALS with PerformanceObserver
+ * and hands each final value to onReport as { name, value, rating, delta }.
+ * FCP and TTFB are final as soon as they are known; LCP once the visitor
+ * first interacts or hides the page; CLS and INP keep growing and are
+ * reported whenever the page is hidden, with delta holding the change
+ * since the last report. Paints after the page was first hidden are
+ * ignored, as browsers do. Created by MarketingSiteApp.monitorWebVitals
+ * once the visitor has consented to performance measurement.
+ */
+class WebVitals {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onReport] - Called with each final metric
+   * @param {boolean} [options.overlay] - Show live values in the corner (debugging)
+   */
+  constructor(options = {}) {
+    this.config = {
+      onReport: () => {},
+      overlay: false,
+      // Event entries shorter than this are not delivered (16 is the minimum)
+      durationThreshold: 40,
+      ...options
+    };
+
+    this.metrics = {};
+    this.observers = [];
+    this.overlay = null;
+    this.firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
+    this.lcpFinal = false;
+    this.layoutShifts = { value: 0, first: null, last: null };
+    this.interactions = new Map();
+
+    this.handlers = {
+      visibilitychange: () => {
+        if (document.visibilityState === 'hidden') {
+          this.firstHiddenTime = Math.min(this.firstHiddenTime, performance.now());
+          this.finalizeLCP();
+          this.report('CLS');
+          this.report('INP');
+        }
+      },
+      // The largest paint stops changing once the visitor does something
+      input: () => this.finalizeLCP()
+    };
+  }
+
+  /**
+   * Start observing
+   * @returns {boolean} - false when the browser has no PerformanceObserver
+   */
+  start() {
+    if (typeof PerformanceObserver === 'undefined') {
+      this.warn('PerformanceObserver not supported, Web Vitals are not collected');
+      return false;
+    }
+
+    this.observe('navigation', entries => this.handleNavigation(entries));
+    this.observe('paint', entries => this.handlePaint(entries));
+    this.observe('largest-contentful-paint', entries => this.handleLargestPaint(entries));
+    this.observe('layout-shift', entries => this.handleLayoutShift(entries));
+    this.observe('event', entries => this.handleEvents(entries), { durationThreshold: this.config.durationThreshold });
+    this.observe('first-input', entries => this.handleEvents(entries));
+
+    document.addEventListener('visibilitychange', this.handlers.visibilitychange);
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, this.handlers.input, { capture: true, once: true });
+    });
+
+    this.renderOverlay();
+    this.log(`Observing ${this.observers.length} entry types`);
+    return true;
+  }
+
+  /**
+   * Stop observing and remove the overlay. Values not reported yet are dropped.
+   */
+  stop() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+
+    document.removeEventListener('visibilitychange', this.handlers.visibilitychange);
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.removeEventListener(type, this.handlers.input, { capture: true });
+    });
+
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+
+  /**
+   * Observe one entry type, including entries recorded before start()
+   */
+  observe(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return;
+
+    try {
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      this.warn(`Could not observe ${type}:`, error.message);
+    }
+  }
+
+  /**
+   * TTFB: until the first response byte, from activation for prerendered pages
+   */
+  handleNavigation(entries) {
+    const entry = entries[0];
+    if (!entry || !(entry.responseStart > 0)) return;
+
+    this.update('TTFB', Math.max(entry.responseStart - (entry.activationStart || 0), 0));
+    this.report('TTFB');
+  }
+
+  /**
+   * FCP: the first-contentful-paint entry
+   */
+  handlePaint(entries) {
+    entries.forEach(entry => {
+      if (entry.name === 'first-contentful-paint' && entry.startTime < this.firstHiddenTime) {
+        this.update('FCP', entry.startTime);
+        this.report('FCP');
+      }
+    });
+  }
+
+  /**
+   * LCP: the latest largest paint until the value is final
+   */
+  handleLargestPaint(entries) {
+    if (this.lcpFinal) return;
+
+    entries.forEach(entry => {
+      if (entry.startTime < this.firstHiddenTime) {
+        this.update('LCP', entry.startTime);
+      }
+    });
+  }
+
+  finalizeLCP() {
+    if (this.lcpFinal) return;
+
+    this.lcpFinal = true;
+    this.report('LCP');
+  }
+
+  /**
+   * CLS: the largest session of shifts not caused by input. A session
+   * ends after a 1 second gap or 5 seconds in total.
+   */
+  handleLayoutShift(entries) {
+    const session = this.layoutShifts;
+
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+
+      if (session.last && (entry.startTime - session.last.startTime >= 1000 ||
+          entry.startTime - session.first.startTime >= 5000)) {
+        session.value = 0;
+        session.first = null;
+      }
+
+      session.value += entry.value;
+      session.first = session.first || entry;
+      session.last = entry;
+
+      const current = this.metrics.CLS ? this.metrics.CLS.value : 0;
+      this.update('CLS', Math.max(current, session.value));
+    });
+  }
+
+  /**
+   * INP: the longest interaction, ignoring one outlier per 50 interactions
+   */
+  handleEvents(entries) {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+
+      const longest = this.interactions.get(entry.interactionId) || 0;
+      this.interactions.set(entry.interactionId, Math.max(longest, entry.duration));
+    });
+
+    if (this.interactions.size === 0) return;
+
+    const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+    const index = Math.min(durations.length - 1, Math.floor(this.interactions.size / 50));
+    this.update('INP', durations[index]);
+  }
+
+  /**
+   * Store a new value and refresh the overlay
+   */
+  update(name, value) {
+    const metric = this.metrics[name] || { name, value: 0, rating: null, reported: null };
+    metric.value = value;
+    metric.rating = this.rate(name, value);
+    this.metrics[name] = metric;
+
+    this.renderOverlay();
+  }
+
+  /**
+   * Hand the current value to onReport unless it was already reported
+   */
+  report(name) {
+    const metric = this.metrics[name];
+    if (!metric || metric.reported === metric.value) return;
+
+    const value = this.round(name, metric.value);
+    const delta = this.round(name, metric.value - (metric.reported || 0));
+    metric.reported = metric.value;
+
+    this.config.onReport({ name, value, rating: metric.rating, delta });
+  }
+
+  /**
+   * good, needs-improvement or poor against the WEB_VITALS thresholds
+   */
+  rate(name, value) {
+    const [good, poor] = WEB_VITALS[name].thresholds;
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+  }
+
+  round(name, value) {
+    return name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+  }
+
+  /**
+   * Current values, reported or not
+   * @returns {Object} - { LCP: { name, value, rating }, ... } for the metrics measured so far
+   */
+  getMetrics() {
+    return Object.values(this.metrics).reduce((metrics, metric) => ({
+      ...metrics,
+      [metric.name]: { name: metric.name, value: this.round(metric.name, metric.value), rating: metric.rating }
+    }), {});
+  }
+
+  /**
+   * Live values in the corner of the page, when enabled
+   */
+  renderOverlay() {
+    if (!this.config.overlay) return;
+
+    if (!this.overlay) {
+      this.overlay = document.createElement('div');
+      this.overlay.className = 'web-vitals-overlay';
+      // A debugging aid; screen readers should not hear every update
+      this.overlay.setAttribute('aria-hidden', 'true');
+      document.body.appendChild(this.overlay);
+    }
+
+    this.overlay.textContent = '';
+    Object.keys(WEB_VITALS).forEach(name => {
+      const metric = this.metrics[name];
+      const row = document.createElement('div');
+      row.className = `web-vitals-metric web-vitals-${metric ? metric.rating : 'pending'}`;
+      row.title = WEB_VITALS[name].label;
+      row.textContent = metric
+        ? `${name} ${this.round(name, metric.value)}${name === 'CLS' ? '' : ' ms'}`
+        : `${name} –`;
+      this.overlay.appendChild(row);
+    });
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(...args) {
+    if (window.app && window.app.debug) {
+      console.log('[WebVitals]', ...args);
+    }
+  }
+
+  warn(...args) {
+    if (window.app && window.app.debug) {
+      console.warn('[WebVitals]', ...args);
+    }
+  }
+}
+
+// Export for global usage
+window.WebVitals = WebVitals;
+window.WEB_VITALS = WEB_VITALS;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebVitals;
+}
@@ -0,0 +1,332 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Accessibility Rules
+   ========================================================================== */
+
+/**
+ * Each rule inspects the rendered DOM and returns violations as
+ * { selector, message } so results point at the offending element.
+ */
+
+const NAMED_COLORS = {
+  white: [255, 255, 255, 1],
+  black: [0, 0, 0, 1],
+  transparent: [0, 0, 0, 0]
+};
+
+// Alt text that describes the file rather than the image
+const PLACEHOLDER_ALT = /^(image|img|picture|photo|screenshot|graphic|icon|logo|untitled|alt)$|\.(png|jpe?g|gif|svg|webp)$/i;
+
+/**
+ * Build a selector that identifies an element in the document
+ */
+function cssPath(element) {
+  const parts = [];
+
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    const tag = node.tagName.toLowerCase();
+    if (node.id) {
+      parts.unshift(`${tag}#${node.id}`);
+      break;
+    }
+
+    const classes = Array.from(node.classList).slice(0, 2).map(name => `.${name}`).join('');
+    const siblings = node.parentElement
+      ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+      : [];
+    const position = siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(node) + 1})` : '';
+    parts.unshift(`${tag}${classes}${position}`);
+
+    if (tag === 'body') break;
+  }
+
+  return parts.join(' > ');
+}
+
+/**
+ * Whether an element is removed from the accessibility tree
+ */
+function isHiddenFromAssistiveTech(element) {
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hidden || node.getAttribute('aria-hidden') === 'true') return true;
+  }
+  return false;
+}
+
+/**
+ * Compute an element's accessible name (simplified accname algorithm)
+ */
+function accessibleName(element) {
+  const document = element.ownerDocument;
+  const labelledBy = element.getAttribute('aria-labelledby');
+
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/)
+      .map(id => document.getElementById(id))
+      .filter(Boolean)
+      .map(node => node.textContent.trim())
+      .join(' ');
+    if (text) return text;
+  }
+
+  const label = element.getAttribute('aria-label');
+  if (label && label.trim()) return label.trim();
+
+  if (element.labels && element.labels.length) {
+    return Array.from(element.labels).map(node => node.textContent.trim()).join(' ');
+  }
+
+  const images = Array.from(element.querySelectorAll('img[alt]')).map(img => img.alt.trim());
+  const text = `${element.textContent.trim()} ${images.join(' ')}`.trim();
+  if (text) return text;
+
+  return (element.getAttribute('title') || '').trim();
+}
+
+/**
+ * Parse a CSS colour into [r, g, b, a]
+ */
+function parseColor(value) {
+  if (!value) return null;
+  const text = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[text]) return NAMED_COLORS[text].slice();
+
+  const hex = /^#([0-9a-f]{3,8})$/.exec(text);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(d => d + d).join('');
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return [channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1];
+  }
+
+  const rgb = /^rgba?\(([^)]+)\)$/.exec(text);
+  if (rgb) {
+    const channels = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    return [channels[0], channels[1], channels[2], channels.length > 3 ? channels[3] : 1];
+  }
+
+  return null;
+}
+
+/**
+ * Composite a (possibly translucent) colour over an opaque background
+ */
+function blend(foreground, background) {
+  const alpha = foreground[3];
+  return [0, 1, 2].map(i => foreground[i] * alpha + background[i] * (1 - alpha)).concat(1);
+}
+
+function relativeLuminance(color) {
+  const [r, g, b] = color.slice(0, 3).map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Effective opaque background behind an element. Background images and
+ * gradients are not composited, so only solid colours are considered.
+ */
+function effectiveBackground(styles, element) {
+  const layers = [];
+
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    const color = parseColor(styles.getComputedValue(node, 'background-color')) ||
+      parseColor(styles.getComputedValue(node, 'background'));
+    if (color && color[3] > 0) {
+      layers.push(color);
+      if (color[3] === 1) break;
+    }
+  }
+
+  const root = styles.getCustomProperty(element.ownerDocument.documentElement, '--color-background');
+  let background = parseColor(root) || NAMED_COLORS.white.slice();
+  for (let i = layers.length - 1; i >= 0; i--) {
+    background = blend(layers[i], background);
+  }
+  return background;
+}
+
+/**
+ * Elements that render their own text
+ */
+function textElements(document) {
+  return Array.from(document.body.querySelectorAll('*')).filter(element =>
+    Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim()) &&
+    !['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(element.tagName));
+}
+
+const RULES = [
+  {
+    id: 'duplicate-id',
+    name: 'Unique IDs',
+    check({ document }) {
+      const seen = new Map();
+      Array.from(document.querySelectorAll('[id]')).forEach(element => {
+        seen.set(element.id, (seen.get(element.id) || []).concat(element));
+      });
+
+      return Array.from(seen)
+        .filter(([, elements]) => elements.length > 1)
+        .map(([id, elements]) => ({
+          selector: elements.map(cssPath).join(', '),
+          message: `id "${id}" is used ${elements.length} times`
+        }));
+    }
+  },
+  {
+    id: 'heading-order',
+    name: 'Heading Levels',
+    check({ document }) {
+      const violations = [];
+      let previous = 0;
+
+      Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).forEach(heading => {
+        if (isHiddenFromAssistiveTech(heading)) return;
+
+        const level = parseInt(heading.tagName.slice(1), 10);
+        if (previous && level > previous + 1) {
+          violations.push({
+            selector: cssPath(heading),
+            message: `h${level} follows h${previous}, skipping a level`
+          });
+        }
+        previous = level;
+      });
+
+      if (!document.querySelector('h1')) {
+        violations.push({ selector: 'body', message: 'Page has no h1' });
+      }
+
+      return violations;
+    }
+  },
+  {
+    id: 'aria-labelledby',
+    name: 'ARIA References',
+    check({ document }) {
+      const violations = [];
+
+      Array.from(document.querySelectorAll('[aria-labelledby], [aria-describedby], [aria-controls]'))
+        .forEach(element => {
+          ['aria-labelledby', 'aria-describedby', 'aria-controls'].forEach(attribute => {
+            const value = element.getAttribute(attribute);
+            if (value === null) return;
+
+            value.split(/\s+/).filter(Boolean).forEach(id => {
+              if (!document.getElementById(id)) {
+                violations.push({
+                  selector: cssPath(element),
+                  message: `${attribute} references missing id "${id}"`
+                });
+              }
+            });
+          });
+        });
+
+      return violations;
+    }
+  },
+  {
+    id: 'image-alt',
+    name: 'Image Alt Text',
+    check({ document }) {
+      return Array.from(document.querySelectorAll('img'))
+        .filter(img => !isHiddenFromAssistiveTech(img) && img.getAttribute('role') !== 'presentation')
+        .map(img => {
+          const alt = img.getAttribute('alt');
+          if (alt === null) return { selector: cssPath(img), message: 'Image has no alt attribute' };
+          // alt="" is how HTML marks an image decorative
+          if (alt === '') return null;
+          if (!alt.trim()) return { selector: cssPath(img), message: 'Alt text is only whitespace; use alt="" for a decorative image' };
+          if (PLACEHOLDER_ALT.test(alt.trim())) {
+            return { selector: cssPath(img), message: `Alt text "${alt}" does not describe the image` };
+          }
+          return null;
+        })
+        .filter(Boolean);
+    }
+  },
+  {
+    id: 'button-name',
+    name: 'Button Names',
+    check({ document }) {
+      return Array.from(document.querySelectorAll('button, [role="button"], a[href], input[type="submit"], input[type="button"]'))
+        .filter(element => !isHiddenFromAssistiveTech(element))
+        .filter(element => !accessibleName(element) && !(element.value && element.tagName === 'INPUT'))
+        .map(element => ({
+          selector: cssPath(element),
+          message: `${element.tagName.toLowerCase()} has no accessible name`
+        }));
+    }
+  },
+  {
+    id: 'form-label',
+    name: 'Form Labels',
+    check({ document }) {
+      return Array.from(document.querySelectorAll('input, select, textarea'))
+        .filter(element => !['hidden', 'submit', 'button'].includes(element.type))
+        .filter(element => !isHiddenFromAssistiveTech(element) && !accessibleName(element))
+        .map(element => ({
+          selector: cssPath(element),
+          message: 'Form control has no label'
+        }));
+    }
+  },
+  {
+    id: 'color-contrast',
+    name: 'Colour Contrast',
+    check({ document, styles }) {
+      const violations = [];
+
+      textElements(document).forEach(element => {
+        if (!styles.isRendered(element) || isHiddenFromAssistiveTech(element)) return;
+        if (element.closest('.sr-only')) return;
+
+        const background = effectiveBackground(styles, element);
+        const foreground = parseColor(styles.getComputedValue(element, 'color'));
+        if (!foreground) return;
+
+        const ratio = contrastRatio(blend(foreground, background), background);
+        const fontSize = styles.getFontSize(element);
+        const weight = parseInt(styles.getComputedValue(element, 'font-weight'), 10) || 400;
+        const isLarge = fontSize >= 24 || (fontSize >= 18.66 && weight >= 700);
+        const required = isLarge ? 3 : 4.5;
+
+        if (ratio < required) {
+          violations.push({
+            selector: cssPath(element),
+            message: `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1`
+          });
+        }
+      });
+
+      return violations;
+    }
+  }
+];
+
+/**
+ * Run every rule and return results keyed by rule
+ */
+function runAccessibilityRules(context) {
+  return RULES.map(rule => ({
+    rule,
+    violations: rule.check(context)
+  }));
+}
+
+module.exports = {
+  RULES,
+  accessibleName,
+  contrastRatio,
+  cssPath,
+  parseColor,
+  runAccessibilityRules
+};
@@ -0,0 +1,355 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Headless DOM Environment
+   ========================================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { DEFAULT_FEATURES, evaluateMediaQuery } = require('./media-query');
+
+const SITE_ROOT = path.resolve(__dirname, '..', '..');
+const SITE_URL = 'http://localhost/';
+
+/**
+ * Serves site files from disk for http://localhost/ URLs so the page,
+ * stylesheets and scripts load exactly as they would from a dev server
+ */
+class LocalResourceLoader extends ResourceLoader {
+  fetch(url, options) {
+    if (url.startsWith(SITE_URL)) {
+      const relativePath = decodeURIComponent(new URL(url).pathname).replace(/^\/+/, '');
+      return super.fetch(pathToFileURL(path.join(SITE_ROOT, relativePath)).href, options);
+    }
+
+    // Never reach out to the network from tests
+    return null;
+  }
+}
+
+/**
+ * Read a site file relative to the repository root
+ */
+function readSiteFile(relativePath) {
+  return fs.readFileSync(path.join(SITE_ROOT, relativePath), 'utf8');
+}
+
+/**
+ * Install the browser APIs jsdom does not implement (layout, observers,
+ * performance entries, Web Animations, fetch, beacons, IndexedDB,
+ * connectivity) with recording stand-ins the suites can inspect
+ */
+function installBrowserShims(window, environment) {
+  const { features } = environment;
+
+  Object.defineProperty(window, 'innerWidth', { value: features.width, configurable: true });
+  Object.defineProperty(window, 'innerHeight', { value: features.height, configurable: true });
+  Object.defineProperty(window, 'devicePixelRatio', { value: features.devicePixelRatio, configurable: true });
+
+  window.matchMedia = (query) => ({
+    media: query,
+    matches: evaluateMediaQuery(query, features),
+    onchange: null,
+    addListener() {},
+    removeListener() {},
+    addEventListener() {},
+    removeEventListener() {},
+    dispatchEvent() { return false; }
+  });
+
+  window.IntersectionObserver = class IntersectionObserver {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.root = options.root || null;
+      this.rootMargin = options.rootMargin || '0px';
+      this.thresholds = [].concat(options.threshold || 0);
+      this.targets = new Set();
+      environment.observers.add(this);
+    }
+
+    observe(target) {
+      this.targets.add(target);
+    }
+
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+      environment.observers.delete(this);
+    }
+
+    takeRecords() {
+      return [];
+    }
+  };
+
+  // Entries are only produced by the suites, through env.recordPerformanceEntries
+  window.PerformanceObserver = class PerformanceObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.types = new Set();
+    }
+
+    observe({ type, buffered = false }) {
+      this.types.add(type);
+      environment.performanceObservers.add(this);
+
+      const recorded = environment.performanceEntries.filter(entry => entry.entryType === type);
+      if (buffered && recorded.length) {
+        this.callback({ getEntries: () => recorded }, this);
+      }
+    }
+
+    disconnect() {
+      this.types.clear();
+      environment.performanceObservers.delete(this);
+    }
+
+    takeRecords() {
+      return [];
+    }
+  };
+  window.PerformanceObserver.supportedEntryTypes = [
+    'event', 'first-input', 'largest-contentful-paint', 'layout-shift', 'long-animation-frame', 'navigation', 'paint'
+  ];
+
+  window.Element.prototype.scrollIntoView = function scrollIntoView(options) {
+    environment.scrolledTo.push({ element: this, options });
+  };
+
+  window.scrollTo = () => {};
+  window.scrollBy = () => {};
+
+  window.Element.prototype.animate = function animate(keyframes, options = {}) {
+    const timing = typeof options === 'number' ? { duration: options } : options;
+    const animation = {
+      effect: { target: this, keyframes, timing },
+      playState: 'finished',
+      onfinish: null,
+      cancel() { this.playState = 'idle'; },
+      finish() { this.playState = 'finished'; },
+      play() {},
+      pause() {},
+      reverse() {}
+    };
+
+    // Infinite animations never settle, just like in a browser
+    animation.finished = timing.iterations === Infinity
+      ? new Promise(() => {})
+      : Promise.resolve(animation);
+
+    environment.animations.push(animation);
+    return animation;
+  };
+
+  window.open = (url, target, windowFeatures) => {
+    environment.openedWindows.push({ url, target, features: windowFeatures });
+    return null;
+  };
+
+  // Site files (such as data/roadmap.json) are served from disk like the
+  // page itself; other requests are recorded and answered with an empty
+  // 204. Suites replace fetch when they need specific responses
+  window.fetch = (url, init = {}) => {
+    const target = new URL(String(url), window.location.href);
+    const method = (init.method || 'GET').toUpperCase();
+    if (method === 'GET' && target.href.startsWith(SITE_URL) && !target.search) {
+      const file = path.join(SITE_ROOT, decodeURIComponent(target.pathname));
+      if (file.startsWith(SITE_ROOT) && fs.existsSync(file) && fs.statSync(file).isFile()) {
+        const text = fs.readFileSync(file, 'utf8');
+        environment.siteRequests.push(String(url));
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          text: () => Promise.resolve(text),
+          json: () => Promise.resolve().then(() => JSON.parse(text))
+        });
+      }
+    }
+
+    environment.requests.push({ url: String(url), init });
+    return Promise.resolve({ ok: true, status: 204, json: () => Promise.reject(new Error('No content')) });
+  };
+
+  window.navigator.sendBeacon = (url, data) => {
+    environment.beacons.push({ url: String(url), data: String(data) });
+    return true;
+  };
+
+  window.indexedDB = environment.indexedDB;
+  window.IDBKeyRange = IDBKeyRange;
+
+  Object.defineProperty(window.navigator, 'onLine', {
+    get: () => environment.online,
+    configurable: true
+  });
+
+  Object.entries(environment.navigator).forEach(([name, value]) => {
+    Object.defineProperty(window.navigator, name, { value, configurable: true });
+  });
+
+  Object.entries(environment.storage).forEach(([key, value]) => {
+    window.localStorage.setItem(key, value);
+  });
+}
+
+/**
+ * Create a headless browser environment for the site.
+ *
+ * @param {Object} options
+ * @param {string} [options.html] - Markup to load instead of index.html
+ * @param {string[]} [options.scripts] - Extra site scripts to load after the page
+ * @param {Object} [options.features] - Media features (width, height, ...)
+ * @param {string} [options.path] - Path, query or hash to open, relative to SITE_URL
+ * @param {Object} [options.indexedDB] - IDBFactory to share storage between environments
+ * @param {boolean} [options.online] - Initial navigator.onLine (default: true)
+ * @param {Object} [options.navigator] - Extra navigator properties (e.g. globalPrivacyControl)
+ * @param {Object} [options.storage] - localStorage entries present before the page loads
+ * @returns {Promise<Object>} - The environment with window, document and recorders
+ */
+async function createSiteEnvironment(options = {}) {
+  const environment = {
+    features: { ...DEFAULT_FEATURES, ...(options.features || {}) },
+    observers: new Set(),
+    performanceObservers: new Set(),
+    performanceEntries: [],
+    animations: [],
+    scrolledTo: [],
+    openedWindows: [],
+    requests: [],
+    siteRequests: [],
+    beacons: [],
+    indexedDB: options.indexedDB || new IDBFactory(),
+    online: options.online !== false,
+    navigator: options.navigator || {},
+    storage: options.storage || {},
+    consoleMessages: [],
+    errors: []
+  };
+
+  const virtualConsole = new VirtualConsole();
+  ['log', 'info', 'warn', 'error'].forEach(level => {
+    virtualConsole.on(level, (...args) => {
+      environment.consoleMessages.push({ level, text: args.map(String).join(' ') });
+    });
+  });
+  virtualConsole.on('jsdomError', (error) => {
+    environment.errors.push(error);
+  });
+
+  const dom = new JSDOM(options.html || readSiteFile('index.html'), {
+    url: new URL(options.path || '', SITE_URL).href,
+    resources: new LocalResourceLoader(),
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse: (window) => installBrowserShims(window, environment)
+  });
+
+  const { window } = dom;
+
+  await new Promise(resolve => {
+    if (window.document.readyState === 'complete') {
+      resolve();
+    } else {
+      window.addEventListener('load', resolve);
+    }
+  });
+
+  // Let content fetched from the site (data files) render, as the page
+  // would have before anyone looks at it
+  if (environment.siteRequests.length) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  for (const src of options.scripts || []) {
+    if (!window.document.querySelector(`script[src="${src}"]`)) {
+      await loadScript(window, src);
+    }
+  }
+
+  return Object.assign(environment, {
+    dom,
+    window,
+    document: window.document,
+
+    /**
+     * Simulate an IntersectionObserver entry for every observer watching element
+     */
+    intersect(element, isIntersecting = true) {
+      Array.from(environment.observers).forEach(observer => {
+        if (!observer.targets.has(element)) return;
+
+        observer.callback([{
+          target: element,
+          isIntersecting,
+          intersectionRatio: isIntersecting ? 1 : 0,
+          boundingClientRect: element.getBoundingClientRect(),
+          time: window.performance.now()
+        }], observer);
+      });
+    },
+
+    /**
+     * Observers currently watching the given element
+     */
+    observersOf(element) {
+      return Array.from(environment.observers).filter(observer => observer.targets.has(element));
+    },
+
+    /**
+     * Record performance entries and deliver them to the observers of their type
+     */
+    recordPerformanceEntries(entries) {
+      environment.performanceEntries.push(...entries);
+      Array.from(environment.performanceObservers).forEach(observer => {
+        const observed = entries.filter(entry => observer.types.has(entry.entryType));
+        if (observed.length) {
+          observer.callback({ getEntries: () => observed }, observer);
+        }
+      });
+    },
+
+    /**
+     * Change navigator.onLine and fire the matching online/offline event
+     */
+    setOnline(online) {
+      environment.online = online;
+      window.dispatchEvent(new window.Event(online ? 'online' : 'offline'));
+    },
+
+    /**
+     * Wait for pending timers and animation frames
+     */
+    wait(ms = 0) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    close() {
+      window.close();
+    }
+  });
+}
+
+/**
+ * Append a site script to the document and wait for it to execute
+ */
+function loadScript(window, src) {
+  return new Promise((resolve, reject) => {
+    const script = window.document.createElement('script');
+    script.src = src;
+    script.addEventListener('load', resolve);
+    script.addEventListener('error', () => reject(new Error(`Failed to load script: ${src}`)));
+    window.document.body.appendChild(script);
+  });
+}
+
+module.exports = {
+  SITE_ROOT,
+  SITE_URL,
+  createSiteEnvironment,
+  readSiteFile
+};
@@ -0,0 +1,147 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Media Query Evaluation
+   ========================================================================== */
+
+/**
+ * Default media features for a desktop screen. Individual test environments
+ * override width/height (and preferences) to simulate other devices.
+ */
+const DEFAULT_FEATURES = {
+  type: 'screen',
+  width: 1280,
+  height: 800,
+  devicePixelRatio: 1,
+  hover: 'hover',
+  pointer: 'fine',
+  prefersReducedMotion: 'no-preference',
+  prefersColorScheme: 'light',
+  prefersReducedData: 'no-preference'
+};
+
+/**
+ * Parse a CSS length used in a media feature ("640px", "40em") into pixels
+ */
+function toPixels(value) {
+  const match = /^(-?[\d.]+)(px|em|rem)?$/.exec(value.trim());
+  if (!match) return NaN;
+
+  const number = parseFloat(match[1]);
+  return match[2] === 'em' || match[2] === 'rem' ? number * 16 : number;
+}
+
+/**
+ * Parse a resolution ("2dppx", "192dpi") or a bare ratio into dppx
+ */
+function toDppx(value) {
+  const match = /^([\d.]+)(dppx|x|dpi|dpcm)?$/.exec(value.trim());
+  if (!match) return NaN;
+
+  const number = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'dpi':
+      return number / 96;
+    case 'dpcm':
+      return (number * 2.54) / 96;
+    default:
+      return number;
+  }
+}
+
+/**
+ * Evaluate a single "(feature: value)" expression
+ */
+function evaluateFeature(expression, features) {
+  const [rawName, rawValue] = expression.split(':').map(part => part && part.trim());
+  const name = rawName.replace(/^-webkit-/, '');
+  const value = rawValue === undefined ? undefined : rawValue.toLowerCase();
+  const orientation = features.height >= features.width ? 'portrait' : 'landscape';
+
+  switch (name) {
+    case 'width':
+      return toPixels(value) === features.width;
+    case 'min-width':
+      return features.width >= toPixels(value);
+    case 'max-width':
+      return features.width <= toPixels(value);
+    case 'height':
+      return toPixels(value) === features.height;
+    case 'min-height':
+      return features.height >= toPixels(value);
+    case 'max-height':
+      return features.height <= toPixels(value);
+    case 'orientation':
+      return value === orientation;
+    case 'min-device-pixel-ratio':
+    case 'min-resolution':
+      return features.devicePixelRatio >= toDppx(value);
+    case 'max-device-pixel-ratio':
+    case 'max-resolution':
+      return features.devicePixelRatio <= toDppx(value);
+    case 'hover':
+    case 'any-hover':
+      return value === undefined ? features.hover !== 'none' : value === features.hover;
+    case 'pointer':
+    case 'any-pointer':
+      return value === undefined ? features.pointer !== 'none' : value === features.pointer;
+    case 'prefers-reduced-motion':
+      return value === undefined
+        ? features.prefersReducedMotion !== 'no-preference'
+        : value === features.prefersReducedMotion;
+    case 'prefers-color-scheme':
+      return value === features.prefersColorScheme;
+    case 'prefers-reduced-data':
+      return value === undefined
+        ? features.prefersReducedData !== 'no-preference'
+        : value === features.prefersReducedData;
+    default:
+      // Unknown features never match, the same as in browsers
+      return false;
+  }
+}
+
+/**
+ * Evaluate one query of a comma separated media query list
+ */
+function evaluateQuery(query, features) {
+  let text = query.trim().toLowerCase();
+  let negate = false;
+
+  if (text.startsWith('not ')) {
+    negate = true;
+    text = text.slice(4).trim();
+  } else if (text.startsWith('only ')) {
+    text = text.slice(5).trim();
+  }
+
+  const parts = text.split(/\s+and\s+/);
+  const matches = parts.every(part => {
+    const trimmed = part.trim();
+
+    if (trimmed.startsWith('(')) {
+      return evaluateFeature(trimmed.replace(/^\(|\)$/g, ''), features);
+    }
+
+    // Media type
+    return trimmed === 'all' || trimmed === features.type;
+  });
+
+  return negate ? !matches : matches;
+}
+
+/**
+ * Evaluate a media query list ("screen and (min-width: 640px), print")
+ * @param {string} mediaText - The media query list
+ * @param {Object} features - Media features, merged over DEFAULT_FEATURES
+ * @returns {boolean} - Whether any query in the list matches
+ */
+function evaluateMediaQuery(mediaText, features = {}) {
+  const resolved = { ...DEFAULT_FEATURES, ...features };
+  if (!mediaText || !mediaText.trim()) return true;
+
+  return mediaText.split(',').some(query => evaluateQuery(query, resolved));
+}
+
+module.exports = {
+  DEFAULT_FEATURES,
+  evaluateMediaQuery
+};
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Mock API Server
+   ========================================================================== */
+
+/**
+ * Local stand-in for the remote APIs the site calls, used by the test
+ * suites and for development without network access or rate limits.
+ *
+ *   npm run mock-api [-- --port 4010]
+ *
+ * then point the page config at it, e.g. "apiUrl": "http://localhost:4010"
+ * in #release-config, "endpoint": "http://localhost:4010/roadmap" in
+ * #roadmap-config, or the generic newsletter provider's "endpoint":
+ * "http://localhost:4010/newsletter" in #newsletter-config. Routes:
+ *
+ *   GET  /repos/:owner/:repo/releases   GitHub REST API releases (?per_page=)
+ *   GET  /roadmap/votes                 Vote counts per roadmap item
+ *   POST /roadmap/votes                 { item } adds a vote
+ *   POST /roadmap/feature-requests      { title, details, protocol }
+ *   POST /newsletter                    { email }; the address picks the
+ *                                       outcome: name+exists@, +invalid@,
+ *                                       +limited@, +error@ and +offline@
+ *                                       (the connection is dropped)
+ *
+ * Every response allows any origin, so the page can call it from another port.
+ */
+
+const http = require('http');
+
+/**
+ * Releases served by default, newest first, in the GitHub API format
+ */
+const MOCK_RELEASES = [
+  {
+    tag_name: 'v1.2.0',
+    name: 'Wireless Testing Toolkit 1.2.0',
+    draft: false,
+    prerelease: false,
+    published_at: '2026-10-01T09:00:00Z',
+    html_url: 'https://github.com/wireless-testing-toolkit/app/releases/tag/v1.2.0',
+    body: '## Highlights\n\n- **NFC writing** for NDEF text and URL records\n- CSV export of [BLE scan results](https://example.com/docs)\n* Faster GATT discovery\n- Dark mode\n- Bug fixes\n\nThanks to all contributors!',
+    assets: [
+      { name: 'wireless-testing-toolkit-1.2.0.apk', size: 24117248, browser_download_url: 'https://github.com/wireless-testing-toolkit/app/releases/download/v1.2.0/wireless-testing-toolkit-1.2.0.apk' },
+      { name: 'wireless-testing-toolkit-1.2.0-macos.zip', size: 41943040, browser_download_url: 'https://github.com/wireless-testing-toolkit/app/releases/download/v1.2.0/wireless-testing-toolkit-1.2.0-macos.zip' }
+    ]
+  },
+  {
+    tag_name: 'v1.3.0-beta.1',
+    name: 'Unpublished draft',
+    draft: true,
+    prerelease: true,
+    published_at: null,
+    html_url: '',
+    body: '',
+    assets: []
+  },
+  {
+    tag_name: 'v1.1.0',
+    name: 'Wireless Testing Toolkit 1.1.0',
+    draft: false,
+    prerelease: false,
+    published_at: '2026-08-12T09:00:00Z',
+    html_url: 'https://github.com/wireless-testing-toolkit/app/releases/tag/v1.1.0',
+    body: '- NFC tag history',
+    assets: []
+  }
+];
+
+/**
+ * Roadmap vote counts served by default, by item id
+ */
+const MOCK_VOTES = {
+  'nfc-writing': 42,
+  'csv-import': 17,
+  'tag-duplication': 8
+};
+
+/**
+ * Create the server (not yet listening)
+ * @param {Object} [options]
+ * @param {Object[]} [options.releases] - Releases to serve
+ * @param {Object} [options.votes] - Roadmap vote counts by item id
+ * @returns {Object} - { server, requests, status, votes, featureRequests,
+ *   subscribers, listen(port), close() }; set status to answer every
+ *   request with that error status instead
+ */
+function createMockApi({ releases = MOCK_RELEASES, votes = MOCK_VOTES } = {}) {
+  const api = {
+    requests: [],
+    status: null,
+    url: null,
+    votes: { ...votes },
+    featureRequests: [],
+    subscribers: new Set()
+  };
+
+  const send = (response, status, body) => {
+    response.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Accept, Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const route = (request, response, body) => {
+    const url = new URL(request.url, 'http://localhost');
+    api.requests.push({ method: request.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+    if (request.method === 'OPTIONS') {
+      send(response, 204);
+      return;
+    }
+    if (api.status) {
+      send(response, api.status, { message: `Mock error ${api.status}` });
+      return;
+    }
+
+    if (request.method === 'GET' && /^\/repos\/[^/]+\/[^/]+\/releases$/.test(url.pathname)) {
+      const perPage = parseInt(url.searchParams.get('per_page'), 10) || 30;
+      send(response, 200, releases.slice(0, perPage));
+      return;
+    }
+
+    if (url.pathname === '/roadmap/votes' && request.method === 'GET') {
+      send(response, 200, { votes: api.votes });
+      return;
+    }
+
+    if (url.pathname === '/roadmap/votes' && request.method === 'POST') {
+      if (!body || typeof body.item !== 'string' || !/^[a-z0-9-]+$/.test(body.item)) {
+        send(response, 400, { message: 'item is required' });
+        return;
+      }
+      api.votes[body.item] = (api.votes[body.item] || 0) + 1;
+      send(response, 200, { item: body.item, votes: api.votes[body.item] });
+      return;
+    }
+
+    if (url.pathname === '/roadmap/feature-requests' && request.method === 'POST') {
+      if (!body || typeof body.title !== 'string' || !body.title.trim()) {
+        send(response, 400, { message: 'title is required' });
+        return;
+      }
+      const featureRequest = { id: api.featureRequests.length + 1, title: body.title, details: body.details || '', protocol: body.protocol || null };
+      api.featureRequests.push(featureRequest);
+      send(response, 201, { id: featureRequest.id });
+      return;
+    }
+
+    if (url.pathname === '/newsletter' && request.method === 'POST') {
+      const email = body && typeof body.email === 'string' ? body.email.toLowerCase() : '';
+      const tag = (/\+([a-z]+)@/.exec(email) || [])[1];
+
+      if (tag === 'offline') {
+        request.socket.destroy();
+      } else if (tag === 'invalid' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+        send(response, 422, { message: 'This email address looks invalid.' });
+      } else if (tag === 'limited') {
+        send(response, 429, { message: 'Too many attempts' });
+      } else if (tag === 'error') {
+        send(response, 500, { message: 'Mock failure' });
+      } else if (tag === 'exists' || api.subscribers.has(email)) {
+        send(response, 409, { message: 'Already subscribed' });
+      } else {
+        api.subscribers.add(email);
+        send(response, 201, { status: 'pending' });
+      }
+      return;
+    }
+
+    send(response, 404, { message: 'Not Found' });
+  };
+
+  // JSON request bodies are parsed before routing; anything else is null
+  api.server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      let body = null;
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+      } catch (error) {
+        // Not JSON
+      }
+      route(request, response, body);
+    });
+  });
+
+  /**
+   * Start listening; port 0 picks a free one
+   * @returns {Promise<string>} - Base URL
+   */
+  api.listen = (port = 0) => new Promise(resolve => {
+    api.server.listen(port, '127.0.0.1', () => {
+      api.url = `http://127.0.0.1:${api.server.address().port}`;
+      resolve(api.url);
+    });
+  });
+
+  api.close = () => new Promise(resolve => api.server.close(() => resolve()));
+
+  /**
+   * fetch for a jsdom window: sends the request with Node's fetch, which
+   * does not accept jsdom's AbortSignal, so aborts are forwarded instead
+   */
+  api.fetch = (url, init = {}) => {
+    const controller = new AbortController();
+    if (init.signal) {
+      init.signal.addEventListener('abort', () => controller.abort());
+    }
+    return fetch(url, { ...init, signal: controller.signal });
+  };
+
+  return api;
+}
+
+if (require.main === module) {
+  const index = process.argv.indexOf('--port');
+  const port = index === -1 ? 4010 : parseInt(process.argv[index + 1], 10);
+  const api = createMockApi();
+  api.listen(port).then(url => console.log(`Mock API listening on ${url}`));
+}
+
+module.exports = { createMockApi, MOCK_RELEASES, MOCK_VOTES };
@@ -0,0 +1,148 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Script/Markup Cross References
+   ========================================================================== */
+
+/**
+ * Statically extracts the ids and selectors site scripts depend on, and the
+ * ids and classes scripts create themselves, so they can be checked against
+ * index.html without executing anything.
+ */
+
+// Calls whose first string argument is a selector
+const SELECTOR_CALLS = /\b(querySelector|querySelectorAll|closest|matches)\(\s*(['"`])((?:(?!\2).)+)\2/g;
+
+// Calls whose first string argument is an element id
+const ID_CALLS = /\b(getElementById|scrollToSection)\(\s*(['"`])((?:(?!\2).)+)\2/g;
+
+// Selector lists handed to AnimationManager.observeElements
+const OBSERVE_CALLS = /\bobserveElements\(\s*\[([\s\S]*?)\]\s*\)/g;
+
+// Hash links assigned in scripts (skip links, generated navigation)
+const HREF_ASSIGNMENTS = /\.href\s*=\s*(['"`])#([\w-]+)\1/g;
+
+// Pseudo-classes describing state that never matches static markup
+const STATE_PSEUDO_CLASSES = /:(target|hover|focus|focus-visible|focus-within|active|checked|disabled|visited)\b/g;
+
+/**
+ * Line number of a character offset
+ */
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Extract every id and selector a script references
+ * @param {string} file - Script path used in reports
+ * @param {string} source - Script source
+ * @returns {Object[]} - References as { file, line, kind, value, selector, dynamic }
+ */
+function extractReferences(file, source) {
+  const references = [];
+  const add = (kind, value, index) => {
+    references.push({
+      file,
+      line: lineAt(source, index),
+      kind,
+      value,
+      selector: kind === 'id' ? `#${value}` : value.trim(),
+      dynamic: value.includes('${')
+    });
+  };
+
+  let match;
+  while ((match = SELECTOR_CALLS.exec(source))) {
+    add('selector', match[3], match.index);
+  }
+  while ((match = ID_CALLS.exec(source))) {
+    add('id', match[3], match.index);
+  }
+  while ((match = HREF_ASSIGNMENTS.exec(source))) {
+    add('id', match[2], match.index);
+  }
+  while ((match = OBSERVE_CALLS.exec(source))) {
+    const list = match[1];
+    const strings = /(['"`])((?:(?!\1).)+)\1/g;
+    let item;
+    while ((item = strings.exec(list))) {
+      add('selector', item[2], match.index + match[0].indexOf(list) + item.index);
+    }
+  }
+
+  // Regexes are global, so reset them for the next file
+  [SELECTOR_CALLS, ID_CALLS, HREF_ASSIGNMENTS, OBSERVE_CALLS].forEach(regex => { regex.lastIndex = 0; });
+
+  return references.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Ids and classes a script creates at runtime (element.id = ..., className,
+ * classList.add/toggle, and class/id attributes in HTML strings)
+ */
+function extractProvidedTokens(source) {
+  const ids = new Set();
+  const classes = new Set();
+  const addClasses = value => value.split(/\s+/)
+    .filter(name => name && !name.includes('$'))
+    .forEach(name => classes.add(name));
+
+  let match;
+  const idAssignments = /\.id\s*=\s*(['"`])([\w-]+)\1|\bid="([\w-]+)"/g;
+  while ((match = idAssignments.exec(source))) {
+    ids.add(match[2] || match[3]);
+  }
+
+  const classAssignments = /\.className\s*=\s*(['"`])([^'"`]+)\1|\bclass="([^"]+)"/g;
+  while ((match = classAssignments.exec(source))) {
+    addClasses(match[2] || match[3]);
+  }
+
+  const classListCalls = /classList\.(?:add|toggle)\(([^)]*)\)/g;
+  while ((match = classListCalls.exec(source))) {
+    const strings = /(['"`])([\w-]+)\1/g;
+    let name;
+    while ((name = strings.exec(match[1]))) {
+      classes.add(name[2]);
+    }
+  }
+
+  return { ids, classes };
+}
+
+/**
+ * Resolve each reference against a document. A selector list resolves when
+ * any of its selectors matches, since scripts use lists as fallbacks.
+ * @returns {Object[]} - References with status: matched, runtime, dynamic or missing
+ */
+function resolveReferences(references, document, provided) {
+  return references.map(reference => {
+    if (reference.dynamic) {
+      return { ...reference, status: 'dynamic' };
+    }
+
+    const selector = reference.selector.replace(STATE_PSEUDO_CLASSES, '');
+    let matched = false;
+    try {
+      matched = Boolean(document.querySelector(selector || '*'));
+    } catch (error) {
+      return { ...reference, status: 'missing', error: `Invalid selector: ${error.message}` };
+    }
+
+    if (matched) {
+      return { ...reference, status: 'matched' };
+    }
+
+    const ids = (selector.match(/#[\w-]+/g) || []).map(token => token.slice(1));
+    const classes = (selector.match(/\.[\w-]+/g) || []).map(token => token.slice(1));
+    const createdAtRuntime = ids.length + classes.length > 0 &&
+      ids.every(id => provided.ids.has(id) || document.getElementById(id)) &&
+      classes.every(name => provided.classes.has(name) || document.querySelector(`.${name}`));
+
+    return { ...reference, status: createdAtRuntime ? 'runtime' : 'missing' };
+  });
+}
+
+module.exports = {
+  extractProvidedTokens,
+  extractReferences,
+  resolveReferences
+};
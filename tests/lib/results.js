@@ -0,0 +1,154 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Test Results & Reporters
+   ========================================================================== */
+
+const STATUS_SYMBOLS = {
+  pass: '✓',
+  fail: '✗',
+  warning: '!',
+  info: '·'
+};
+
+/**
+ * Collects results using the same shape as the original browser test suite:
+ * a test name, a status (pass, fail, warning, info), a message and details.
+ */
+class TestResults {
+  constructor() {
+    this.results = [];
+    this.currentSuite = 'General';
+    this.listeners = [];
+  }
+
+  /**
+   * Start grouping subsequent results under a suite name
+   */
+  startSuite(name) {
+    this.currentSuite = name;
+  }
+
+  /**
+   * Record a single result
+   */
+  addResult(test, status, message, details = '') {
+    const result = {
+      suite: this.currentSuite,
+      test,
+      status,
+      message,
+      details,
+      timestamp: new Date().toISOString()
+    };
+
+    this.results.push(result);
+    this.listeners.forEach(listener => listener(result));
+    return result;
+  }
+
+  /**
+   * Subscribe to results as they are recorded
+   */
+  onResult(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Count results by status
+   */
+  get counts() {
+    return this.results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { pass: 0, fail: 0, warning: 0, info: 0 });
+  }
+
+  hasFailures() {
+    return this.results.some(result => result.status === 'fail');
+  }
+
+  /**
+   * Results grouped by suite, in the order suites were run
+   */
+  bySuite() {
+    const suites = new Map();
+    this.results.forEach(result => {
+      if (!suites.has(result.suite)) {
+        suites.set(result.suite, []);
+      }
+      suites.get(result.suite).push(result);
+    });
+    return suites;
+  }
+
+  toJSON() {
+    return {
+      summary: this.counts,
+      success: !this.hasFailures(),
+      results: this.results
+    };
+  }
+
+  /**
+   * Render a JUnit XML report. Info results are progress notes rather than
+   * assertions, so they are not reported as test cases.
+   */
+  toJUnit() {
+    const suites = Array.from(this.bySuite()).map(([name, results]) => {
+      const cases = results.filter(result => result.status !== 'info');
+      const failures = cases.filter(result => result.status === 'fail').length;
+
+      const testCases = cases.map(result => {
+        const caseName = escapeXml(result.test);
+        const className = escapeXml(name);
+        const message = escapeXml(result.message);
+        const details = result.details ? escapeXml(result.details) : '';
+
+        if (result.status === 'fail') {
+          return `    <testcase classname="${className}" name="${caseName}">\n` +
+            `      <failure message="${message}">${details}</failure>\n` +
+            '    </testcase>';
+        }
+
+        if (result.status === 'warning') {
+          return `    <testcase classname="${className}" name="${caseName}">\n` +
+            `      <system-out>WARNING: ${message}${details ? `\n${details}` : ''}</system-out>\n` +
+            '    </testcase>';
+        }
+
+        return `    <testcase classname="${className}" name="${caseName}"/>`;
+      });
+
+      return `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}">\n` +
+        `${testCases.join('\n')}\n` +
+        '  </testsuite>';
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<testsuites tests="${this.results.filter(r => r.status !== 'info').length}" failures="${this.counts.fail}">\n` +
+      `${suites.join('\n')}\n` +
+      '</testsuites>\n';
+  }
+}
+
+/**
+ * Format a result for console output
+ */
+function formatResult(result) {
+  const symbol = STATUS_SYMBOLS[result.status] || '?';
+  const line = `  ${symbol} ${result.test}: ${result.message}`;
+  return result.details ? `${line}\n      ${result.details}` : line;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  TestResults,
+  formatResult
+};
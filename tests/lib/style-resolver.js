@@ -0,0 +1,383 @@
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Style Resolution
+   ========================================================================== */
+
+const { evaluateMediaQuery } = require('./media-query');
+
+/**
+ * Properties that inherit from the parent element when not declared
+ */
+const INHERITED_PROPERTIES = new Set([
+  'color',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'line-height',
+  'text-align',
+  'visibility',
+  'white-space'
+]);
+
+/**
+ * Longhand properties that can also be set through a box shorthand
+ */
+const BOX_SHORTHANDS = {
+  'padding-top': ['padding', 0],
+  'padding-right': ['padding', 1],
+  'padding-bottom': ['padding', 2],
+  'padding-left': ['padding', 3],
+  'margin-top': ['margin', 0],
+  'margin-right': ['margin', 1],
+  'margin-bottom': ['margin', 2],
+  'margin-left': ['margin', 3]
+};
+
+const ROOT_FONT_SIZE = 16;
+
+/**
+ * Split a selector list on top-level commas
+ */
+function splitSelectorList(selectorText) {
+  const selectors = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of selectorText) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      selectors.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) selectors.push(current.trim());
+  return selectors;
+}
+
+/**
+ * Calculate selector specificity as [ids, classes, elements]
+ */
+function calculateSpecificity(selector) {
+  const text = selector.replace(/:not\(([^)]*)\)/g, ' $1');
+  const ids = (text.match(/#[\w-]+/g) || []).length;
+  const classes = (text.match(/\.[\w-]+|\[[^\]]+\]|:(?!:)[\w-]+/g) || []).length;
+  const elements = (text.replace(/\[[^\]]+\]/g, '').match(/(^|[\s>+~(])[a-z][\w-]*|::[\w-]+/gi) || []).length;
+  return [ids, classes, elements];
+}
+
+function compareSpecificity(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Whether declaration a wins the cascade over declaration b
+ */
+function outranks(a, b) {
+  if (!b) return true;
+  if (a.important !== b.important) return a.important;
+
+  const specificity = compareSpecificity(a.specificity, b.specificity);
+  return specificity > 0 || (specificity === 0 && a.order > b.order);
+}
+
+/**
+ * Split a value on whitespace outside of parentheses
+ */
+function splitValue(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value.trim()) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (/\s/.test(char) && depth === 0) {
+      if (current) parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Resolves cascaded and computed styles for the site's stylesheets at a given
+ * set of media features. jsdom ignores media queries and specificity, so the
+ * cascade is implemented here: matching media rules, selector specificity,
+ * !important, source order, inheritance and custom properties.
+ */
+class StyleResolver {
+  /**
+   * @param {Document} document - Document whose stylesheets are resolved
+   * @param {Object} features - Media features used to evaluate @media rules
+   */
+  constructor(document, features) {
+    this.document = document;
+    this.features = features;
+    this.rules = [];
+    this.mediaRules = [];
+    this.declarationCache = new WeakMap();
+
+    this.collectRules();
+  }
+
+  /**
+   * Flatten stylesheet rules, keeping only those whose media query applies
+   */
+  collectRules() {
+    let order = 0;
+
+    // jsdom does not expose sheet.ownerNode, but sheets are in document order
+    const owners = Array.from(this.document.querySelectorAll('link[rel="stylesheet"], style'));
+
+    Array.from(this.document.styleSheets).forEach((sheet, index) => {
+      const owner = owners[index];
+      const source = owner && owner.getAttribute('href') || 'inline';
+
+      const visit = (rules, applies) => {
+        Array.from(rules).forEach(rule => {
+          if (rule.media && rule.cssRules) {
+            const mediaText = rule.media.mediaText;
+            const matches = evaluateMediaQuery(mediaText, this.features);
+            this.mediaRules.push({ source, mediaText, matches });
+            visit(rule.cssRules, applies && matches);
+            return;
+          }
+
+          if (!applies || !rule.selectorText || !rule.style) return;
+
+          splitSelectorList(rule.selectorText).forEach(selector => {
+            // Pseudo-elements never match real elements
+            if (selector.includes('::')) return;
+
+            this.rules.push({
+              selector,
+              specificity: calculateSpecificity(selector),
+              order: order++,
+              style: rule.style,
+              source
+            });
+          });
+        });
+      };
+
+      visit(sheet.cssRules, true);
+    });
+  }
+
+  /**
+   * Media queries from a stylesheet and whether they apply
+   */
+  getMediaQueries(source) {
+    return this.mediaRules.filter(rule => !source || rule.source === source);
+  }
+
+  /**
+   * Winning declarations for an element, keyed by property
+   */
+  getDeclarations(element) {
+    const cached = this.declarationCache.get(element);
+    if (cached) return cached;
+
+    const declarations = new Map();
+    const apply = (property, value, important, specificity, order) => {
+      const declaration = { value, important, specificity, order };
+      if (outranks(declaration, declarations.get(property))) {
+        declarations.set(property, declaration);
+      }
+    };
+
+    this.rules.forEach(rule => {
+      let matches = false;
+      try {
+        matches = element.matches(rule.selector);
+      } catch (error) {
+        matches = false;
+      }
+      if (!matches) return;
+
+      Array.from(rule.style).forEach(property => {
+        apply(
+          property,
+          rule.style.getPropertyValue(property),
+          rule.style.getPropertyPriority(property) === 'important',
+          rule.specificity,
+          rule.order
+        );
+      });
+    });
+
+    // Inline styles beat every non-important stylesheet declaration
+    if (element.style) {
+      Array.from(element.style).forEach(property => {
+        apply(
+          property,
+          element.style.getPropertyValue(property),
+          element.style.getPropertyPriority(property) === 'important',
+          [Infinity, 0, 0],
+          Infinity
+        );
+      });
+    }
+
+    this.declarationCache.set(element, declarations);
+    return declarations;
+  }
+
+  /**
+   * The cascaded (declared) value of a property, before inheritance
+   */
+  getCascadedValue(element, property) {
+    const declarations = this.getDeclarations(element);
+    const longhand = declarations.get(property);
+    const shorthand = BOX_SHORTHANDS[property];
+
+    if (shorthand) {
+      const [shorthandName, index] = shorthand;
+      const box = declarations.get(shorthandName);
+
+      if (box && outranks(box, longhand)) {
+        const values = splitValue(this.resolveVariables(element, box.value));
+        const expanded = [
+          values[0],
+          values[1] !== undefined ? values[1] : values[0],
+          values[2] !== undefined ? values[2] : values[0],
+          values[3] !== undefined ? values[3] : (values[1] !== undefined ? values[1] : values[0])
+        ];
+        return expanded[index];
+      }
+    }
+
+    return longhand ? longhand.value : '';
+  }
+
+  /**
+   * The computed value of a property with variables resolved and inherited
+   * properties taken from ancestors
+   */
+  getComputedValue(element, property) {
+    let value = this.getCascadedValue(element, property);
+
+    if (value === 'inherit' || (!value && INHERITED_PROPERTIES.has(property))) {
+      const parent = element.parentElement;
+      return parent ? this.getComputedValue(parent, property) : '';
+    }
+
+    return this.resolveVariables(element, value);
+  }
+
+  /**
+   * Value of a custom property (--name), inherited through ancestors
+   */
+  getCustomProperty(element, name) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const declaration = this.getDeclarations(node).get(name);
+      if (declaration) {
+        return this.resolveVariables(node, declaration.value.trim());
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Replace var(--name, fallback) references with their values
+   */
+  resolveVariables(element, value, depth = 0) {
+    if (!value || !value.includes('var(') || depth > 10) return value;
+
+    const resolved = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g,
+      (match, name, fallback) => {
+        const custom = this.getCustomProperty(element, name);
+        return custom || (fallback !== undefined ? fallback.trim() : '');
+      });
+
+    return this.resolveVariables(element, resolved, depth + 1);
+  }
+
+  /**
+   * Convert a computed length to pixels. Percentages resolve against basis.
+   * Returns NaN for values that cannot be resolved without layout.
+   */
+  toPixels(element, value, basis = NaN) {
+    if (!value) return NaN;
+    const text = value.trim();
+    const match = /^(-?[\d.]+)(px|rem|em|%|vw|vh)?$/.exec(text);
+
+    if (!match) {
+      if (text === '0') return 0;
+      return NaN;
+    }
+
+    const number = parseFloat(match[1]);
+    switch (match[2]) {
+      case 'rem':
+        return number * ROOT_FONT_SIZE;
+      case 'em':
+        return number * this.getFontSize(element);
+      case '%':
+        return (number / 100) * basis;
+      case 'vw':
+        return (number / 100) * this.features.width;
+      case 'vh':
+        return (number / 100) * this.features.height;
+      default:
+        return number;
+    }
+  }
+
+  /**
+   * Computed font size in pixels
+   */
+  getFontSize(element) {
+    const value = this.getComputedValue(element, 'font-size');
+    const match = /^([\d.]+)(px|rem|em)?$/.exec(value || '');
+    if (!match) return ROOT_FONT_SIZE;
+
+    const number = parseFloat(match[1]);
+    if (match[2] === 'em') {
+      return number * (element.parentElement ? this.getFontSize(element.parentElement) : ROOT_FONT_SIZE);
+    }
+    return match[2] === 'rem' ? number * ROOT_FONT_SIZE : number;
+  }
+
+  /**
+   * Whether an element takes part in layout: no display:none on it or an
+   * ancestor and not visibility:hidden
+   */
+  isRendered(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (node.hidden || this.getComputedValue(node, 'display') === 'none') return false;
+    }
+    return this.getComputedValue(element, 'visibility') !== 'hidden';
+  }
+
+  /**
+   * Whether an element is rendered and not made transparent by itself or an
+   * ancestor
+   */
+  isVisible(element) {
+    if (!this.isRendered(element)) return false;
+
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (parseFloat(this.getComputedValue(node, 'opacity')) === 0) return false;
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  StyleResolver,
+  calculateSpecificity,
+  splitValue
+};
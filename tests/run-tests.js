@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/* ==========================================================================
+   Wireless Testing Toolkit Marketing Site - Headless Test Runner
+   ========================================================================== */
+
+/**
+ * Usage: node tests/run-tests.js [options]
+ *
+ *   --suite <names>   Comma separated suites to run (default: all)
+ *   --static          Only run static analysis (the cross-reference suite)
+ *   --json <file>     Write a JSON report
+ *   --junit <file>    Write a JUnit XML report
+ *   --quiet           Only print failures, warnings and the summary
+ *
+ * Exits with code 1 when any test fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TestResults, formatResult } = require('./lib/results');
+const { runFunctionalityTests } = require('./suites/functionality');
+const { runResponsiveTests } = require('./suites/responsive');
+const { runAccessibilityTests } = require('./suites/accessibility');
+const { runPerformanceTests } = require('./suites/performance');
+const { runReferenceTests } = require('./suites/references');
+
+const SUITES = {
+  functionality: { name: 'Functionality', run: runFunctionalityTests },
+  responsive: { name: 'Responsive', run: runResponsiveTests },
+  accessibility: { name: 'Accessibility', run: runAccessibilityTests },
+  performance: { name: 'Performance', run: runPerformanceTests },
+  references: { name: 'Cross-References', run: runReferenceTests }
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { suites: Object.keys(SUITES), json: null, junit: null, quiet: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.split('=');
+    const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+    switch (flag) {
+      case '--suite':
+        options.suites = value().split(',').map(name => name.trim()).filter(Boolean);
+        break;
+      case '--json':
+        options.json = value();
+        break;
+      case '--junit':
+        options.junit = value();
+        break;
+      case '--static':
+        options.suites = ['references'];
+        break;
+      case '--quiet':
+        options.quiet = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const unknown = options.suites.filter(name => !SUITES[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown suite(s): ${unknown.join(', ')}. Available: ${Object.keys(SUITES).join(', ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * Write a report file, creating its directory if needed
+ */
+function writeReport(file, contents) {
+  const target = path.resolve(file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, contents);
+  console.log(`Report written to ${path.relative(process.cwd(), target)}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const results = new TestResults();
+
+  let printedSuite = null;
+  results.onResult(result => {
+    if (options.quiet && result.status !== 'fail' && result.status !== 'warning') return;
+
+    // Suites may split their results into sub-suites (e.g. per viewport)
+    if (result.suite !== printedSuite) {
+      console.log(`\n${result.suite}`);
+      printedSuite = result.suite;
+    }
+    console.log(formatResult(result));
+  });
+
+  for (const key of options.suites) {
+    const suite = SUITES[key];
+    results.startSuite(suite.name);
+
+    try {
+      await suite.run(results);
+    } catch (error) {
+      results.addResult(suite.name, 'fail', `Suite crashed: ${error.message}`, error.stack);
+    }
+  }
+
+  const { pass, fail, warning } = results.counts;
+  console.log(`\nTests completed: ${pass} passed, ${fail} failed, ${warning} warnings`);
+
+  if (options.json) {
+    writeReport(options.json, JSON.stringify(results.toJSON(), null, 2));
+  }
+  if (options.junit) {
+    writeReport(options.junit, results.toJUnit());
+  }
+
+  return results.hasFailures() ? 1 : 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,66 @@
+/* ==========================================================================
+   Accessibility Tests - DOM rule engine over the rendered page
+   ========================================================================== */
+
+const { createSiteEnvironment } = require('../lib/environment');
+const { StyleResolver } = require('../lib/style-resolver');
+const { runAccessibilityRules } = require('../lib/accessibility-rules');
+
+// Violations listed per rule before the details are truncated
+const MAX_REPORTED = 10;
+
+/**
+ * Run accessibility tests
+ */
+async function runAccessibilityTests(results) {
+  results.addResult('Accessibility Tests', 'info', 'Starting accessibility tests...');
+
+  let env;
+  try {
+    env = await createSiteEnvironment();
+  } catch (error) {
+    results.addResult('Accessibility Tests', 'fail', `Error running accessibility tests: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { document } = env;
+    const styles = new StyleResolver(document, env.features);
+
+    // Landmarks
+    ['main', 'section'].forEach(tag => {
+      if (document.querySelector(tag)) {
+        results.addResult(`Semantic HTML: ${tag}`, 'pass', `${tag} element found`);
+      } else {
+        results.addResult(`Semantic HTML: ${tag}`, 'fail', `${tag} element missing`);
+      }
+    });
+
+    // The skip link is inserted by MarketingSiteApp, so it only exists once scripts ran
+    const skipLink = document.querySelector('.skip-link[href="#mainContent"]');
+    if (skipLink && document.getElementById('mainContent')) {
+      results.addResult('Skip Links', 'pass', 'Skip link to main content present');
+    } else {
+      results.addResult('Skip Links', 'fail', 'Skip link or its #mainContent target is missing');
+    }
+
+    runAccessibilityRules({ document, styles }).forEach(({ rule, violations }) => {
+      if (violations.length === 0) {
+        results.addResult(rule.name, 'pass', `No ${rule.id} violations`);
+        return;
+      }
+
+      const details = violations.slice(0, MAX_REPORTED)
+        .map(violation => `${violation.selector}: ${violation.message}`)
+        .concat(violations.length > MAX_REPORTED ? [`...and ${violations.length - MAX_REPORTED} more`] : [])
+        .join('\n      ');
+
+      results.addResult(rule.name, 'fail',
+        `${violations.length} ${rule.id} violation${violations.length === 1 ? '' : 's'}`, details);
+    });
+  } finally {
+    env.close();
+  }
+}
+
+module.exports = { runAccessibilityTests };
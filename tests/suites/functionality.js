@@ -0,0 +1,2255 @@
+/* ==========================================================================
+   Functionality Tests - page structure and real script execution
+   ========================================================================== */
+
+const { IDBFactory } = require('fake-indexeddb');
+const { createSiteEnvironment, readSiteFile } = require('../lib/environment');
+const { createMockApi } = require('../lib/mock-api');
+
+const EXPECTED_SECTIONS = ['hero', 'use-cases', 'features', 'roadmap', 'monetization', 'download'];
+
+const EXPECTED_SCRIPTS = ['scripts/router.js', 'scripts/visibility.js', 'scripts/main.js', 'scripts/animations.js', 'scripts/slides.js', 'scripts/dialog.js', 'scripts/notifications.js', 'scripts/offline-queue.js', 'scripts/analytics.js', 'scripts/web-vitals.js', 'scripts/scroll-profiler.js', 'scripts/consent.js', 'scripts/engagement.js', 'scripts/qr-code.js', 'scripts/download.js', 'scripts/releases.js', 'scripts/roadmap.js', 'scripts/roadmap-voting.js', 'scripts/donations.js', 'scripts/send-to-phone.js', 'scripts/newsletter.js'];
+
+/**
+ * Minimal section layout, used to exercise SlideManager in isolation
+ */
+const SLIDES_FIXTURE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <main id="mainContent">
+    <section class="section" id="first"><h2>First</h2></section>
+    <section class="section" id="notes" data-slide-skip><h2>Speaker notes</h2></section>
+    <section class="section" id="second" data-slide-title="Second" data-slide-duration="3000"
+      data-slide-transition="fade"><h2>2nd</h2></section>
+    <section class="section" id="third"><h2>Third</h2></section>
+  </main>
+</body>
+</html>`;
+
+/**
+ * Newsletter form wired to the generic provider; the mock API serves
+ * /newsletter, and without it requests reach the environment's fetch
+ * recorder, which accepts them
+ */
+const newsletterFixture = (endpoint = '/api/newsletter') => `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <form class="newsletter-form" onsubmit="handleNewsletterSubmit(event)" novalidate>
+    <input type="email" id="newsletter-email" required>
+    <input type="checkbox" id="privacy-consent">
+    <button type="submit">Subscribe</button>
+  </form>
+  <script type="application/json" id="newsletter-config">
+    { "provider": "generic", "retries": 1, "retryDelay": 0, "timeout": 2000, "providers": { "generic": { "endpoint": "${endpoint}" } } }
+  </script>
+</body>
+</html>`;
+
+/**
+ * The download link at level H (version 5, mask 4) as encoded in byte mode
+ * by the qrcode npm package 1.5.4, one string per row with 1 for dark
+ */
+const REFERENCE_QR = [
+  '1111111000100101010010111001101111111',
+  '1000001010110000111000111110101000001',
+  '1011101001010101111100110011001011101',
+  '1011101001111011111110101111101011101',
+  '1011101000000010101110001001001011101',
+  '1000001011010001111101000100101000001',
+  '1111111010101010101010101010101111111',
+  '0000000010001011001110110000000000000',
+  '0000111101010111000101001001001100010',
+  '1001000100111000111010110011100011100',
+  '0001111010010000110010011111110000100',
+  '1000100000101100000100101010010101111',
+  '1010101100111100111100010001011100110',
+  '0101100011001111111001111101110010100',
+  '1111111010010000100010000101010111100',
+  '1111100100011001000000100010101110111',
+  '1110001101110110010111100001011001101',
+  '1110100011000010110000001101110011000',
+  '1011011110100100100101101011101100100',
+  '0001000011011110100110000001001100110',
+  '0010101101100100000111101010011000110',
+  '0101000000100001011100010011000011000',
+  '0010101010111010111101101111101000000',
+  '1100010111110010010011000010101100101',
+  '1000101000101110010010011001011101110',
+  '1001110010111111100010101111110011100',
+  '0000101011001110011111010111010110000',
+  '0001010101010000000111111010001001100',
+  '1111001010110000111100001000111110100',
+  '0000000011000100101000110110100011010',
+  '1111111010000010011101011010101011100',
+  '1000001010101001101010100000100010100',
+  '1011101010111111011111101000111111100',
+  '1011101001000001000110110010001101100',
+  '1011101000010101010110011110001101110',
+  '1000001001111110100110010000010000110',
+  '1111111001001101110100101001010010111'
+];
+
+/**
+ * Run functionality tests
+ */
+async function runFunctionalityTests(results) {
+  results.addResult('Functionality Tests', 'info', 'Starting functionality tests...');
+
+  let env;
+  try {
+    env = await createSiteEnvironment();
+  } catch (error) {
+    results.addResult('Site Loading', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    checkPageStructure(env, results);
+    checkScriptErrors(env, results);
+    checkMarketingSiteApp(env, results);
+    checkKeyboardNavigation(env, results);
+    checkAnimationManager(env, results);
+    checkGlobalHandlers(env, results);
+    checkDonations(env, results);
+    checkDonationDialog(env, results);
+    checkSendToPhone(env, results);
+    checkNewsletterForm(env, results);
+  } finally {
+    env.close();
+  }
+
+  await checkSlideManager(results);
+  await checkSlideTransitions(results);
+  await checkPresentationMode(results);
+  await checkRouting(results);
+  await checkScrollLayoutReads(results);
+  await checkAppLifecycle(results);
+  await checkNotifications(results);
+  await checkAnalytics(results);
+  await checkConsent(results);
+  await checkEngagement(results);
+  await checkDownloads(results);
+  await checkQRCode(results);
+  await checkReleases(results);
+  await checkRoadmap(results);
+  await checkRoadmapVoting(results);
+  await checkWebVitals(results);
+  await checkScrollProfiler(results);
+  await checkNewsletter(results);
+  await checkOfflineQueue(results);
+}
+
+/**
+ * Sections, stylesheets, scripts and meta tags
+ */
+function checkPageStructure(env, results) {
+  const { document } = env;
+  results.addResult('Site Loading', 'pass', 'Site loads successfully');
+
+  EXPECTED_SECTIONS.forEach(section => {
+    const element = document.getElementById(section);
+    if (element && element.classList.contains('section')) {
+      results.addResult(`Section: ${section}`, 'pass', `Section ${section} found`);
+    } else {
+      results.addResult(`Section: ${section}`, 'fail', `Section ${section} not found`);
+    }
+  });
+
+  const scripts = Array.from(document.querySelectorAll('script[src]')).map(s => s.getAttribute('src'));
+  if (EXPECTED_SCRIPTS.every(src => scripts.includes(src))) {
+    results.addResult('JavaScript Files', 'pass', 'All JavaScript files are included');
+  } else {
+    results.addResult('JavaScript Files', 'fail', 'Missing JavaScript files', scripts.join(', '));
+  }
+
+  const styles = Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(l => l.getAttribute('href'));
+  if (styles.includes('styles/main.css') && styles.includes('styles/responsive.css')) {
+    results.addResult('CSS Files', 'pass', 'All CSS files are included');
+  } else {
+    results.addResult('CSS Files', 'fail', 'Missing CSS files', styles.join(', '));
+  }
+
+  if (document.querySelector('meta[name="description"]')) {
+    results.addResult('SEO Meta Tags', 'pass', 'Description meta tag found');
+  } else {
+    results.addResult('SEO Meta Tags', 'fail', 'Missing description meta tag');
+  }
+
+  if (document.querySelector('meta[property^="og:"]')) {
+    results.addResult('OpenGraph Tags', 'pass', 'OpenGraph tags found');
+  } else {
+    results.addResult('OpenGraph Tags', 'warning', 'OpenGraph tags missing');
+  }
+}
+
+/**
+ * Uncaught errors and initialization failures reported by the scripts
+ */
+function checkScriptErrors(env, results) {
+  const initFailures = env.consoleMessages.filter(message =>
+    message.level === 'error' && /Failed to initialize/.test(message.text));
+
+  if (env.errors.length === 0 && initFailures.length === 0) {
+    results.addResult('Script Errors', 'pass', 'Scripts executed without errors');
+  } else {
+    const details = env.errors.map(error => error.message)
+      .concat(initFailures.map(message => message.text))
+      .join('; ');
+    results.addResult('Script Errors', 'fail', 'Scripts reported errors while loading', details);
+  }
+}
+
+/**
+ * MarketingSiteApp initialization, section detection and announcements
+ */
+function checkMarketingSiteApp(env, results) {
+  const { window, document } = env;
+  const app = window.app;
+
+  if (!app || !(app instanceof window.MarketingSiteApp) || !app.isInitialized) {
+    results.addResult('MarketingSiteApp', 'fail', 'window.app is not an initialized MarketingSiteApp');
+    return;
+  }
+  results.addResult('MarketingSiteApp', 'pass', 'Application initialized');
+
+  const sectionCount = document.querySelectorAll('.section').length;
+  if (app.sections.length === sectionCount) {
+    results.addResult('Section Discovery', 'pass', `App tracks all ${sectionCount} sections`);
+  } else {
+    results.addResult('Section Discovery', 'fail',
+      `App tracks ${app.sections.length} of ${sectionCount} sections`);
+  }
+
+  if (document.querySelector('a.skip-link[href="#mainContent"]')) {
+    results.addResult('Skip Link', 'pass', 'Skip link inserted');
+  } else {
+    results.addResult('Skip Link', 'fail', 'Skip link missing');
+  }
+
+  const features = document.getElementById('features');
+  let changedEvent = null;
+  const listener = (event) => { changedEvent = event.detail; };
+  document.addEventListener('section:changed', listener);
+  env.intersect(features);
+  document.removeEventListener('section:changed', listener);
+
+  const expectedIndex = Array.from(app.sections).indexOf(features);
+  if (changedEvent && changedEvent.sectionId === 'features' && app.currentSection === expectedIndex) {
+    results.addResult('Section Observer', 'pass', 'section:changed fired for the visible section');
+  } else {
+    results.addResult('Section Observer', 'fail', 'Visible section was not detected',
+      `currentSection=${app.currentSection}, event=${JSON.stringify(changedEvent)}`);
+  }
+
+  const announcement = document.getElementById('sectionAnnouncement');
+  if (announcement && announcement.textContent.includes('Current Capabilities')) {
+    results.addResult('Screen Reader Announcement', 'pass', announcement.textContent);
+  } else {
+    results.addResult('Screen Reader Announcement', 'fail', 'Section change was not announced');
+  }
+}
+
+/**
+ * Arrow keys move between sections
+ */
+function checkKeyboardNavigation(env, results) {
+  const { window, document } = env;
+  const app = window.app;
+  if (!app || !app.sections) return;
+
+  env.scrolledTo.length = 0;
+  const expected = app.sections[app.currentSection + 1];
+  document.body.dispatchEvent(new window.KeyboardEvent('keydown', { code: 'ArrowDown', bubbles: true }));
+
+  const target = env.scrolledTo.length ? env.scrolledTo[env.scrolledTo.length - 1].element : null;
+  if (target && target === expected) {
+    results.addResult('Keyboard Navigation', 'pass', `ArrowDown scrolls to #${target.id}`);
+  } else {
+    results.addResult('Keyboard Navigation', 'fail', 'ArrowDown did not scroll to the next section');
+  }
+
+  if (window.location.hash === `#${expected && expected.id}`) {
+    results.addResult('Section URL', 'pass', `URL updated to ${window.location.hash}`);
+  } else {
+    results.addResult('Section URL', 'fail', `Unexpected URL hash ${window.location.hash}`);
+  }
+}
+
+/**
+ * AnimationManager observes cards and animates them into view
+ */
+function checkAnimationManager(env, results) {
+  const { window, document } = env;
+  const manager = window.app.modules.animations;
+
+  if (!manager || !(manager instanceof window.AnimationManager)) {
+    results.addResult('AnimationManager', 'fail', 'app.modules.animations is not an AnimationManager');
+    return;
+  }
+  results.addResult('AnimationManager', 'pass', 'Animation manager initialized');
+
+  // The app and the manager both reveal cards, through one shared observer
+  const card = document.querySelector('.feature-card');
+  const observers = env.observersOf(card);
+  if (observers.length === 1 && observers[0] === window.visibilityService.getObserver('reveal')) {
+    results.addResult('Scroll Animations', 'pass', 'Feature cards are observed once, by the shared reveal observer');
+  } else {
+    results.addResult('Scroll Animations', 'fail', `Feature cards are watched by ${observers.length} observers`);
+    return;
+  }
+
+  const before = env.animations.length;
+  env.intersect(card);
+  const animated = env.animations.slice(before).some(animation => animation.effect.target === card);
+  if (animated && card.classList.contains('animate-in') && env.observersOf(card).length === 0) {
+    results.addResult('Reveal Animation', 'pass', 'Feature card animates once when it enters the viewport');
+  } else {
+    results.addResult('Reveal Animation', 'fail', 'Feature card did not animate, or is still observed');
+  }
+}
+
+/**
+ * One app instance; destroy() removes everything init() added and init() restores it
+ */
+async function checkAppLifecycle(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment();
+  } catch (error) {
+    results.addResult('App Lifecycle', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window, document } = env;
+    const app = window.app;
+    const section = app.sections[0];
+    const card = document.querySelector('.feature-card');
+    const press = code => document.body.dispatchEvent(new window.KeyboardEvent('keydown', { code, bubbles: true }));
+    const scrollsOnArrowDown = () => {
+      const before = env.scrolledTo.length;
+      press('ArrowDown');
+      return env.scrolledTo.length - before;
+    };
+    const state = () => ({
+      skipLinks: document.querySelectorAll('.skip-link').length,
+      announcements: document.querySelectorAll('#sectionAnnouncement').length,
+      scrolls: scrollsOnArrowDown(),
+      sectionObservers: env.observersOf(section).length,
+      cardObservers: env.observersOf(card).length,
+      modules: Object.keys(app.modules).join(',')
+    });
+
+    const initial = state();
+    if (initial.skipLinks === 1 && initial.announcements === 1 && initial.scrolls === 1 &&
+        initial.modules === 'animations,presentation' &&
+        app.modules.animations instanceof window.AnimationManager &&
+        app.modules.presentation instanceof window.PresentationMode) {
+      results.addResult('Single App Instance', 'pass', 'One skip link, one scroll per key press, modules created by the app');
+    } else {
+      results.addResult('Single App Instance', 'fail', 'Listeners or elements added more than once',
+        JSON.stringify(initial));
+    }
+
+    app.destroy();
+    press('KeyP');
+    const destroyed = { ...state(), presenting: document.body.classList.contains('presentation-mode') };
+    if (!app.isInitialized && destroyed.skipLinks === 0 && destroyed.announcements === 0 &&
+        destroyed.scrolls === 0 && destroyed.sectionObservers === 0 && destroyed.cardObservers === 0 &&
+        destroyed.modules === '' && !destroyed.presenting) {
+      results.addResult('App Destroy', 'pass', 'Listeners, observers, elements and modules removed');
+    } else {
+      results.addResult('App Destroy', 'fail', 'Something survived destroy()', JSON.stringify(destroyed));
+    }
+
+    app.init();
+    const restored = state();
+    if (app.isInitialized && restored.skipLinks === 1 && restored.scrolls === 1 &&
+        restored.sectionObservers === 1 && restored.modules === 'animations,presentation') {
+      results.addResult('App Re-init', 'pass', 'init() after destroy() restores the app');
+    } else {
+      results.addResult('App Re-init', 'fail', 'init() did not restore the app', JSON.stringify(restored));
+    }
+  } catch (error) {
+    results.addResult('App Lifecycle', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Scrolling reads no layout; reveals come from the visibility service
+ */
+async function checkScrollLayoutReads(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment();
+  } catch (error) {
+    results.addResult('Scroll Layout Reads', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window } = env;
+    const reads = [];
+    const spy = (prototype, property) => {
+      const original = Object.getOwnPropertyDescriptor(prototype, property);
+      Object.defineProperty(prototype, property, {
+        configurable: true,
+        get() {
+          reads.push(property);
+          return original.get ? original.get.call(this) : original.value;
+        }
+      });
+    };
+    ['offsetTop', 'offsetHeight'].forEach(property => spy(window.HTMLElement.prototype, property));
+    ['scrollHeight', 'scrollTop'].forEach(property => spy(window.Element.prototype, property));
+    const getBoundingClientRect = window.Element.prototype.getBoundingClientRect;
+    window.Element.prototype.getBoundingClientRect = function () {
+      reads.push('getBoundingClientRect');
+      return getBoundingClientRect.call(this);
+    };
+
+    for (let i = 0; i < 5; i++) {
+      window.dispatchEvent(new window.Event('scroll'));
+      await env.wait(20);
+    }
+
+    if (reads.length === 0) {
+      results.addResult('Scroll Layout Reads', 'pass', 'No synchronous layout reads while scrolling');
+    } else {
+      results.addResult('Scroll Layout Reads', 'fail', `${reads.length} layout reads while scrolling`,
+        Array.from(new Set(reads)).join(', '));
+    }
+  } catch (error) {
+    results.addResult('Scroll Layout Reads', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Global button handlers used from markup
+ */
+function checkGlobalHandlers(env, results) {
+  const { window, document } = env;
+
+  ['handleDownloadClick', 'handleDonationClick', 'handleNewsletterSubmit', 'switchScreenshot']
+    .forEach(name => {
+      if (typeof window[name] === 'function') {
+        results.addResult(`Handler: ${name}`, 'pass', `${name} is defined`);
+      } else {
+        results.addResult(`Handler: ${name}`, 'fail', `${name} is missing`);
+      }
+    });
+
+  if (typeof window.handleDonationClick === 'function') {
+    window.handleDonationClick(null, 5);
+    const opened = env.openedWindows[env.openedWindows.length - 1];
+    if (opened && /5/.test(opened.url) && opened.target === '_blank') {
+      results.addResult('Donation Flow', 'pass', `Opens ${opened.url}`);
+    } else {
+      results.addResult('Donation Flow', 'fail', 'Donation click did not open the donation page');
+    }
+  }
+
+  if (typeof window.switchScreenshot === 'function') {
+    window.switchScreenshot('nfc');
+    const active = document.querySelector('.screenshot-item.active');
+    if (active && active.dataset.tab === 'nfc') {
+      results.addResult('Screenshot Tabs', 'pass', 'Switching tabs activates the NFC screenshot');
+    } else {
+      results.addResult('Screenshot Tabs', 'fail', 'Screenshot tab did not switch');
+    }
+  }
+}
+
+/**
+ * Donation presets from the page config and per-provider amount rules
+ */
+function checkDonations(env, results) {
+  const { window, document } = env;
+  const manager = window.donationManager;
+  if (!manager) {
+    results.addResult('Donation Config', 'fail', 'window.donationManager is not defined');
+    return;
+  }
+
+  const config = JSON.parse(document.getElementById('donation-config').textContent);
+  const presets = Array.from(document.querySelectorAll('[data-donation-presets] .btn-donate'));
+  if (presets.length === config.presets.length && manager.config.provider === config.provider) {
+    results.addResult('Donation Presets', 'pass', `${presets.length} preset amounts rendered from #donation-config`);
+  } else {
+    results.addResult('Donation Presets', 'fail', `Expected ${config.presets.length} presets, found ${presets.length}`);
+    return;
+  }
+
+  const preset = presets[presets.length - 1];
+  preset.click();
+  const opened = env.openedWindows[env.openedWindows.length - 1];
+  if (opened && opened.url.endsWith(`amount=${preset.dataset.amount}`)) {
+    results.addResult('Donation Picker', 'pass', `${preset.textContent} opens ${opened.url}`);
+  } else {
+    results.addResult('Donation Picker', 'fail', 'Preset button did not open the provider with its amount');
+  }
+
+  const original = manager.config;
+  manager.config = {
+    ...original,
+    provider: 'paypal-me',
+    providers: { 'paypal-me': { account: 'toolkit' } }
+  };
+  const paypal = [manager.buildUrl(12.345, 'EUR'), manager.buildUrl(500.4, 'JPY')];
+  manager.config = original;
+  const rejected = manager.validateAmount(5, 'EUR');
+
+  if (paypal[0] === 'https://www.paypal.me/toolkit/12.35EUR' && paypal[1] === 'https://www.paypal.me/toolkit/500JPY' &&
+      !rejected.valid && /EUR/.test(rejected.message)) {
+    results.addResult('Donation Providers', 'pass', 'Amounts follow provider and currency rules');
+  } else {
+    results.addResult('Donation Providers', 'fail', 'Provider amount rules not applied',
+      `paypal=${paypal.join(', ')}, github EUR=${JSON.stringify(rejected)}`);
+  }
+
+  // Ko-fi cannot prefill an amount, so none is offered
+  manager.config = { ...original, provider: 'ko-fi', providers: { 'ko-fi': { account: 'toolkit' } } };
+  manager.renderPresets();
+  const buttons = Array.from(document.querySelectorAll('[data-donation-presets] .btn-donate'));
+  const custom = document.querySelector('.btn-donate-custom');
+  const label = document.getElementById('donation-amount-label').textContent;
+  const customHidden = custom.hidden;
+  if (buttons[0]) buttons[0].click();
+  const kofi = env.openedWindows[env.openedWindows.length - 1];
+  manager.config = original;
+  manager.renderPresets();
+
+  if (buttons.length === 1 && buttons[0].textContent === 'Donate on Ko-fi' && customHidden && /amount on Ko-fi/.test(label) &&
+      kofi && kofi.url === 'https://ko-fi.com/toolkit' && !custom.hidden &&
+      document.querySelectorAll('[data-donation-presets] .btn-donate').length === config.presets.length) {
+    results.addResult('Donation Without Prefill', 'pass', 'Providers that cannot prefill an amount get one button to their page');
+  } else {
+    results.addResult('Donation Without Prefill', 'fail', 'Amounts offered for a provider that ignores them',
+      `${buttons.map(button => button.textContent).join(', ')}; label "${label}"; opened ${kofi && kofi.url}`);
+  }
+}
+
+/**
+ * Custom amount dialog: focus handling, validation and Escape
+ */
+function checkDonationDialog(env, results) {
+  const { window, document } = env;
+  const trigger = document.querySelector('.btn-donate-custom');
+  const press = (code, options = {}) => document.activeElement.dispatchEvent(
+    new window.KeyboardEvent('keydown', { code, bubbles: true, ...options }));
+
+  trigger.focus();
+  trigger.click();
+
+  const dialog = document.getElementById('donation-dialog');
+  const amount = document.getElementById('donation-amount');
+  const page = document.querySelector('.app-container');
+  if (dialog && !dialog.closest('[hidden]') && document.activeElement === amount &&
+      page.getAttribute('aria-hidden') === 'true') {
+    results.addResult('Donation Dialog', 'pass', 'Other amount opens a modal dialog focused on the amount');
+  } else {
+    results.addResult('Donation Dialog', 'fail', 'Dialog did not open with focus on the amount input');
+    return;
+  }
+
+  const windowsBefore = env.openedWindows.length;
+  const submit = dialog.querySelector('button[type="submit"]');
+  amount.value = '0.2';
+  submit.click();
+  const error = document.getElementById('donation-amount-error');
+  if (!error.hidden && error.textContent && amount.getAttribute('aria-invalid') === 'true' &&
+      env.openedWindows.length === windowsBefore) {
+    results.addResult('Donation Dialog Validation', 'pass', `Shows "${error.textContent}"`);
+  } else {
+    results.addResult('Donation Dialog Validation', 'fail', 'Invalid amount was not reported in the dialog');
+  }
+
+  submit.focus();
+  press('Tab');
+  const wrapped = document.activeElement === dialog.querySelector('.dialog-close');
+  press('Tab', { shiftKey: true });
+  if (wrapped && document.activeElement === submit) {
+    results.addResult('Donation Dialog Focus Trap', 'pass', 'Tab and Shift+Tab stay inside the dialog');
+  } else {
+    results.addResult('Donation Dialog Focus Trap', 'fail', 'Focus escaped the dialog');
+  }
+
+  press('Escape');
+  if (dialog.closest('[hidden]') && document.activeElement === trigger && !page.hasAttribute('aria-hidden')) {
+    results.addResult('Donation Dialog Escape', 'pass', 'Escape closes the dialog and refocuses its button');
+  } else {
+    results.addResult('Donation Dialog Escape', 'fail', 'Escape did not close the dialog or restore focus');
+  }
+
+  trigger.click();
+  amount.value = '7';
+  submit.click();
+  const opened = env.openedWindows[env.openedWindows.length - 1];
+  if (opened && opened.url.endsWith('amount=7') && dialog.closest('[hidden]')) {
+    results.addResult('Donation Dialog Submit', 'pass', `Opens ${opened.url}`);
+  } else {
+    results.addResult('Donation Dialog Submit', 'fail', 'Valid amount did not open the provider');
+  }
+}
+
+/**
+ * Send to phone dialog: QR codes for the section deep link, store pages and
+ * the donation URL, at the level and with the links from its page config
+ */
+function checkSendToPhone(env, results) {
+  const { window, document } = env;
+  const trigger = document.querySelector('[data-send-to-phone]');
+  if (!trigger || !window.sendToPhone) {
+    results.addResult('Send to Phone', 'fail', 'No send to phone button or window.sendToPhone');
+    return;
+  }
+
+  window.app.setCurrentSection(Array.from(window.app.sections).findIndex(section => section.id === 'features'), 'navigation');
+  trigger.focus();
+  trigger.click();
+
+  const dialog = document.getElementById('send-to-phone-dialog');
+  const choices = Array.from(dialog.querySelectorAll('.handoff-choice')).map(button => button.dataset.link);
+  const url = dialog.querySelector('.handoff-url');
+  if (!dialog.closest('[hidden]') && dialog.querySelector('.handoff-code svg.qr-code') &&
+      url.textContent === `${window.location.origin}/#features` && choices.join() === 'section,ios,android,donation') {
+    results.addResult('Send to Phone Dialog', 'pass', `Opens with a QR code for ${url.textContent}`);
+  } else {
+    results.addResult('Send to Phone Dialog', 'fail', 'Dialog did not show the current section deep link',
+      `${url.textContent}; choices ${choices.join()}`);
+  }
+
+  const config = JSON.parse(document.getElementById('send-to-phone-config').textContent);
+  const expected = document.createElement('div');
+  expected.innerHTML = new window.QRCode(url.textContent, { level: config.level }).toSVG({ label: 'QR code for This section' });
+  if (window.sendToPhone.config.level === config.level && choices.join() === config.links.join() &&
+      dialog.querySelector('.handoff-code').innerHTML === expected.innerHTML) {
+    results.addResult('Send to Phone Config', 'pass', `Level ${config.level} and links from #send-to-phone-config`);
+  } else {
+    results.addResult('Send to Phone Config', 'fail', 'Dialog does not follow #send-to-phone-config',
+      `level ${window.sendToPhone.config.level}; choices ${choices.join()}`);
+  }
+
+  dialog.querySelector('.handoff-choice[data-link="donation"]').click();
+  const donationUrl = window.generateDonationUrl(window.donationManager.config.presets[0]);
+  const label = dialog.querySelector('.handoff-code svg').getAttribute('aria-label');
+  const pressed = dialog.querySelector('[aria-pressed="true"]');
+  if (url.textContent === donationUrl && label === 'QR code for Donation page' && pressed.dataset.link === 'donation') {
+    results.addResult('Send to Phone Links', 'pass', `Switches to the donation URL ${donationUrl}`);
+  } else {
+    results.addResult('Send to Phone Links', 'fail', 'Choosing the donation link did not update the code', url.textContent);
+  }
+
+  document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { code: 'Escape', bubbles: true }));
+  if (dialog.closest('[hidden]') && document.activeElement === trigger) {
+    results.addResult('Send to Phone Close', 'pass', 'Escape closes the dialog and refocuses its button');
+  } else {
+    results.addResult('Send to Phone Close', 'fail', 'Dialog did not close or restore focus');
+  }
+}
+
+/**
+ * Newsletter form in the page: the fields handleNewsletterSubmit reads, shown
+ * only once #newsletter-config names a configured provider
+ */
+function checkNewsletterForm(env, results) {
+  const { window, document } = env;
+  const signup = document.querySelector('[data-newsletter]');
+  const form = signup && signup.querySelector('form.newsletter-form');
+  const client = window.newsletterClient;
+  if (!form || !client) {
+    results.addResult('Newsletter Form', 'fail', 'No newsletter form in index.html or window.newsletterClient missing');
+    return;
+  }
+
+  const hiddenByDefault = signup.hidden;
+  const original = client.config;
+  client.config = { ...original, provider: 'generic', providers: { generic: { endpoint: '/api/newsletter' } } };
+  client.init();
+  const shown = !signup.hidden;
+  client.config = original;
+  client.init();
+
+  if (hiddenByDefault && shown && signup.hidden && /handleNewsletterSubmit/.test(form.getAttribute('onsubmit')) &&
+      form.querySelector('#newsletter-email[type="email"]') && form.querySelector('#privacy-consent[type="checkbox"]') &&
+      form.querySelector('button[type="submit"]')) {
+    results.addResult('Newsletter Form', 'pass', 'Signup form is in the page and shown once a provider is configured');
+  } else {
+    results.addResult('Newsletter Form', 'fail', 'Newsletter form missing fields or shown without a provider',
+      `hidden by default=${hiddenByDefault}, shown when configured=${shown}`);
+  }
+}
+
+/**
+ * SlideManager navigation against its expected markup
+ */
+async function checkSlideManager(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment({ html: SLIDES_FIXTURE, scripts: ['scripts/slides.js'] });
+  } catch (error) {
+    results.addResult('SlideManager', 'fail', `Error loading slides.js: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window, document } = env;
+    if (typeof window.SlideManager !== 'function') {
+      results.addResult('SlideManager', 'fail', 'SlideManager is not defined');
+      return;
+    }
+
+    const manager = new window.SlideManager({ config: { animationDuration: 0 } });
+    const sections = Array.from(document.querySelectorAll('.section:not([data-slide-skip])'));
+
+    if (manager.totalSlides === 3 && manager.getSlideOptions(sections[1]).duration === 3000) {
+      results.addResult('Slide Discovery', 'pass', 'Slides and their options are read from markup, skipping data-slide-skip');
+    } else {
+      results.addResult('Slide Discovery', 'fail', `Expected 3 slides, found ${manager.totalSlides}`);
+    }
+
+    let changed = null;
+    document.addEventListener('slide:changed', (event) => { changed = event.detail; });
+
+    document.querySelector('.slide-nav-next').click();
+    await env.wait(20);
+
+    if (manager.currentSlide === 2 && changed && changed.title === 'Second') {
+      results.addResult('SlideManager', 'pass', 'Next button moves to slide 2 and fires slide:changed');
+    } else {
+      results.addResult('SlideManager', 'fail', 'Next button did not change slides',
+        `currentSlide=${manager.currentSlide}`);
+    }
+
+    const entering = env.animations.filter(animation => animation.effect.target === sections[1]);
+    if (entering.length === 1 && entering[0].effect.keyframes.every(frame => !frame.transform)) {
+      results.addResult('Per-slide Transition', 'pass', 'data-slide-transition="fade" overrides the default slide transition');
+    } else {
+      results.addResult('Per-slide Transition', 'fail', 'data-slide-transition was not used for the entering slide');
+    }
+
+    const indicators = document.querySelectorAll('.slide-indicator');
+    if (indicators.length === sections.length && indicators[1].getAttribute('aria-selected') === 'true') {
+      results.addResult('Slide Indicators', 'pass', 'One indicator per section; the active one follows the slide');
+    } else {
+      results.addResult('Slide Indicators', 'fail', 'Indicators were not built or not updated',
+        `indicators=${indicators.length}, sections=${sections.length}`);
+    }
+
+    const added = document.createElement('section');
+    added.className = 'section';
+    added.innerHTML = '<h2>Fourth</h2>';
+    manager.addSlide(added);
+    const afterAdd = document.querySelectorAll('.slide-indicator').length;
+    manager.removeSlide(1);
+    const afterRemove = document.querySelectorAll('.slide-indicator').length;
+
+    if (afterAdd === 4 && afterRemove === 3 && manager.currentSlide === 1 &&
+        manager.getSlideTitle(manager.currentSlide) === 'Second') {
+      results.addResult('Runtime Slides', 'pass', 'Adding and removing slides re-renders indicators and keeps the current slide');
+    } else {
+      results.addResult('Runtime Slides', 'fail', 'Slides were not updated at runtime',
+        `indicators after add=${afterAdd}, after remove=${afterRemove}, currentSlide=${manager.currentSlide}`);
+    }
+
+    manager.destroy();
+    const leftovers = document.querySelectorAll('.slide-navigation, .slide-progress, .slide, [aria-hidden]');
+    if (leftovers.length === 0) {
+      results.addResult('SlideManager Cleanup', 'pass', 'destroy() removes the chrome and restores sections');
+    } else {
+      results.addResult('SlideManager Cleanup', 'fail', `${leftovers.length} element(s) left behind by destroy()`);
+    }
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Named transitions: per-slide choice, Web Animations cleanup, reduced motion
+ */
+async function checkSlideTransitions(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment({
+      html: SLIDES_FIXTURE,
+      scripts: ['scripts/slides.js'],
+      features: { prefersReducedMotion: 'reduce' }
+    });
+  } catch (error) {
+    results.addResult('Slide Transitions', 'fail', `Error loading slides.js: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window, document } = env;
+    const manager = new window.SlideManager({ config: { transition: 'cube' } });
+    const [first, second, third] = document.querySelectorAll('.section:not([data-slide-skip])');
+    const animationsOf = element => env.animations.filter(animation => animation.effect.target === element);
+    const usesTransform = animation => animation.effect.keyframes.some(frame => frame.transform);
+
+    // Reduced motion turns every transition into a cross-fade
+    manager.goToSlide(2);
+    await env.wait(20);
+    manager.goToSlide(3);
+    await env.wait(20);
+
+    const entering = animationsOf(third);
+    const faded = entering.length === 1 && !usesTransform(entering[0]);
+    const settled = env.animations.every(animation => animation.playState === 'idle');
+
+    if (faded && settled && third.classList.contains('active') && !second.classList.contains('active')) {
+      results.addResult('Slide Transitions', 'pass', 'Reduced motion maps "cube" to a cross-fade; fills are cancelled afterwards');
+    } else {
+      results.addResult('Slide Transitions', 'fail', 'Transition did not follow the reduced-motion mapping',
+        `entering animations=${entering.length}, faded=${faded}, settled=${settled}`);
+    }
+
+    manager.config.reducedMotionTransition = 'none';
+    const before = env.animations.length;
+    manager.goToSlide(1);
+    await env.wait(20);
+
+    if (env.animations.length === before && first.classList.contains('active')) {
+      results.addResult('Instant Transition', 'pass', '"none" switches slides without animating');
+    } else {
+      results.addResult('Instant Transition', 'fail', '"none" still animated the slides');
+    }
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Presentation mode over the real page: P key, slide keys, Escape and ?present
+ */
+async function checkPresentationMode(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment();
+  } catch (error) {
+    results.addResult('Presentation Mode', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window, document } = env;
+    const app = window.app;
+    const presentation = app.modules.presentation;
+    const press = code => document.body.dispatchEvent(new window.KeyboardEvent('keydown', { code, bubbles: true }));
+
+    if (!presentation) {
+      results.addResult('Presentation Mode', 'fail', 'app.modules.presentation is not defined');
+      return;
+    }
+
+    press('KeyP');
+    const manager = presentation.slideManager;
+    if (document.body.classList.contains('presentation-mode') && manager &&
+        manager.slides.length === app.sections.length && window.location.search === '?present') {
+      results.addResult('Presentation Mode', 'pass', `P key presents ${manager.slides.length} sections as slides`);
+    } else {
+      results.addResult('Presentation Mode', 'fail', 'P key did not enter presentation mode');
+      return;
+    }
+
+    manager.config.animationDuration = 0;
+    const scrollsBefore = env.scrolledTo.length;
+    press('ArrowRight');
+    await env.wait(20);
+
+    if (manager.currentSlide === 2 && app.sections[1].classList.contains('active') &&
+        env.scrolledTo.length === scrollsBefore) {
+      results.addResult('Presentation Keys', 'pass', 'ArrowRight advances the slide without scrolling the page');
+    } else {
+      results.addResult('Presentation Keys', 'fail', 'ArrowRight did not advance the slide',
+        `currentSlide=${manager.currentSlide}`);
+    }
+
+    press('Escape');
+    const last = env.scrolledTo[env.scrolledTo.length - 1];
+    if (!document.body.classList.contains('presentation-mode') &&
+        !document.querySelector('.slide-navigation') &&
+        last && last.element === app.sections[1] && app.currentSection === 1 &&
+        window.location.search === '') {
+      results.addResult('Presentation Exit', 'pass', 'Escape restores the scroll layout at the current section');
+    } else {
+      results.addResult('Presentation Exit', 'fail', 'Escape did not restore the scroll layout');
+    }
+  } finally {
+    env.close();
+  }
+
+  try {
+    env = await createSiteEnvironment({ path: '?present' });
+    if (env.document.body.classList.contains('presentation-mode') && env.document.querySelector('.slide-navigation')) {
+      results.addResult('Presentation URL', 'pass', '?present opens the page as a slide deck');
+    } else {
+      results.addResult('Presentation URL', 'fail', '?present did not start presentation mode');
+    }
+  } catch (error) {
+    results.addResult('Presentation URL', 'fail', `Error loading ?present: ${error.message}`);
+  } finally {
+    if (env) env.close();
+  }
+}
+
+/**
+ * Deep links, history entries and Back/Forward for sections and slides
+ */
+async function checkRouting(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment({ path: '#features' });
+  } catch (error) {
+    results.addResult('Routing', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window, document } = env;
+    const app = window.app;
+    const features = document.getElementById('features');
+    const lastScroll = () => (env.scrolledTo.length ? env.scrolledTo[env.scrolledTo.length - 1].element : null);
+    const popped = () => new Promise(resolve => window.addEventListener('popstate', () => resolve(), { once: true }));
+
+    if (!window.router) {
+      results.addResult('Routing', 'fail', 'window.router is not defined');
+      return;
+    }
+
+    if (lastScroll() === features && app.sections[app.currentSection] === features) {
+      results.addResult('Deep Link', 'pass', '#features restores the section on load');
+    } else {
+      results.addResult('Deep Link', 'fail', 'Section in the URL was not restored on load');
+    }
+
+    const events = [];
+    document.addEventListener('section:changed', (event) => events.push(event.detail));
+
+    const length = window.history.length;
+    app.scrollToSection('roadmap');
+    env.intersect(document.getElementById('monetization'));
+
+    if (window.history.length === length + 1 && window.location.hash === '#roadmap' &&
+        [...new Set(events.map(detail => detail.source))].join() === 'navigation,scroll') {
+      results.addResult('Section History', 'pass', 'Navigation pushes one entry; scroll detection only fires section:changed');
+    } else {
+      results.addResult('Section History', 'fail', 'Unexpected history entries or events',
+        `history +${window.history.length - length}, hash ${window.location.hash}, ` +
+        `sources ${events.map(detail => detail.source).join()}`);
+    }
+
+    window.history.back();
+    await popped();
+
+    const last = events[events.length - 1];
+    if (lastScroll() === features && last.sectionId === 'features' && last.source === 'history') {
+      results.addResult('Back Button', 'pass', 'Back returns to the previous section');
+    } else {
+      results.addResult('Back Button', 'fail', 'Back did not restore the previous section',
+        `hash ${window.location.hash}, last event ${JSON.stringify(last)}`);
+    }
+  } finally {
+    env.close();
+  }
+
+  try {
+    env = await createSiteEnvironment({ path: '#/slide/3' });
+    const { window } = env;
+    const presentation = window.app.modules.presentation;
+    const manager = presentation.slideManager;
+
+    if (!manager || manager.currentSlide !== 3) {
+      results.addResult('Slide Deep Link', 'fail', '#/slide/3 did not open the deck on slide 3',
+        `currentSlide=${manager && manager.currentSlide}`);
+      return;
+    }
+    results.addResult('Slide Deep Link', 'pass', '#/slide/3 opens the deck on slide 3');
+
+    manager.config.animationDuration = 0;
+    const popped = () => new Promise(resolve => window.addEventListener('popstate', () => resolve(), { once: true }));
+
+    manager.nextSlide();
+    await env.wait(20);
+    const pushedHash = window.location.hash;
+
+    window.history.back();
+    await popped();
+    await env.wait(20);
+
+    if (pushedHash === '#/slide/4' && manager.currentSlide === 3 && window.location.hash === '#/slide/3') {
+      results.addResult('Slide History', 'pass', 'Slide changes push #/slide/N and Back returns to the previous slide');
+    } else {
+      results.addResult('Slide History', 'fail', 'Slide history did not round-trip',
+        `pushed ${pushedHash}, now ${window.location.hash}, currentSlide=${manager.currentSlide}`);
+    }
+  } catch (error) {
+    results.addResult('Slide Deep Link', 'fail', `Error loading #/slide/3: ${error.message}`);
+  } finally {
+    if (env) env.close();
+  }
+}
+
+/**
+ * Toast stacking, text-safe rendering, actions, pause on hover and announcements
+ */
+async function checkNotifications(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment({
+      html: '<!DOCTYPE html><html lang="en"><body></body></html>',
+      scripts: ['scripts/main.js', 'scripts/notifications.js']
+    });
+  } catch (error) {
+    results.addResult('Notifications', 'fail', `Error loading notifications: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window, document } = env;
+    const center = window.notifications;
+    const toasts = () => Array.from(document.querySelectorAll('.notification-stack .notification'));
+
+    const markup = '<img src="x" onerror="window.injected = true">';
+    window.showNotification(markup, 'error');
+    const announcement = document.getElementById('sectionAnnouncement');
+    if (!document.querySelector('.notification img') && toasts()[0].textContent.includes(markup) &&
+        announcement && announcement.textContent === `Error: ${markup}`) {
+      results.addResult('Notification Text', 'pass', 'Messages render as text and are announced');
+    } else {
+      results.addResult('Notification Text', 'fail', 'Message was parsed as HTML or not announced');
+    }
+
+    ['Two', 'Three', 'Four'].forEach(message => window.showNotification(message, 'info'));
+    const stacked = toasts().length;
+    center.dismiss(center.visible[0].id);
+    await env.wait(center.config.exitDuration + 20);
+    const shown = toasts().map(toast => toast.querySelector('.notification-message').textContent);
+
+    if (stacked === 3 && shown.join() === 'Two,Three,Four') {
+      results.addResult('Notification Stack', 'pass', `${center.config.maxVisible} visible, the rest wait their turn`);
+    } else {
+      results.addResult('Notification Stack', 'fail', 'Stack limit or queue not applied', `${stacked}: ${shown.join()}`);
+    }
+    center.clear();
+    await env.wait(center.config.exitDuration + 20);
+
+    let retried = 0;
+    window.showNotification('Failed', 'error', { actions: [{ label: 'Retry', onClick: () => retried++ }] });
+    toasts()[0].querySelector('.notification-action').click();
+    await env.wait(center.config.exitDuration + 20);
+
+    if (retried === 1 && toasts().length === 0) {
+      results.addResult('Notification Actions', 'pass', 'Action runs its handler and closes the toast');
+    } else {
+      results.addResult('Notification Actions', 'fail', 'Action button did not run or close');
+    }
+
+    window.showNotification('Hover me', 'success', { duration: 40 });
+    const toast = toasts()[0];
+    toast.dispatchEvent(new window.MouseEvent('mouseenter'));
+    await env.wait(80);
+    const heldOpen = document.body.contains(toast) && center.visible.length === 1;
+    toast.dispatchEvent(new window.MouseEvent('mouseleave'));
+    await env.wait(80);
+
+    if (heldOpen && center.visible.length === 0) {
+      results.addResult('Notification Timer', 'pass', 'Auto-dismiss pauses while hovered');
+    } else {
+      results.addResult('Notification Timer', 'fail', 'Hover did not pause the timer or it never resumed');
+    }
+  } catch (error) {
+    results.addResult('Notifications', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Analytics schema validation, batching, beacon flush on pagehide, sampling and sinks
+ */
+async function checkAnalytics(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment();
+  } catch (error) {
+    results.addResult('Analytics', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window } = env;
+    const app = window.app;
+
+    app.setupAnalytics();
+    if (app.analytics instanceof window.Analytics && app.analytics.queue[0].name === 'page_view') {
+      results.addResult('Analytics Setup', 'pass', `setupAnalytics sends to ${app.analytics.config.sink}`);
+    } else {
+      results.addResult('Analytics Setup', 'fail', 'setupAnalytics did not create the pipeline');
+    }
+    app.analytics.destroy();
+
+    const endpoint = { sink: 'endpoint', sinks: { endpoint: { url: '/collect' } }, batchSize: 3, flushInterval: 10000 };
+    const analytics = new window.Analytics(endpoint);
+    const rejected = [
+      analytics.track('made_up', {}),
+      analytics.track('section_navigated', { section: 'features' }),
+      analytics.track('section_navigated', { section: 'features', method: 'scroll', extra: 1 }),
+      analytics.track('newsletter_signup', { result: 'dev@example.com', provider: null, section: '#download' })
+    ];
+    if (rejected.every(accepted => !accepted) && analytics.queue.length === 0) {
+      results.addResult('Analytics Schema', 'pass', 'Unknown events, bad properties and email addresses dropped');
+    } else {
+      results.addResult('Analytics Schema', 'fail', 'Invalid events were queued', JSON.stringify(rejected));
+    }
+
+    env.requests.length = 0;
+    ['hero', 'features'].forEach(section => analytics.track('section_navigated', { section, method: 'navigation' }));
+    const beforeBatch = env.requests.length;
+    analytics.track('section_navigated', { section: 'roadmap', method: 'navigation' });
+    await env.wait(0);
+    const batch = env.requests[0] ? JSON.parse(env.requests[0].init.body).events : [];
+
+    if (beforeBatch === 0 && env.requests.length === 1 && batch.length === 3 &&
+        new URL(env.requests[0].url, window.location.href).pathname === '/collect') {
+      results.addResult('Analytics Batching', 'pass', `${batch.length} events sent in one request`);
+    } else {
+      results.addResult('Analytics Batching', 'fail', 'Events were not batched',
+        `requests=${env.requests.length}, events=${batch.length}`);
+    }
+
+    analytics.track('download_clicked', { source: 'section_button', section: '#download' });
+    window.dispatchEvent(new window.Event('pagehide'));
+    const beacon = env.beacons[env.beacons.length - 1];
+    if (beacon && JSON.parse(beacon.data).events[0].name === 'download_clicked') {
+      results.addResult('Analytics Beacon', 'pass', 'Queued events sent with sendBeacon on pagehide');
+    } else {
+      results.addResult('Analytics Beacon', 'fail', 'pagehide did not flush through sendBeacon');
+    }
+    analytics.destroy();
+
+    const unsampled = new window.Analytics({ ...endpoint, sampleRate: 0 });
+    const sampledOut = !unsampled.track('download_clicked', { source: 'hero', section: '#hero' });
+    unsampled.destroy();
+
+    const plausible = new window.Analytics({ sink: 'plausible', sinks: { plausible: { domain: 'example.com' } } });
+    env.requests.length = 0;
+    plausible.track('page_view', { page: '/', title: 'Home' });
+    await plausible.flush();
+    const sent = env.requests[0] ? JSON.parse(env.requests[0].init.body) : {};
+    plausible.destroy();
+
+    if (sampledOut && env.requests[0].url === 'https://plausible.io/api/event' &&
+        sent.name === 'pageview' && sent.domain === 'example.com') {
+      results.addResult('Analytics Sinks', 'pass', 'Sampling applied; Plausible receives its event format');
+    } else {
+      results.addResult('Analytics Sinks', 'fail', 'Sampling or sink format wrong', JSON.stringify(sent));
+    }
+
+    // Nothing leaves the page, or reaches the console outside debug mode, by default
+    const printed = () => env.consoleMessages.filter(message => message.level === 'info' && /^\[Analytics\]/.test(message.text)).length;
+    const defaults = new window.Analytics();
+    env.requests.length = 0;
+    defaults.track('page_view', { page: '/', title: 'Home' });
+    await defaults.flush();
+    defaults.destroy();
+
+    const before = printed();
+    const consoleSink = new window.Analytics({ sink: 'console' });
+    window.app.debug = false;
+    consoleSink.track('page_view', { page: '/', title: 'Home' });
+    await consoleSink.flush();
+    const quiet = printed() === before;
+    window.app.debug = true;
+    consoleSink.track('page_view', { page: '/', title: 'Home' });
+    await consoleSink.flush();
+    consoleSink.destroy();
+
+    if (defaults.config.sink === 'none' && env.requests.length === 0 && env.beacons.length === 1 &&
+        quiet && printed() === before + 1) {
+      results.addResult('Analytics Default Sink', 'pass', 'The shipped config discards events; the console sink prints only in debug mode');
+    } else {
+      results.addResult('Analytics Default Sink', 'fail', 'Events sent or printed without a configured provider',
+        `sink=${defaults.config.sink}, requests=${env.requests.length}, quiet=${quiet}`);
+    }
+  } catch (error) {
+    results.addResult('Analytics', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Consent banner, preferences dialog, privacy signals and policy versions
+ */
+async function checkConsent(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment();
+    const { window, document } = env;
+    const app = window.app;
+    const banner = () => document.querySelector('.consent-banner');
+    const bannerButton = label => Array.from(banner().querySelectorAll('button'))
+      .find(button => button.textContent === label);
+
+    if (!banner() || app.analytics) {
+      results.addResult('Consent Banner', 'fail', 'Banner missing or analytics running before consent');
+      return;
+    }
+
+    bannerButton('Accept all').click();
+    const stored = JSON.parse(window.localStorage.getItem('site-consent'));
+    if (!banner() && app.analytics instanceof window.Analytics && app.webVitalsActive &&
+        stored.version === window.consentManager.config.version) {
+      results.addResult('Consent Banner', 'pass', 'Accept all starts analytics and Web Vitals without a reload');
+    } else {
+      results.addResult('Consent Banner', 'fail', 'Accepting did not enable analytics', JSON.stringify(stored));
+    }
+
+    const settings = document.querySelector('[data-consent-preferences]');
+    settings.click();
+    const dialog = document.getElementById('consent-dialog');
+    const analyticsBox = document.getElementById('consent-analytics');
+    const opened = dialog && !dialog.closest('[hidden]') && analyticsBox.checked &&
+      document.getElementById('consent-essential').disabled;
+
+    analyticsBox.checked = false;
+    dialog.querySelector('button[type="submit"]').click();
+
+    if (opened && !app.analytics && app.webVitalsActive && document.activeElement === settings) {
+      results.addResult('Consent Preferences', 'pass', 'Withdrawing analytics stops it; performance stays on');
+    } else {
+      results.addResult('Consent Preferences', 'fail', 'Preferences did not apply per category',
+        `opened=${opened}, analytics=${Boolean(app.analytics)}`);
+    }
+  } catch (error) {
+    results.addResult('Consent', 'fail', `Error: ${error.message}`);
+  } finally {
+    if (env) env.close();
+  }
+
+  try {
+    env = await createSiteEnvironment({ navigator: { globalPrivacyControl: true } });
+    const gpc = {
+      banner: Boolean(env.document.querySelector('.consent-banner')),
+      analytics: env.window.consentManager.has('analytics')
+    };
+    env.close();
+
+    const outdated = JSON.stringify({ version: '0', categories: { analytics: true, performance: true } });
+    env = await createSiteEnvironment({ storage: { 'site-consent': outdated } });
+    const reprompt = {
+      banner: Boolean(env.document.querySelector('.consent-banner')),
+      analytics: env.window.consentManager.has('analytics')
+    };
+
+    if (!gpc.banner && !gpc.analytics && reprompt.banner && !reprompt.analytics) {
+      results.addResult('Consent Signals', 'pass', 'GPC declines silently; a new policy version asks again');
+    } else {
+      results.addResult('Consent Signals', 'fail', 'Privacy signal or policy version not respected',
+        `gpc=${JSON.stringify(gpc)}, reprompt=${JSON.stringify(reprompt)}`);
+    }
+  } catch (error) {
+    results.addResult('Consent Signals', 'fail', `Error: ${error.message}`);
+  } finally {
+    if (env) env.close();
+  }
+}
+
+/**
+ * Section dwell time, visit order and scroll depth summarized on page hide
+ */
+async function checkEngagement(results) {
+  let env;
+  try {
+    const consent = JSON.stringify({ version: '1', categories: { analytics: true, performance: false } });
+    env = await createSiteEnvironment({ storage: { 'site-consent': consent } });
+  } catch (error) {
+    results.addResult('Engagement', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window } = env;
+    const app = window.app;
+    const tracked = [];
+    const track = app.analytics.track.bind(app.analytics);
+    app.analytics.track = (name, properties) => {
+      tracked.push({ name, properties });
+      return track(name, properties);
+    };
+
+    const ids = Array.from(app.sections).slice(0, 3).map(section => section.id);
+    await env.wait(20);
+    app.setCurrentSection(1, 'navigation');
+    await env.wait(20);
+    app.setCurrentSection(2, 'navigation');
+    await env.wait(20);
+    app.setCurrentSection(0, 'navigation');
+
+    window.dispatchEvent(new window.Event('pagehide'));
+    const summary = tracked.filter(event => event.name === 'section_engagement');
+    const properties = summary[0] ? summary[0].properties : {};
+    const dwellIds = (properties.dwell || '').split(',').map(entry => entry.split(':')[0]);
+
+    if (summary.length === 1 && properties.order === [...ids, ids[0]].join('>') &&
+        ids.every(id => dwellIds.includes(id)) && properties.max_depth > 0 && properties.duration >= 0) {
+      results.addResult('Engagement Summary', 'pass', `Sent on pagehide: ${properties.order} (${properties.dwell})`);
+    } else {
+      results.addResult('Engagement Summary', 'fail', 'No valid section_engagement event on pagehide',
+        JSON.stringify(properties));
+    }
+
+    await env.wait(20);
+    window.dispatchEvent(new window.Event('pagehide'));
+    const next = tracked.filter(event => event.name === 'section_engagement')[1];
+    if (next && next.properties.order === ids[0] && next.properties.dwell.split(',').length === 1) {
+      results.addResult('Engagement Periods', 'pass', 'A later summary only covers time since the previous one');
+    } else {
+      results.addResult('Engagement Periods', 'fail', 'Second summary repeated earlier engagement',
+        next ? JSON.stringify(next.properties) : 'not sent');
+    }
+  } catch (error) {
+    results.addResult('Engagement', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Store badges from the download config, platform detection, the desktop QR
+ * code and tracking of the chosen platform
+ */
+async function checkDownloads(results) {
+  const visitors = [
+    { name: 'desktop', navigator: { userAgentData: { platform: 'Windows', mobile: false } } },
+    { name: 'android', navigator: { userAgentData: { platform: 'Android', mobile: true } } },
+    { name: 'ios', navigator: { userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15' } },
+    { name: 'ios', device: 'iPadOS', navigator: { userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15', maxTouchPoints: 5 } }
+  ];
+
+  for (const visitor of visitors) {
+    let env;
+    try {
+      const consent = JSON.stringify({ version: '1', categories: { analytics: true, performance: false } });
+      env = await createSiteEnvironment({ navigator: visitor.navigator, storage: { 'site-consent': consent } });
+    } catch (error) {
+      results.addResult('Downloads', 'fail', `Error loading site: ${error.message}`);
+      return;
+    }
+
+    try {
+      const { window, document } = env;
+      const config = JSON.parse(document.getElementById('download-config').textContent);
+      const links = Array.from(document.querySelectorAll('.download-platforms .download-link'));
+      const recommended = document.querySelectorAll('.download-link.is-recommended');
+      const qr = document.querySelector('.download-qr svg.qr-code');
+      const label = visitor.navigator.userAgent || `client hints ${visitor.navigator.userAgentData.platform}`;
+
+      if (window.downloadManager.platform === visitor.name && links.length === Object.keys(config.platforms).length &&
+          links[0].dataset.platform === visitor.name && recommended.length === 1 && recommended[0] === links[0] &&
+          Boolean(qr) === (visitor.name === 'desktop')) {
+        results.addResult(`Download Platform: ${visitor.device || visitor.name}`, 'pass',
+          `${label.slice(0, 40)} promotes ${links[0].textContent.trim().replace(/\s+/g, ' ')}${qr ? ' with a QR code' : ''}`);
+      } else {
+        results.addResult(`Download Platform: ${visitor.device || visitor.name}`, 'fail', `${label} was not promoted as ${visitor.name}`,
+          `detected ${window.downloadManager.platform}, first ${links[0] && links[0].dataset.platform}, qr ${Boolean(qr)}`);
+      }
+
+      if (visitor !== visitors[0]) continue;
+
+      // downloadUrl is written out in the markup for crawlers that do not run scripts
+      const jsonLd = JSON.parse(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(readSiteFile('index.html'))[1]);
+      const urls = Object.values(config.platforms).map(platform => platform.url);
+      if (urls.every(url => jsonLd.downloadUrl.includes(url)) && urls.length === jsonLd.downloadUrl.length &&
+          links.every(link => urls.includes(link.href))) {
+        results.addResult('Download Config', 'pass', 'Badges and JSON-LD downloadUrl match #download-config');
+      } else {
+        results.addResult('Download Config', 'fail', 'JSON-LD downloadUrl and #download-config differ',
+          `${jsonLd.downloadUrl.join(', ')} vs ${urls.join(', ')}`);
+      }
+
+      const tracked = [];
+      const track = window.app.analytics.track.bind(window.app.analytics);
+      window.app.analytics.track = (name, properties) => {
+        const accepted = track(name, properties);
+        tracked.push({ name, properties, accepted });
+        return accepted;
+      };
+
+      const android = links.find(link => link.dataset.platform === 'android');
+      android.addEventListener('click', event => event.preventDefault());
+      android.click();
+      window.handleDownloadClick(null);
+      const [choice, button] = tracked;
+
+      if (choice && choice.accepted && choice.properties.platform === 'android' && choice.properties.detected === 'desktop' &&
+          button && button.accepted && button.properties.source === 'section_button' &&
+          links[0].classList.contains('is-highlighted')) {
+        results.addResult('Download Tracking', 'pass', 'Badge clicks report the chosen and detected platform; handleDownloadClick highlights the recommended badge');
+      } else {
+        results.addResult('Download Tracking', 'fail', 'download_clicked not tracked with the platform',
+          JSON.stringify(tracked));
+      }
+    } catch (error) {
+      results.addResult('Downloads', 'fail', `Error: ${error.message}`);
+    } finally {
+      env.close();
+    }
+  }
+}
+
+/**
+ * QR encoder: symbol size per version, finder patterns, format information,
+ * error correction levels and the modules of a reference symbol
+ */
+async function checkQRCode(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment({ html: '<!DOCTYPE html><html><body></body></html>', scripts: ['scripts/qr-code.js'] });
+  } catch (error) {
+    results.addResult('QR Code', 'fail', `Error loading encoder: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window } = env;
+    const finderAt = (code, left, top) => [0, 1, 2, 3, 4, 5, 6].every(y => [0, 1, 2, 3, 4, 5, 6].every(x => {
+      const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+      return code.isDark(left + x, top + y) === (ring !== 2);
+    }));
+    // Format information next to the top left finder, read back and unmasked
+    const readFormat = code => {
+      const cells = [[0, 8], [1, 8], [2, 8], [3, 8], [4, 8], [5, 8], [7, 8], [8, 8], [8, 7], [8, 5], [8, 4], [8, 3], [8, 2], [8, 1], [8, 0]];
+      const bits = cells.reduce((value, [x, y]) => (value << 1) | (code.isDark(x, y) ? 1 : 0), 0) ^ 0x5412;
+      return { level: bits >>> 13, mask: (bits >>> 10) & 7 };
+    };
+
+    const texts = ['https://wirelesstestingtoolkit.com/#download', 'é'.repeat(40), 'x'.repeat(200)];
+    const codes = texts.map(text => new window.QRCode(text));
+    const valid = codes.every(code => code.size === code.version * 4 + 17 &&
+      finderAt(code, 0, 0) && finderAt(code, code.size - 7, 0) && finderAt(code, 0, code.size - 7) &&
+      readFormat(code).level === 0 && readFormat(code).mask === code.mask && code.isDark(8, code.size - 8));
+
+    if (valid && codes.map(code => code.version).join() === '4,5,10') {
+      results.addResult('QR Code Structure', 'pass', `Versions ${codes.map(code => code.version).join(', ')} with finder patterns and format information`);
+    } else {
+      results.addResult('QR Code Structure', 'fail', 'Symbol layout is wrong', codes.map(code => `v${code.version} mask ${code.mask}`).join(', '));
+    }
+
+    const text = 'https://wirelesstestingtoolkit.com/#download';
+    const levels = ['L', 'M', 'Q', 'H'].map(level => new window.QRCode(text, { level }));
+    const formatLevels = levels.map(code => readFormat(code).level).join();
+    const versions = levels.map(code => code.version);
+    let unknown = null;
+    try {
+      new window.QRCode(text, { level: 'X' });
+    } catch (error) {
+      unknown = error;
+    }
+
+    if (formatLevels === '1,0,3,2' && versions.every((version, i) => i === 0 || version >= versions[i - 1]) &&
+        versions[3] > versions[0] && unknown instanceof window.RangeError) {
+      results.addResult('QR Code Levels', 'pass', `L, M, Q and H encode as versions ${versions.join(', ')}`);
+    } else {
+      results.addResult('QR Code Levels', 'fail', 'Error correction levels not applied',
+        `format ${formatLevels}, versions ${versions.join(', ')}, unknown ${unknown}`);
+    }
+
+    const reference = levels[3];
+    const mismatches = REFERENCE_QR.reduce((count, row, y) =>
+      count + row.split('').filter((module, x) => reference.isDark(x, y) !== (module === '1')).length, 0);
+    if (reference.size === REFERENCE_QR.length && reference.mask === 4 && mismatches === 0) {
+      results.addResult('QR Code Data', 'pass', 'Level H symbol matches the reference encoder module for module');
+    } else {
+      results.addResult('QR Code Data', 'fail', 'Symbol differs from the reference encoder',
+        `v${reference.version} mask ${reference.mask}, ${mismatches} modules differ`);
+    }
+
+    let tooLong = null;
+    try {
+      new window.QRCode('x'.repeat(300));
+    } catch (error) {
+      tooLong = error;
+    }
+    const svg = codes[0].toSVG({ label: 'Download "page"' });
+    if (tooLong instanceof window.RangeError && /^<svg[^>]+role="img" aria-label="Download &quot;page&quot;"/.test(svg) &&
+        svg.includes(`viewBox="0 0 ${codes[0].size + 8} ${codes[0].size + 8}"`)) {
+      results.addResult('QR Code Output', 'pass', 'Renders labelled SVG with a quiet zone; overlong text throws RangeError');
+    } else {
+      results.addResult('QR Code Output', 'fail', 'SVG output or length limit wrong', tooLong ? tooLong.message : svg.slice(0, 120));
+    }
+  } catch (error) {
+    results.addResult('QR Code', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Release feed against the local mock GitHub API: lazy loading, rendering,
+ * the localStorage cache and the offline snapshot
+ */
+async function checkReleases(results) {
+  const api = createMockApi();
+  await api.listen();
+  const html = readSiteFile('index.html').replace('"apiUrl": "https://api.github.com"', `"apiUrl": "${api.url}"`);
+  const open = async (options = {}) => {
+    const env = await createSiteEnvironment({ html, ...options });
+    env.window.fetch = api.fetch;
+    return env;
+  };
+  const load = env => {
+    env.intersect(env.document.querySelector('[data-release-feed]'));
+    return env.window.releaseFeed.load();
+  };
+
+  let env;
+  try {
+    env = await open();
+    const { document } = env;
+    const lazy = api.requests.length === 0;
+    const result = await load(env);
+    const feed = document.querySelector('[data-release-feed]');
+    const version = feed.querySelector('.release-version').textContent;
+    const highlights = Array.from(feed.querySelectorAll('.release-highlights li')).map(item => item.textContent);
+    const assets = Array.from(feed.querySelectorAll('.release-asset'));
+    const earlier = feed.querySelectorAll('.release-earlier li');
+    const request = api.requests[0];
+
+    if (lazy && result.source === 'network' && version === 'Version 1.2.0' && request.query.per_page === '3' &&
+        request.path === '/repos/wireless-testing-toolkit/app/releases' && earlier.length === 1 &&
+        highlights.length === 4 && highlights[1] === 'CSV export of BLE scan results' &&
+        assets.length === 2 && /23\.0 MB$/.test(assets[0].textContent) && assets[0].href.endsWith('.apk') &&
+        feed.querySelector('.release-date').getAttribute('datetime') === '2026-10-01T09:00:00Z') {
+      results.addResult('Release Feed', 'pass', `Shows ${version} with ${highlights.length} highlights and ${assets.length} assets, skipping drafts`);
+    } else {
+      results.addResult('Release Feed', 'fail', 'Latest release not rendered from the API',
+        `lazy=${lazy}, source=${result.source}, ${version}, highlights=${JSON.stringify(highlights)}, assets=${assets.length}`);
+    }
+
+    const cache = env.window.localStorage.getItem('release-feed');
+    env.close();
+
+    const requestCount = api.requests.length;
+    env = await open({ storage: { 'release-feed': cache } });
+    const cached = await load(env);
+    if (cached.source === 'cache' && api.requests.length === requestCount &&
+        env.document.querySelector('.release-version').textContent === 'Version 1.2.0') {
+      results.addResult('Release Cache', 'pass', 'A fresh cache is rendered without calling the API');
+    } else {
+      results.addResult('Release Cache', 'fail', 'Cached releases were fetched again', `source=${cached.source}`);
+    }
+    env.close();
+
+    api.status = 503;
+    env = await open();
+    const failed = await load(env);
+    if (failed.source === 'snapshot' && env.document.querySelector('.release-offline') &&
+        env.document.querySelector('.release-version').textContent === 'Version 1.0.0') {
+      results.addResult('Release Snapshot', 'pass', 'API errors fall back to the bundled snapshot');
+    } else {
+      results.addResult('Release Snapshot', 'fail', 'Snapshot not shown after an API error', `source=${failed.source}`);
+    }
+    env.close();
+
+    api.status = null;
+    const expired = JSON.parse(cache);
+    expired.fetchedAt -= 2 * 60 * 60 * 1000;
+    env = await open({ online: false, storage: { 'release-feed': JSON.stringify(expired) } });
+    const offlineCount = api.requests.length;
+    const stale = await load(env);
+    env.setOnline(true);
+    const refreshed = await env.window.releaseFeed.load();
+
+    if (stale.source === 'stale' && api.requests.length === offlineCount + 1 && refreshed.source === 'network') {
+      results.addResult('Release Offline', 'pass', 'Offline shows the expired cache, then refreshes when back online');
+    } else {
+      results.addResult('Release Offline', 'fail', 'Offline fallback or refresh wrong',
+        `offline=${stale.source}, online=${refreshed.source}, requests=${api.requests.length - offlineCount}`);
+    }
+  } catch (error) {
+    results.addResult('Release Feed', 'fail', `Error: ${error.message}`);
+  } finally {
+    if (env) env.close();
+    await api.close();
+  }
+}
+
+/**
+ * Roadmap rendered from data/roadmap.json: statuses, progress, issues,
+ * protocol filters and reveal animations
+ */
+async function checkRoadmap(results) {
+  const data = JSON.parse(readSiteFile('data/roadmap.json'));
+
+  let env;
+  try {
+    env = await createSiteEnvironment();
+    const { window, document } = env;
+    const manager = window.roadmapManager;
+    const loaded = await manager.loading;
+    const items = Array.from(document.querySelectorAll('.roadmap-timeline .roadmap-item'));
+    const titles = items.map(item => document.getElementById(item.getAttribute('aria-labelledby')).textContent);
+
+    if (loaded && titles.join('|') === data.items.map(item => item.title).join('|') &&
+        items.every(item => item.querySelectorAll('.roadmap-highlight').length === 3)) {
+      results.addResult('Roadmap Data', 'pass', `Renders ${items.length} items from data/roadmap.json`);
+    } else {
+      results.addResult('Roadmap Data', 'fail', 'Roadmap items do not match data/roadmap.json', titles.join(', '));
+    }
+
+    if (!document.querySelector('.roadmap-vote') && document.querySelector('[data-feature-request]').hidden) {
+      results.addResult('Roadmap Voting Off', 'pass', 'Without an endpoint, vote buttons and the request form stay hidden');
+    } else {
+      results.addResult('Roadmap Voting Off', 'fail', 'Voting shown although #roadmap-config has no endpoint');
+    }
+
+    // The app and the animation manager both pick up the rendered items
+    const item = items[0];
+    const observers = env.observersOf(item);
+    const before = env.animations.length;
+    env.intersect(item);
+    await env.wait(); // roadmap animations are staggered with timers
+    const animated = env.animations.slice(before).some(animation => animation.effect.target === item);
+    if (observers.length === 1 && observers[0] === window.visibilityService.getObserver('reveal') &&
+        animated && item.classList.contains('animate-in')) {
+      results.addResult('Roadmap Reveal', 'pass', 'Rendered items are revealed and animated like the other cards');
+    } else {
+      results.addResult('Roadmap Reveal', 'fail', 'Rendered roadmap items are not revealed',
+        `observers=${observers.length}, animated=${animated}`);
+    }
+
+    const roadmap = {
+      repository: 'wireless-testing-toolkit/app',
+      items: [
+        { id: 'ble-logging', title: 'BLE Logging', protocols: ['BLE'], status: 'in-progress', quarter: '2026-Q4', progress: 40, issues: [12, 15] },
+        { id: 'nfc-emulation', title: 'NFC Emulation', protocols: ['NFC'], status: 'beta', quarter: '2027-Q1', progress: 120, issues: [] },
+        { id: 'ble-scan', title: 'BLE Scanning', protocols: ['BLE'], status: 'shipped', quarter: '2026-Q2', progress: 100 },
+        { id: 'typo', title: 'Unknown', protocols: ['NFC'], status: 'done' }
+      ]
+    };
+    window.fetch = () => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(roadmap) });
+    await manager.load('roadmap-test.json');
+
+    const rendered = document.querySelectorAll('.roadmap-item');
+    const progress = document.querySelector('#ble-logging-title').closest('.roadmap-item');
+    const bar = progress.querySelector('[role="progressbar"]');
+    const beta = document.querySelector('#nfc-emulation-title').closest('.roadmap-item');
+    const shipped = document.querySelector('#ble-scan-title').closest('.roadmap-item');
+    const issues = Array.from(progress.querySelectorAll('.roadmap-issues a')).map(link => link.href);
+
+    if (rendered.length === 3 &&
+        progress.querySelector('.roadmap-badge').textContent === 'In Progress' &&
+        progress.querySelector('.roadmap-quarter').textContent === 'Target: Q4 2026' &&
+        bar.getAttribute('aria-valuenow') === '40' && bar.querySelector('.progress-fill').style.width === '40%' &&
+        beta.querySelector('[role="progressbar"]').getAttribute('aria-valuenow') === '100' &&
+        !shipped.querySelector('.roadmap-progress') &&
+        shipped.querySelector('.roadmap-quarter').textContent === 'Shipped Q2 2026' &&
+        issues.join(' ') === 'https://github.com/wireless-testing-toolkit/app/issues/12 https://github.com/wireless-testing-toolkit/app/issues/15') {
+      results.addResult('Roadmap Status', 'pass', 'Status, target quarter, progress and issue links rendered; unknown statuses skipped');
+    } else {
+      results.addResult('Roadmap Status', 'fail', 'Roadmap item details wrong',
+        `items=${rendered.length}, progress=${bar && bar.getAttribute('aria-valuenow')}, issues=${issues.join(' ')}`);
+    }
+
+    const filters = Array.from(document.querySelectorAll('[data-roadmap-filters] .roadmap-filter'));
+    filters.find(button => button.textContent === 'BLE').click();
+    const visible = Array.from(rendered).filter(element => !element.hidden).map(element => element.dataset.roadmapId);
+    const pressed = filters.filter(button => button.getAttribute('aria-pressed') === 'true').map(button => button.textContent);
+    filters[0].click();
+    const reset = Array.from(rendered).every(element => !element.hidden);
+
+    if (filters.map(button => button.textContent).join(',') === 'All,BLE,NFC' &&
+        visible.join(',') === 'ble-logging,ble-scan' && pressed.join(',') === 'BLE' && reset) {
+      results.addResult('Roadmap Filters', 'pass', 'Filtering by BLE shows only BLE items; All shows everything');
+    } else {
+      results.addResult('Roadmap Filters', 'fail', 'Protocol filter wrong', `visible=${visible.join(',')}, pressed=${pressed.join(',')}`);
+    }
+
+    window.fetch = () => Promise.resolve({ ok: false, status: 404, json: () => Promise.reject(new Error('Not found')) });
+    const failed = await manager.load('missing.json');
+    if (failed === false && document.querySelector('.roadmap-timeline .roadmap-error') && !document.querySelector('.roadmap-item')) {
+      results.addResult('Roadmap Error', 'pass', 'A missing data file shows an error message');
+    } else {
+      results.addResult('Roadmap Error', 'fail', 'No error shown for a missing data file');
+    }
+  } catch (error) {
+    results.addResult('Roadmap', 'fail', `Error: ${error.message}`);
+  } finally {
+    if (env) env.close();
+  }
+}
+
+/**
+ * Roadmap votes and feature requests against the mock API: live counts,
+ * one vote per item, the per-browser request limit, analytics, refused
+ * votes and the offline queue
+ */
+async function checkRoadmapVoting(results) {
+  const api = createMockApi();
+  await api.listen();
+  const html = readSiteFile('index.html')
+    .replace('"endpoint": ""', `"endpoint": "${api.url}/roadmap"`)
+    .replace('"refreshInterval": 30000', '"refreshInterval": 20');
+  const consent = JSON.stringify({ version: '1', categories: { analytics: true, performance: false } });
+  const count = (document, id) => document.querySelector(`[data-roadmap-id="${id}"] .roadmap-vote`);
+  const until = async (env, condition) => {
+    for (let i = 0; i < 50 && !condition(); i++) await env.wait(10);
+    return condition();
+  };
+
+  let env;
+  try {
+    env = await createSiteEnvironment({ html, storage: { 'site-consent': consent } });
+    const { window, document } = env;
+    window.fetch = api.fetch;
+    const voting = window.roadmapVoting;
+    const shown = [];
+    const show = window.showNotification;
+    window.showNotification = (message, type, options) => {
+      shown.push(message);
+      return show(message, type, options);
+    };
+
+    const tracked = [];
+    const track = window.app.analytics.track.bind(window.app.analytics);
+    window.app.analytics.track = (name, properties) => {
+      const accepted = track(name, properties);
+      tracked.push({ name, properties, accepted });
+      return accepted;
+    };
+
+    // Counts arrive with the next refresh and keep following the endpoint
+    const loaded = await until(env, () => count(document, 'nfc-writing').textContent.includes('42'));
+    api.votes['nfc-writing'] = 50;
+    const live = await until(env, () => count(document, 'nfc-writing').textContent.includes('50'));
+    const buttons = document.querySelectorAll('.roadmap-vote');
+
+    if (loaded && live && buttons.length === 3 && !document.querySelector('[data-feature-request]').hidden &&
+        count(document, 'nfc-writing').getAttribute('aria-label') === 'Upvote NFC Writing Logic, 50 votes') {
+      results.addResult('Roadmap Vote Counts', 'pass', 'Vote counts load from the endpoint and refresh live');
+    } else {
+      results.addResult('Roadmap Vote Counts', 'fail', 'Vote counts not shown or not refreshed',
+        `buttons=${buttons.length}, loaded=${loaded}, live=${live}`);
+    }
+
+    const vote = await voting.handleVote('csv-import');
+    const button = count(document, 'csv-import');
+    const posts = api.requests.filter(request => request.method === 'POST').length;
+    const again = await voting.handleVote('csv-import');
+    const votes = tracked.filter(event => event.name === 'roadmap_voted');
+
+    if (vote.ok && api.votes['csv-import'] === 18 && /18/.test(button.textContent) &&
+        button.getAttribute('aria-pressed') === 'true' && again.code === 'duplicate' &&
+        api.requests.filter(request => request.method === 'POST').length === posts &&
+        votes.length === 2 && votes.every(event => event.accepted) &&
+        votes[0].properties.item === 'csv-import' && votes[0].properties.status === 'planned' &&
+        votes[0].properties.result === 'sent' && votes[1].properties.result === 'duplicate') {
+      results.addResult('Roadmap Vote', 'pass', 'A vote updates the count, is tracked, and cannot be repeated from this browser');
+    } else {
+      results.addResult('Roadmap Vote', 'fail', 'Vote not recorded once',
+        `vote=${vote.code}, again=${again.code}, server=${api.votes['csv-import']}, tracked=${JSON.stringify(votes)}`);
+    }
+
+    const form = document.querySelector('[data-feature-request]');
+    const title = form.elements.title;
+    const submit = () => voting.handleSubmit({ preventDefault() {} });
+
+    const empty = await submit();
+    const invalid = title.getAttribute('aria-invalid') === 'true' && !form.querySelector('.form-error').hidden;
+
+    title.value = 'Log BLE advertisements to a file';
+    form.elements.details.value = 'With timestamps and RSSI';
+    form.elements.protocol.value = 'BLE';
+    const sent = await submit();
+    const [request] = api.featureRequests;
+    const requested = tracked.find(event => event.name === 'feature_requested');
+
+    if (empty === null && invalid && sent.ok && request && request.title === 'Log BLE advertisements to a file' &&
+        request.protocol === 'BLE' && request.details === 'With timestamps and RSSI' && title.value === '' &&
+        !title.hasAttribute('aria-invalid') && requested && requested.accepted && requested.properties.protocol === 'BLE') {
+      results.addResult('Feature Request', 'pass', 'The form validates, posts the request and resets');
+    } else {
+      results.addResult('Feature Request', 'fail', 'Feature request not sent',
+        `result=${sent && sent.code}, requests=${JSON.stringify(api.featureRequests)}`);
+    }
+
+    const limitResults = [];
+    for (const text of ['CSV export for NFC', 'Dark mode', 'Write protection']) {
+      limitResults.push((await voting.requestFeature({ title: text })).code);
+    }
+    // One slot left: of two submits in flight together, only one may use it
+    voting.config.requestLimit = 4;
+    const concurrent = await Promise.all(['Signal graphs', 'Beacon simulator'].map(text => voting.requestFeature({ title: text })));
+    const stored = JSON.parse(window.localStorage.getItem('roadmap-feedback'));
+
+    if (limitResults.join(',') === 'sent,sent,rate-limited' && concurrent.map(result => result.code).join(',') === 'sent,rate-limited' &&
+        api.featureRequests.length === 4 && stored.requests.length === 4 && stored.votes['csv-import']) {
+      results.addResult('Feature Request Limit', 'pass', 'Requests over the limit are refused without contacting the endpoint, also while one is in flight');
+    } else {
+      results.addResult('Feature Request Limit', 'fail', 'Per-browser request limit not applied',
+        `${limitResults.join(',')}; concurrent ${concurrent.map(result => result.code).join(',')}, sent=${api.featureRequests.length}`);
+    }
+
+    api.status = 429;
+    const limited = await voting.handleVote('nfc-writing');
+    api.status = 0;
+    const nfc = count(document, 'nfc-writing');
+
+    if (limited.code === 'rate-limited' && limited.message === window.ROADMAP_VOTE_MESSAGES['rate-limited'] &&
+        shown[shown.length - 1] === limited.message && nfc.getAttribute('aria-pressed') === 'false' &&
+        /50/.test(nfc.textContent) && !nfc.disabled) {
+      results.addResult('Roadmap Vote Rejected', 'pass', 'A refused vote is taken back with a message about voting');
+    } else {
+      results.addResult('Roadmap Vote Rejected', 'fail', 'Refused vote not taken back or wrong message',
+        `${limited.code}: ${limited.message}; shown ${shown[shown.length - 1]}`);
+    }
+
+    env.setOnline(false);
+    const queued = await voting.vote('tag-duplication');
+    const optimistic = /9/.test(count(document, 'tag-duplication').textContent);
+    env.setOnline(true);
+    const replayed = await until(env, () => api.votes['tag-duplication'] === 9);
+
+    if (queued.code === 'queued' && optimistic && replayed) {
+      results.addResult('Roadmap Vote Offline', 'pass', 'An offline vote is shown at once and sent when back online');
+    } else {
+      results.addResult('Roadmap Vote Offline', 'fail', 'Offline vote not queued or replayed',
+        `result=${queued.code}, server=${api.votes['tag-duplication']}`);
+    }
+
+    // The queue deletes an entry only after its processor resolves, so
+    // wait for queue:processed rather than for the button
+    const processed = id => Promise.race([
+      new Promise(resolve => document.addEventListener('queue:processed', function listener(event) {
+        if (event.detail.id !== id) return;
+        document.removeEventListener('queue:processed', listener);
+        resolve(event.detail);
+      })),
+      env.wait(1000).then(() => null)
+    ]);
+
+    env.setOnline(false);
+    await voting.vote('nfc-writing');
+    api.status = 422;
+    let replay = processed('roadmap-vote:nfc-writing');
+    env.setOnline(true);
+    let outcome = await replay;
+    api.status = 0;
+    const withdrawn = count(document, 'nfc-writing').getAttribute('aria-pressed') === 'false';
+
+    if (outcome && outcome.done && withdrawn && /50/.test(count(document, 'nfc-writing').textContent) &&
+        shown[shown.length - 1] === window.ROADMAP_VOTE_MESSAGES.invalid && (await window.offlineQueue.entries()).length === 0) {
+      results.addResult('Roadmap Vote Replay Rejected', 'pass', 'A queued vote the endpoint refuses is taken back and reported');
+    } else {
+      results.addResult('Roadmap Vote Replay Rejected', 'fail', 'Refused replay counted as sent',
+        `withdrawn=${withdrawn}, shown ${shown[shown.length - 1]}`);
+    }
+
+    // A vote still unsent after maxAttempts is given up and taken back too
+    const fetch = window.fetch;
+    const maxAttempts = window.offlineQueue.config.maxAttempts;
+    env.setOnline(false);
+    await voting.vote('nfc-writing');
+    window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    window.offlineQueue.config.maxAttempts = 1;
+    replay = processed('roadmap-vote:nfc-writing');
+    env.setOnline(true);
+    outcome = await replay;
+    window.fetch = fetch;
+    window.offlineQueue.config.maxAttempts = maxAttempts;
+    const left = JSON.parse(window.localStorage.getItem('roadmap-feedback'));
+    const dropped = count(document, 'nfc-writing');
+
+    if (outcome && !outcome.done && !left.votes['nfc-writing'] && dropped.getAttribute('aria-pressed') === 'false' &&
+        /50/.test(dropped.textContent) && /could not send your vote/.test(shown[shown.length - 1])) {
+      results.addResult('Roadmap Vote Given Up', 'pass', 'A queued vote dropped after maxAttempts is taken back and reported');
+    } else {
+      results.addResult('Roadmap Vote Given Up', 'fail', 'Dropped vote still counted',
+        `done=${outcome && outcome.done}, stored=${Boolean(left.votes['nfc-writing'])}, count ${dropped.textContent}`);
+    }
+  } catch (error) {
+    results.addResult('Roadmap Voting', 'fail', `Error: ${error.message}`);
+  } finally {
+    if (env) env.close();
+    await api.close();
+  }
+}
+
+/**
+ * Native Web Vitals: entries become rated metrics, reported when final
+ */
+async function checkWebVitals(results) {
+  let env;
+  try {
+    const consent = JSON.stringify({ version: '1', categories: { analytics: false, performance: true } });
+    env = await createSiteEnvironment({ storage: { 'site-consent': consent } });
+  } catch (error) {
+    results.addResult('Web Vitals', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window, document } = env;
+    const app = window.app;
+    const reported = [];
+    const handleWebVital = app.handleWebVital.bind(app);
+    app.handleWebVital = (metric) => {
+      reported.push(metric);
+      handleWebVital(metric);
+    };
+    app.stopWebVitals();
+    app.monitorWebVitals();
+
+    env.recordPerformanceEntries([
+      { entryType: 'navigation', name: window.location.href, startTime: 0, responseStart: 120 },
+      { entryType: 'paint', name: 'first-paint', startTime: 900 },
+      { entryType: 'paint', name: 'first-contentful-paint', startTime: 1000 },
+      { entryType: 'largest-contentful-paint', startTime: 1500 },
+      { entryType: 'largest-contentful-paint', startTime: 3000 },
+      { entryType: 'layout-shift', startTime: 1100, value: 0.05, hadRecentInput: false },
+      { entryType: 'layout-shift', startTime: 1400, value: 0.5, hadRecentInput: true },
+      { entryType: 'layout-shift', startTime: 1600, value: 0.1, hadRecentInput: false },
+      { entryType: 'event', name: 'pointerdown', startTime: 2000, duration: 80, interactionId: 1 },
+      { entryType: 'event', name: 'click', startTime: 2010, duration: 240, interactionId: 1 },
+      { entryType: 'event', name: 'keydown', startTime: 2500, duration: 120, interactionId: 2 }
+    ]);
+
+    const names = () => reported.map(metric => metric.name).join(',');
+    const early = names();
+    const overlay = document.querySelector('.web-vitals-overlay');
+    const overlayText = overlay ? overlay.textContent : '';
+
+    window.dispatchEvent(new window.Event('keydown'));
+    const afterInput = names();
+
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+    const byName = reported.reduce((metrics, metric) => ({ ...metrics, [metric.name]: metric }), {});
+
+    if (early === 'TTFB,FCP' && afterInput === 'TTFB,FCP,LCP' &&
+        byName.TTFB.value === 120 && byName.TTFB.rating === 'good' &&
+        byName.FCP.value === 1000 && byName.LCP.value === 3000 && byName.LCP.rating === 'needs-improvement' &&
+        byName.CLS.value === 0.15 && byName.CLS.rating === 'needs-improvement' &&
+        byName.INP.value === 240 && byName.INP.rating === 'needs-improvement') {
+      results.addResult('Web Vitals Collection', 'pass',
+        reported.map(metric => `${metric.name} ${metric.value} (${metric.rating})`).join(', '));
+    } else {
+      results.addResult('Web Vitals Collection', 'fail', 'Metrics missing, mistimed or rated wrongly',
+        `${early} / ${afterInput} / ${JSON.stringify(byName)}`);
+    }
+
+    if (/LCP 3000 ms/.test(overlayText) && /CLS 0\.15/.test(overlayText) &&
+        overlay.querySelector('.web-vitals-needs-improvement')) {
+      results.addResult('Web Vitals Overlay', 'pass', 'Live values shown in debug mode');
+    } else {
+      results.addResult('Web Vitals Overlay', 'fail', 'Debug overlay missing or stale', overlayText);
+    }
+
+    const collector = app.webVitals;
+    const overlayElement = collector.overlay;
+    const observing = env.performanceObservers.size;
+    const own = collector.observers.length;
+    app.stopWebVitals();
+    if (!app.webVitals && !overlayElement.isConnected && env.performanceObservers.size === observing - own) {
+      results.addResult('Web Vitals Stop', 'pass', 'Withdrawing consent disconnects observers and the overlay');
+    } else {
+      results.addResult('Web Vitals Stop', 'fail', 'Observers or overlay left behind');
+    }
+  } catch (error) {
+    results.addResult('Web Vitals', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Scroll jank: dropped frames and long tasks aggregated, attributed to handlers
+ */
+async function checkScrollProfiler(results) {
+  let env;
+  try {
+    env = await createSiteEnvironment();
+  } catch (error) {
+    results.addResult('Scroll Profiler', 'fail', `Error loading site: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { window } = env;
+    const profiler = window.scrollProfiler;
+
+    for (let i = 0; i < 5; i++) {
+      window.dispatchEvent(new window.Event('scroll'));
+      await env.wait(20);
+    }
+    const handler = profiler.getStats().handlers.updateDepth;
+
+    // Two frames a budget apart, then one taking four budgets: three dropped
+    const frameBudget = profiler.config.frameBudget;
+    const frameTime = window.performance.now() + 1000;
+    profiler.session.lastFrame = null;
+    const before = profiler.getStats();
+    [0, 1, 5].forEach(frame => profiler.countFrame(frameTime + frame * frameBudget));
+    const dropped = profiler.getStats().droppedFrames - before.droppedFrames;
+
+    const call = profiler.calls.filter(entry => entry.name === 'updateDepth').pop();
+    env.recordPerformanceEntries([
+      { entryType: 'long-animation-frame', startTime: call.start - 10, duration: call.end - call.start + 70 },
+      { entryType: 'long-animation-frame', startTime: -500, duration: 80 }
+    ]);
+
+    await env.wait(profiler.config.scrollEndDelay + 50);
+    const stats = profiler.getStats();
+    const spam = env.consoleMessages.filter(message => /Slow scroll|Scroll operation took/.test(message.text));
+
+    if (handler && handler.calls > 0 && stats.sessions === 1 && spam.length === 0 &&
+        dropped === 3) {
+      results.addResult('Scroll Profiler Frames', 'pass',
+        `${stats.sessions} session, ${dropped} dropped frames counted, no per-scroll logs`);
+    } else {
+      results.addResult('Scroll Profiler Frames', 'fail', 'Scroll sessions or frames not aggregated',
+        `${JSON.stringify(stats)}, dropped=${dropped}, ${spam.length} log lines`);
+    }
+
+    if (stats.longTasks === 1 && stats.handlers.updateDepth.longTasks === 1) {
+      results.addResult('Scroll Profiler Attribution', 'pass', 'Long frame during scroll blamed on updateDepth');
+    } else {
+      results.addResult('Scroll Profiler Attribution', 'fail', 'Long tasks not attributed', JSON.stringify(stats));
+    }
+  } catch (error) {
+    results.addResult('Scroll Profiler', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Newsletter signup through the mock API's endpoint, provider adapters, timeouts and retries
+ */
+async function checkNewsletter(results) {
+  const api = createMockApi();
+  await api.listen();
+
+  let env;
+  try {
+    env = await createSiteEnvironment({
+      html: newsletterFixture(`${api.url}/newsletter`),
+      scripts: ['scripts/main.js', 'scripts/notifications.js', 'scripts/newsletter.js']
+    });
+    env.window.fetch = api.fetch;
+  } catch (error) {
+    results.addResult('Newsletter', 'fail', `Error loading newsletter fixture: ${error.message}`);
+    await api.close();
+    return;
+  }
+
+  try {
+    const { window, document } = env;
+    const client = window.newsletterClient;
+    const email = document.getElementById('newsletter-email');
+    // Toasts beyond the visible three wait, so read what was last shown
+    const shown = [];
+    const show = window.showNotification;
+    window.showNotification = (message, type, options) => {
+      shown.push(message);
+      return show(message, type, options);
+    };
+    const notification = () => shown[shown.length - 1] || '';
+
+    let sends = 0;
+    const send = client.send.bind(client);
+    client.send = (...args) => {
+      sends++;
+      return send(...args);
+    };
+
+    const button = document.querySelector('button[type="submit"]');
+    const submit = async (address) => {
+      sends = 0;
+      email.value = address;
+      document.getElementById('privacy-consent').checked = true;
+      button.click();
+      for (let i = 0; i < 200 && button.disabled; i++) await env.wait(10);
+    };
+
+    await submit('dev@example.com');
+    const subscribed = api.subscribers.has('dev@example.com');
+    if (/inbox/.test(notification()) && email.value === '' && subscribed) {
+      results.addResult('Newsletter Signup', 'pass', `Mock endpoint: "${notification()}"`);
+    } else {
+      results.addResult('Newsletter Signup', 'fail', 'Signup did not report the double opt-in', notification());
+    }
+
+    await submit('dev+exists@example.com');
+    const exists = notification();
+    await submit('dev+invalid@example.com');
+    const invalid = notification();
+    await submit('dev+offline@example.com');
+    const offline = notification();
+    if (/already subscribed/.test(exists) && /looks invalid/.test(invalid) && /connection/.test(offline) &&
+        sends === 2 && !button.disabled) {
+      results.addResult('Newsletter Errors', 'pass', 'Server errors map to messages; network failures are retried');
+    } else {
+      results.addResult('Newsletter Errors', 'fail', 'Error mapping or retry not applied',
+        `exists="${exists}", invalid="${invalid}", offline="${offline}", attempts=${sends}`);
+    }
+
+    // Provider adapters against a recorded fetch
+    const requests = [];
+    window.fetch = async (url, init) => {
+      requests.push({ url, init });
+      return { status: 200, json: async () => ({ subscription: { state: 'inactive' } }) };
+    };
+    client.config = {
+      ...client.config,
+      provider: 'convertkit',
+      providers: { convertkit: { account: '123', apiKey: 'public-key' } }
+    };
+    const convertkit = await client.subscribe('dev@example.com');
+    const mailchimp = window.NEWSLETTER_PROVIDERS.mailchimp.parseResponse({
+      data: { result: 'error', msg: '0 - <b>dev@example.com</b> is already subscribed to list Toolkit.' }
+    });
+
+    if (convertkit.code === 'pending' && requests[0].url === 'https://api.convertkit.com/v3/forms/123/subscribe' &&
+        JSON.parse(requests[0].init.body).api_key === 'public-key' && mailchimp.code === 'exists') {
+      results.addResult('Newsletter Providers', 'pass', 'ConvertKit and Mailchimp responses mapped');
+    } else {
+      results.addResult('Newsletter Providers', 'fail', 'Provider adapter mismatch',
+        `convertkit=${JSON.stringify(convertkit)}, mailchimp=${JSON.stringify(mailchimp)}`);
+    }
+
+    // A request that never answers is aborted after the timeout, then retried
+    window.fetch = (url, init) => new Promise((resolve, reject) => {
+      requests.push({ url, init });
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    requests.length = 0;
+    client.config.timeout = 20;
+    const timedOut = await client.subscribe('dev@example.com');
+
+    if (timedOut.code === 'network' && requests.length === 2) {
+      results.addResult('Newsletter Timeout', 'pass', `Aborted after ${client.config.timeout}ms and retried once`);
+    } else {
+      results.addResult('Newsletter Timeout', 'fail', 'Hanging request was not timed out and retried',
+        `result=${timedOut.code}, attempts=${requests.length}`);
+    }
+  } catch (error) {
+    results.addResult('Newsletter', 'fail', `Error: ${error.message}`);
+  } finally {
+    env.close();
+    await api.close();
+  }
+}
+
+/**
+ * Offline signups persist in IndexedDB, de-duplicate and replay when back online
+ */
+async function checkOfflineQueue(results) {
+  const indexedDB = new IDBFactory();
+  const scripts = [
+    'scripts/main.js', 'scripts/notifications.js', 'scripts/offline-queue.js', 'scripts/analytics.js', 'scripts/web-vitals.js', 'scripts/scroll-profiler.js', 'scripts/consent.js', 'scripts/engagement.js', 'scripts/qr-code.js', 'scripts/download.js', 'scripts/releases.js', 'scripts/roadmap.js', 'scripts/roadmap-voting.js', 'scripts/donations.js', 'scripts/send-to-phone.js', 'scripts/newsletter.js'
+  ];
+  const notification = document => {
+    const messages = document.querySelectorAll('.notification-message');
+    const message = messages[messages.length - 1];
+    return message ? message.textContent : '';
+  };
+
+  let env;
+  try {
+    env = await createSiteEnvironment({ html: newsletterFixture(), scripts, indexedDB, online: false });
+    const { window, document } = env;
+
+    document.getElementById('newsletter-email').value = 'dev@example.com';
+    document.getElementById('privacy-consent').checked = true;
+    document.querySelector('button[type="submit"]').click();
+    await env.wait(20);
+    const offlineMessage = notification(document);
+
+    const again = await window.newsletterClient.subscribeOrQueue('Dev@Example.com');
+    const entries = await window.offlineQueue.entries();
+
+    if (/back online/.test(offlineMessage) && again.duplicate && entries.length === 1) {
+      results.addResult('Offline Queue', 'pass', 'Offline signup queued once in IndexedDB');
+    } else {
+      results.addResult('Offline Queue', 'fail', 'Offline signup not queued exactly once',
+        `message="${offlineMessage}", entries=${entries.length}`);
+    }
+  } catch (error) {
+    results.addResult('Offline Queue', 'fail', `Error: ${error.message}`);
+  } finally {
+    if (env) env.close();
+  }
+
+  try {
+    // Same storage, new page load with the connection back
+    env = await createSiteEnvironment({ html: newsletterFixture(), scripts, indexedDB });
+    const { window, document } = env;
+    await env.wait(50);
+
+    const remaining = await window.offlineQueue.entries();
+    if (remaining.length === 0 && /inbox/.test(notification(document))) {
+      results.addResult('Offline Queue Replay', 'pass', 'Queued signup sent on the next visit');
+    } else {
+      results.addResult('Offline Queue Replay', 'fail', 'Queued signup was not replayed',
+        `entries=${remaining.length}, message="${notification(document)}"`);
+    }
+
+    env.setOnline(false);
+    window.handleDonationClick(null, 5);
+    await env.wait(20);
+    const queued = await window.offlineQueue.entries();
+
+    env.setOnline(true);
+    await env.wait(20);
+    const afterOnline = await window.offlineQueue.entries();
+
+    if (env.openedWindows.length === 0 && queued.length === 1 && queued[0].type === 'donation' &&
+        afterOnline.length === 0 && /back online/.test(notification(document))) {
+      results.addResult('Offline Donation Intent', 'pass', 'Donation made offline is remembered until the online event');
+    } else {
+      results.addResult('Offline Donation Intent', 'fail', 'Donation intent not queued or not replayed',
+        `opened=${env.openedWindows.length}, queued=${queued.length}, after=${afterOnline.length}`);
+    }
+
+    // A storage failure is reported instead of rejecting; given-up entries are announced
+    const enqueue = window.offlineQueue.enqueue;
+    window.offlineQueue.enqueue = () => Promise.reject(new Error('QuotaExceededError'));
+    env.setOnline(false);
+    const unsaved = await window.newsletterClient.subscribeOrQueue('late@example.com');
+    window.offlineQueue.enqueue = enqueue;
+    env.setOnline(true);
+
+    const shown = [];
+    const show = window.showNotification;
+    window.showNotification = (message, type, options) => {
+      shown.push(message);
+      return show(message, type, options);
+    };
+    window.offlineQueue.config.maxAttempts = 1;
+    window.offlineQueue.register('test', () => false, { label: 'test entry' });
+    await window.offlineQueue.enqueue('test', 'one', {});
+    await window.offlineQueue.flush();
+    await window.offlineQueue.flush();
+    const dropped = await window.offlineQueue.entries();
+
+    if (unsaved.code === 'network' && dropped.length === 0 && shown.some(message => /could not send your test entry/.test(message))) {
+      results.addResult('Offline Queue Failures', 'pass', 'Failed queueing returns a network result; dropped entries are announced');
+    } else {
+      results.addResult('Offline Queue Failures', 'fail', 'Queue failures lost silently',
+        `result=${unsaved.code}, entries=${dropped.length}, messages=${shown.join(' | ')}`);
+    }
+  } catch (error) {
+    results.addResult('Offline Queue Replay', 'fail', `Error: ${error.message}`);
+  } finally {
+    if (env) env.close();
+  }
+}
+
+module.exports = { runFunctionalityTests };
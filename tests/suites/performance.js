@@ -0,0 +1,70 @@
+/* ==========================================================================
+   Performance Tests - asset budgets
+   ========================================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const { SITE_ROOT, readSiteFile } = require('../lib/environment');
+
+const FILES = [
+  { name: 'HTML', url: 'index.html', budget: 500000 },
+  { name: 'Main CSS', url: 'styles/main.css', budget: 100000 },
+  { name: 'Components CSS', url: 'styles/components.css', budget: 100000 },
+  { name: 'Responsive CSS', url: 'styles/responsive.css', budget: 100000 },
+  { name: 'Main JS', url: 'scripts/main.js', budget: 200000 },
+  { name: 'Animations JS', url: 'scripts/animations.js', budget: 200000 },
+  { name: 'Slides JS', url: 'scripts/slides.js', budget: 200000 },
+  { name: 'Router JS', url: 'scripts/router.js', budget: 200000 },
+  { name: 'Visibility JS', url: 'scripts/visibility.js', budget: 200000 },
+  { name: 'Dialog JS', url: 'scripts/dialog.js', budget: 200000 },
+  { name: 'Notifications JS', url: 'scripts/notifications.js', budget: 200000 },
+  { name: 'Offline Queue JS', url: 'scripts/offline-queue.js', budget: 200000 },
+  { name: 'Analytics JS', url: 'scripts/analytics.js', budget: 200000 },
+  { name: 'Web Vitals JS', url: 'scripts/web-vitals.js', budget: 200000 },
+  { name: 'Scroll Profiler JS', url: 'scripts/scroll-profiler.js', budget: 200000 },
+  { name: 'Consent JS', url: 'scripts/consent.js', budget: 200000 },
+  { name: 'Engagement JS', url: 'scripts/engagement.js', budget: 200000 },
+  { name: 'QR Code JS', url: 'scripts/qr-code.js', budget: 200000 },
+  { name: 'Download JS', url: 'scripts/download.js', budget: 200000 },
+  { name: 'Releases JS', url: 'scripts/releases.js', budget: 200000 },
+  { name: 'Roadmap JS', url: 'scripts/roadmap.js', budget: 200000 },
+  { name: 'Roadmap Voting JS', url: 'scripts/roadmap-voting.js', budget: 200000 },
+  { name: 'Donations JS', url: 'scripts/donations.js', budget: 200000 },
+  { name: 'Send to Phone JS', url: 'scripts/send-to-phone.js', budget: 200000 },
+  { name: 'Newsletter JS', url: 'scripts/newsletter.js', budget: 200000 }
+];
+
+// Total page weight budget from the README testing checklist
+const TOTAL_BUDGET = 500 * 1024;
+
+/**
+ * Run performance tests
+ */
+async function runPerformanceTests(results) {
+  results.addResult('Performance Tests', 'info', 'Starting performance tests...');
+
+  let total = 0;
+  FILES.forEach(file => {
+    try {
+      const size = fs.statSync(path.join(SITE_ROOT, file.url)).size;
+      total += size;
+      results.addResult(`${file.name} Size`, size > file.budget ? 'warning' : 'pass',
+        `${(size / 1024).toFixed(2)} KB`);
+    } catch (error) {
+      results.addResult(`${file.name} Load`, 'fail', `Error: ${error.message}`);
+    }
+  });
+
+  results.addResult('Total Text Assets', total > TOTAL_BUDGET ? 'warning' : 'pass',
+    `${(total / 1024).toFixed(2)} KB of ${TOTAL_BUDGET / 1024} KB budget`);
+
+  // Check for minification
+  const html = readSiteFile('index.html');
+  if (html.includes('\n    ')) {
+    results.addResult('HTML Minification', 'info', 'HTML is not minified - consider for production');
+  } else {
+    results.addResult('HTML Minification', 'pass', 'HTML appears to be minified');
+  }
+}
+
+module.exports = { runPerformanceTests };
@@ -0,0 +1,83 @@
+/* ==========================================================================
+   Cross-Reference Tests - ids and selectors used by scripts vs. index.html
+   ========================================================================== */
+
+const { JSDOM } = require('jsdom');
+const { readSiteFile } = require('../lib/environment');
+const { extractProvidedTokens, extractReferences, resolveReferences } = require('../lib/references');
+
+const SCRIPTS = ['scripts/router.js', 'scripts/visibility.js', 'scripts/main.js', 'scripts/slides.js', 'scripts/animations.js', 'scripts/dialog.js', 'scripts/notifications.js', 'scripts/offline-queue.js', 'scripts/analytics.js', 'scripts/web-vitals.js', 'scripts/scroll-profiler.js', 'scripts/consent.js', 'scripts/engagement.js', 'scripts/qr-code.js', 'scripts/download.js', 'scripts/releases.js', 'scripts/roadmap.js', 'scripts/roadmap-voting.js', 'scripts/donations.js', 'scripts/send-to-phone.js', 'scripts/newsletter.js'];
+
+/**
+ * References known not to resolve yet, with the reason. They are reported as
+ * warnings instead of failures; remove an entry once the markup catches up.
+ */
+const KNOWN_DRIFT = {
+  // initializeAnchorLinks enhances any in-page links; the markup currently has none
+  'a[href^="#"]': 'no in-page links in markup',
+
+  // Monetization section was simplified; its animation hooks were not
+  '.support-feature': 'monetization redesign',
+  '.popup-mockup': 'monetization redesign',
+  '.popup-close': 'monetization redesign'
+};
+
+/**
+ * Run the static cross-reference check
+ */
+async function runReferenceTests(results) {
+  results.addResult('Cross-Reference Tests', 'info', 'Checking script references against index.html...');
+
+  // Parse the markup without running scripts: only what index.html ships counts
+  const { document } = new JSDOM(readSiteFile('index.html')).window;
+
+  const sources = SCRIPTS.map(file => ({ file, source: readSiteFile(file) }));
+  const provided = sources.reduce((tokens, { source }) => {
+    const scriptTokens = extractProvidedTokens(source);
+    scriptTokens.ids.forEach(id => tokens.ids.add(id));
+    scriptTokens.classes.forEach(name => tokens.classes.add(name));
+    return tokens;
+  }, { ids: new Set(), classes: new Set() });
+
+  const references = resolveReferences(
+    sources.flatMap(({ file, source }) => extractReferences(file, source)),
+    document,
+    provided
+  );
+
+  // Group by selector so each drifted selector is reported once with all its uses
+  const bySelector = new Map();
+  references.forEach(reference => {
+    const key = reference.selector;
+    if (!bySelector.has(key)) bySelector.set(key, []);
+    bySelector.get(key).push(reference);
+  });
+
+  const counts = { matched: 0, runtime: 0, dynamic: 0, missing: 0 };
+  bySelector.forEach((uses, selector) => {
+    const { status } = uses[0];
+    counts[status]++;
+    if (status !== 'missing') return;
+
+    const locations = uses.map(use => `${use.file}:${use.line}`).join(', ');
+    if (KNOWN_DRIFT[selector]) {
+      results.addResult(`Reference: ${selector}`, 'warning',
+        `No match in index.html (known: ${KNOWN_DRIFT[selector]})`, locations);
+    } else {
+      results.addResult(`Reference: ${selector}`, 'fail', 'No match in index.html', locations);
+    }
+  });
+
+  Object.keys(KNOWN_DRIFT)
+    .filter(selector => !bySelector.has(selector) || bySelector.get(selector)[0].status !== 'missing')
+    .forEach(selector => {
+      results.addResult(`Known Drift: ${selector}`, 'warning',
+        'Listed in KNOWN_DRIFT but now resolves (or is unused) - remove the entry');
+    });
+
+  results.addResult('Script References', counts.missing ? 'info' : 'pass',
+    `${bySelector.size} selectors: ${counts.matched} in markup, ${counts.runtime} created by scripts, ` +
+    `${counts.dynamic} dynamic, ${counts.missing} unresolved`);
+}
+
+module.exports = { runReferenceTests };
@@ -0,0 +1,312 @@
+/* ==========================================================================
+   Responsive Tests - viewport matrix with layout invariants
+   ========================================================================== */
+
+const { createSiteEnvironment, readSiteFile } = require('../lib/environment');
+const { StyleResolver, splitValue } = require('../lib/style-resolver');
+
+/**
+ * Viewports under test. Touch viewports also check tap target sizes.
+ * featuresColumns is the .features-grid column count responsive.css should
+ * produce (portrait orientation collapses the grid to one column).
+ */
+const VIEWPORTS = [
+  { name: 'Mobile', width: 375, height: 667, touch: true, featuresColumns: 1 },
+  { name: 'Tablet', width: 768, height: 1024, touch: true, featuresColumns: 1 },
+  { name: 'Desktop', width: 1024, height: 768, touch: false, featuresColumns: 3 },
+  { name: 'Large Desktop', width: 1440, height: 900, touch: false, featuresColumns: 3 }
+];
+
+const MIN_TAP_TARGET = 44;
+const TAP_TARGETS = 'a.btn, button, [role="button"], input[type="submit"]';
+
+/**
+ * Run responsive design tests
+ */
+async function runResponsiveTests(results) {
+  results.addResult('Responsive Tests', 'info', 'Starting responsive design tests...');
+
+  let cssContent;
+  try {
+    cssContent = readSiteFile('styles/responsive.css');
+    results.addResult('Responsive CSS', 'pass', 'Responsive CSS file loads successfully');
+  } catch (error) {
+    results.addResult('Responsive CSS', 'fail', `Error loading responsive CSS: ${error.message}`);
+    return;
+  }
+
+  const mediaQueries = cssContent.match(/@media[^{]+\{/g);
+  if (mediaQueries && mediaQueries.length > 0) {
+    results.addResult('Media Queries', 'pass', `Found ${mediaQueries.length} media queries`);
+  } else {
+    results.addResult('Media Queries', 'warning', 'No media queries found');
+  }
+
+  const baseSuite = results.currentSuite;
+  for (const viewport of VIEWPORTS) {
+    results.startSuite(`${baseSuite}: ${viewport.name} (${viewport.width}px)`);
+    await testViewport(viewport, results);
+  }
+  results.startSuite(baseSuite);
+}
+
+/**
+ * Render the page at one viewport and assert the layout invariants
+ */
+async function testViewport(viewport, results) {
+  const features = {
+    width: viewport.width,
+    height: viewport.height,
+    hover: viewport.touch ? 'none' : 'hover',
+    pointer: viewport.touch ? 'coarse' : 'fine'
+  };
+
+  let env;
+  try {
+    env = await createSiteEnvironment({ features });
+  } catch (error) {
+    results.addResult('Render', 'fail', `Error rendering page: ${error.message}`);
+    return;
+  }
+
+  try {
+    const { document } = env;
+    const styles = new StyleResolver(document, features);
+
+    const viewportMeta = document.querySelector('meta[name="viewport"]');
+    if (viewportMeta && /width=device-width/.test(viewportMeta.getAttribute('content'))) {
+      results.addResult('Viewport Meta', 'pass', 'Viewport meta tag found');
+    } else {
+      results.addResult('Viewport Meta', 'fail', 'Viewport meta tag missing');
+    }
+
+    const applied = styles.getMediaQueries('styles/responsive.css')
+      .filter(query => query.matches)
+      .map(query => query.mediaText);
+    results.addResult('Media Queries', 'info',
+      `${new Set(applied).size} responsive.css media queries apply`,
+      Array.from(new Set(applied)).join(', '));
+
+    checkHorizontalOverflow(document, styles, viewport, results);
+    checkFeaturesGrid(document, styles, viewport, results);
+    checkHeroScreenshot(document, styles, results);
+
+    if (viewport.touch) {
+      checkTapTargets(document, styles, results);
+    }
+  } finally {
+    env.close();
+  }
+}
+
+/**
+ * Width available to children of an element: the viewport narrowed by each
+ * ancestor's width, max-width and horizontal padding
+ */
+function contentWidth(styles, element) {
+  const chain = [];
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    chain.unshift(node);
+  }
+
+  return chain.reduce((available, node) => {
+    let width = available;
+    const declared = styles.toPixels(node, styles.getComputedValue(node, 'width'), available);
+    const maxWidth = styles.toPixels(node, styles.getComputedValue(node, 'max-width'), available);
+
+    if (!isNaN(declared)) width = declared;
+    if (!isNaN(maxWidth)) width = Math.min(width, maxWidth);
+
+    const padding = ['padding-left', 'padding-right']
+      .map(property => styles.toPixels(node, styles.getComputedValue(node, property), available))
+      .reduce((sum, value) => sum + (isNaN(value) ? 0 : value), 0);
+
+    return Math.max(0, width - padding);
+  }, styles.features.width);
+}
+
+/**
+ * Expand grid-template-columns into track descriptions
+ */
+function parseGridTracks(value) {
+  const tracks = [];
+
+  splitValue(value || '').forEach(token => {
+    const repeat = /^repeat\(\s*([^,]+),\s*(.+)\)$/.exec(token);
+    if (!repeat) {
+      tracks.push(token);
+      return;
+    }
+
+    const count = parseInt(repeat[1], 10);
+    const track = repeat[2].trim();
+    if (isNaN(count)) {
+      tracks.push({ auto: repeat[1].trim(), track });
+    } else {
+      for (let i = 0; i < count; i++) tracks.push(track);
+    }
+  });
+
+  return tracks;
+}
+
+/**
+ * Minimum width a single track needs, in pixels
+ */
+function trackMinimum(styles, element, track) {
+  const minmax = /^minmax\(\s*([^,]+),/.exec(track);
+  const value = minmax ? minmax[1] : track;
+  const pixels = styles.toPixels(element, value);
+  return isNaN(pixels) ? 0 : pixels;
+}
+
+/**
+ * Resolve the number of columns a grid lays out and the width its tracks need
+ */
+function resolveGrid(styles, element, available) {
+  const tracks = parseGridTracks(styles.getComputedValue(element, 'grid-template-columns'));
+  const gap = styles.toPixels(element, splitValue(styles.getComputedValue(element, 'gap') || '0').pop()) || 0;
+
+  let columns = 0;
+  let minimumWidth = 0;
+
+  tracks.forEach(track => {
+    if (typeof track === 'object') {
+      const min = trackMinimum(styles, element, track.track);
+      const fit = Math.max(1, Math.floor((available + gap) / (min + gap || 1)));
+      const count = track.auto === 'auto-fit' ? Math.min(fit, element.children.length || 1) : fit;
+      columns += count;
+      minimumWidth += min;
+    } else {
+      columns += 1;
+      minimumWidth += trackMinimum(styles, element, track);
+    }
+  });
+
+  if (columns > 1) minimumWidth += gap * (tracks.length - 1);
+  return { columns: columns || 1, minimumWidth };
+}
+
+/**
+ * No element may be wider than the space its container offers
+ */
+function checkHorizontalOverflow(document, styles, viewport, results) {
+  const offenders = [];
+
+  Array.from(document.body.querySelectorAll('*')).forEach(element => {
+    if (!styles.isRendered(element) || element.classList.contains('sr-only')) return;
+    if (/^(absolute|fixed)$/.test(styles.getComputedValue(element, 'position'))) return;
+
+    const available = element.parentElement ? contentWidth(styles, element.parentElement) : viewport.width;
+    const widths = ['width', 'min-width']
+      .map(property => styles.toPixels(element, styles.getComputedValue(element, property), available))
+      .filter(value => !isNaN(value));
+
+    if (styles.getComputedValue(element, 'display') === 'grid') {
+      widths.push(resolveGrid(styles, element, contentWidth(styles, element)).minimumWidth);
+    }
+
+    const needed = Math.max(0, ...widths);
+    if (needed > available + 0.5) {
+      offenders.push(`${describe(element)} needs ${Math.round(needed)}px of ${Math.round(available)}px`);
+    }
+  });
+
+  if (offenders.length === 0) {
+    results.addResult('Horizontal Overflow', 'pass', `Nothing is wider than ${viewport.width}px`);
+  } else {
+    results.addResult('Horizontal Overflow', 'fail',
+      `${offenders.length} elements overflow horizontally`, offenders.slice(0, 10).join('; '));
+  }
+}
+
+/**
+ * .features-grid lays out the expected number of columns
+ */
+function checkFeaturesGrid(document, styles, viewport, results) {
+  const grid = document.querySelector('.features-grid');
+  if (!grid) {
+    results.addResult('Features Grid', 'fail', '.features-grid not found');
+    return;
+  }
+
+  const { columns } = resolveGrid(styles, grid, contentWidth(styles, grid));
+  if (columns === viewport.featuresColumns) {
+    results.addResult('Features Grid', 'pass', `${columns} column${columns === 1 ? '' : 's'}`);
+  } else {
+    results.addResult('Features Grid', 'fail',
+      `Expected ${viewport.featuresColumns} columns, got ${columns}`,
+      `grid-template-columns: ${styles.getComputedValue(grid, 'grid-template-columns')}`);
+  }
+}
+
+/**
+ * The active hero screenshot is rendered and not transparent
+ */
+function checkHeroScreenshot(document, styles, results) {
+  const screenshot = document.querySelector('.screenshot-item.active .app-screenshot');
+  if (!screenshot) {
+    results.addResult('Hero Screenshot', 'fail', 'Active hero screenshot not found');
+    return;
+  }
+
+  const width = contentWidth(styles, screenshot.parentElement);
+  if (styles.isVisible(screenshot) && width > 0) {
+    results.addResult('Hero Screenshot', 'pass', `Visible at ${Math.round(width)}px wide`);
+  } else {
+    results.addResult('Hero Screenshot', 'fail', 'Hero screenshot is hidden', describe(screenshot));
+  }
+}
+
+/**
+ * Estimated border-box height of an inline control
+ */
+function estimateHeight(styles, element) {
+  const px = property => styles.toPixels(element, styles.getComputedValue(element, property));
+  const height = px('height');
+  if (!isNaN(height)) return height;
+
+  const fontSize = styles.getFontSize(element);
+  const lineHeightValue = styles.getComputedValue(element, 'line-height');
+  let lineHeight = /^[\d.]+$/.test(lineHeightValue) ? parseFloat(lineHeightValue) * fontSize : px('line-height');
+  if (isNaN(lineHeight)) lineHeight = fontSize * 1.2;
+
+  const border = /(\d+(?:\.\d+)?)px/.exec(styles.getComputedValue(element, 'border') || '');
+  const content = lineHeight +
+    (px('padding-top') || 0) +
+    (px('padding-bottom') || 0) +
+    (border ? parseFloat(border[1]) * 2 : 0);
+
+  return Math.max(content, px('min-height') || 0);
+}
+
+/**
+ * Every rendered tap target is at least 44px tall
+ */
+function checkTapTargets(document, styles, results) {
+  const targets = Array.from(document.querySelectorAll(TAP_TARGETS))
+    .filter(element => styles.isRendered(element) && !element.classList.contains('sr-only'));
+
+  const small = targets
+    .map(element => ({ element, height: estimateHeight(styles, element) }))
+    .filter(target => target.height < MIN_TAP_TARGET);
+
+  if (small.length === 0) {
+    results.addResult('Tap Targets', 'pass', `${targets.length} tap targets are at least ${MIN_TAP_TARGET}px`);
+  } else {
+    results.addResult('Tap Targets', 'fail',
+      `${small.length} tap targets are smaller than ${MIN_TAP_TARGET}px`,
+      small.map(target => `${describe(target.element)} (${Math.round(target.height)}px)`).join('; '));
+  }
+}
+
+/**
+ * Short selector describing an element for result details
+ */
+function describe(element) {
+  if (element.id) return `${element.tagName.toLowerCase()}#${element.id}`;
+  const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+  return `${element.tagName.toLowerCase()}${classes}`;
+}
+
+module.exports = { runResponsiveTests, VIEWPORTS };